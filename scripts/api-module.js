@@ -1,79 +1,648 @@
 // API Module - Manages all external API requests
-// Handles Met Museum, MusicBrainz, and Mocky APIs
+// Handles Met Museum, Cleveland, MusicBrainz and the bundled Kiluba and narrative data
 
+import { cachedFetch } from "./cache-module.js";
+import { LIVE_API_BASES, apiFetch, resolveSource } from "./transport-module.js";
+import { resolveEntities } from "./entity-module.js";
+
+// Endpoints are always written against the live APIs; the transport module
+// redirects them to a stand-in server or fixtures when configured
 const API_CONFIG = {
     met: {
-        search: "https://collectionapi.metmuseum.org/public/collection/v1/search",
-        object: "https://collectionapi.metmuseum.org/public/collection/v1/objects"
+        search: `${LIVE_API_BASES.met}/search`,
+        object: `${LIVE_API_BASES.met}/objects`
     },
     cleveland: {
-        search: "https://openaccess-api.clevelandart.org/api/artworks"
+        search: `${LIVE_API_BASES.cleveland}/artworks`
     },
     musicbrainz: {
-        base: "https://musicbrainz.org/ws/2",
+        base: LIVE_API_BASES.musicbrainz,
         userAgent: "LubaCulture/1.0 (info@lubaculture.com)"
     },
-    mocky: {
-        kiluba: "https://run.mocky.io/v3/your-kiluba-endpoint",
-        narratives: "https://run.mocky.io/v3/your-narratives-endpoint"
-    }
+    coverArt: {
+        base: LIVE_API_BASES.coverartarchive
+    },
+    lexicon: new URL("../data/kiluba-lexicon.json", import.meta.url).href,
+    narratives: new URL("../data/oral-narratives.json", import.meta.url).href
 };
 
-let lastMusicBrainzRequest = 0;
 const MUSICBRAINZ_RATE_LIMIT = 1000; // 1 second between requests
+const MUSICBRAINZ_MAX_ATTEMPTS = 4;
+
+// Cancelled requests reject with a DOMException named "AbortError"
+export const isAbortError = (error) => error?.name === "AbortError";
+
+// Wait that rejects as soon as the signal aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+    }
+    
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// Settle with a shared promise, or reject as soon as this caller's signal aborts
+// The shared work keeps running for everyone else
+const untilAborted = (promise, signal) => {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener("abort", onAbort, { once: true });
+        promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+};
+
+// API error taxonomy
+// Every failed request rejects with an ApiError describing what went wrong,
+// which source failed and whether trying again can help
+export const API_ERROR_TYPES = {
+    NETWORK: "network",             // Offline, DNS failure, dropped connection
+    TIMEOUT: "timeout",             // No response within REQUEST_TIMEOUT
+    RATE_LIMITED: "rate-limited",   // 429, or 503 with Retry-After
+    NOT_FOUND: "not-found",         // 404/410
+    MALFORMED: "malformed",         // Body is not the JSON object we expect
+    BLOCKED: "blocked",             // CORS or the file:// protocol
+    SERVER: "server",               // Other 5xx
+    HTTP: "http",                   // Other 4xx
+    UNAVAILABLE: "unavailable"      // Circuit breaker open, request not sent
+};
+
+const RETRYABLE_ERROR_TYPES = new Set([
+    API_ERROR_TYPES.NETWORK,
+    API_ERROR_TYPES.TIMEOUT,
+    API_ERROR_TYPES.RATE_LIMITED,
+    API_ERROR_TYPES.SERVER,
+    API_ERROR_TYPES.UNAVAILABLE
+]);
+
+const API_SOURCE_NAMES = {
+    met: "The Met",
+    cleveland: "the Cleveland Museum of Art",
+    musicbrainz: "MusicBrainz",
+    coverartarchive: "the Cover Art Archive"
+};
+
+const REQUEST_TIMEOUT = 15000; // 15 seconds per attempt
+
+export class ApiError extends Error {
+    constructor(type, message, { url = null, status = null, retryAfter = null, cause } = {}) {
+        super(message, { cause });
+        const source = url ? resolveSource(url)?.source || null : null;
+        
+        this.name = "ApiError";
+        this.type = type;
+        this.source = source;
+        this.sourceName = API_SOURCE_NAMES[source] || "An external service";
+        this.url = url;
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.retryable = RETRYABLE_ERROR_TYPES.has(type);
+    }
+}
+
+export const isApiError = (error) => error instanceof ApiError;
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Classify a non-2xx response
+const responseError = (response, url) => {
+    const { status } = response;
+    const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+    const message = `HTTP ${status}: ${response.statusText}`;
+    
+    let type = API_ERROR_TYPES.HTTP;
+    if (status === 404 || status === 410) type = API_ERROR_TYPES.NOT_FOUND;
+    else if (status === 429 || (status === 503 && retryAfter !== null)) type = API_ERROR_TYPES.RATE_LIMITED;
+    else if (status >= 500) type = API_ERROR_TYPES.SERVER;
+    
+    return new ApiError(type, message, { url, status, retryAfter });
+};
+
+// Classify anything a request threw; cancellations are not API errors and
+// should be checked with isAbortError first
+export const toApiError = (error, url = null) => {
+    if (isApiError(error)) return error;
+    
+    if (error?.name === "TimeoutError") {
+        return new ApiError(API_ERROR_TYPES.TIMEOUT, error.message, { url, cause: error });
+    }
+    if (error instanceof SyntaxError) {
+        return new ApiError(API_ERROR_TYPES.MALFORMED, `Invalid JSON: ${error.message}`, { url, cause: error });
+    }
+    // fetch rejects with a bare TypeError for both network and CORS failures;
+    // from file:// every cross-origin request is blocked
+    const isFile = typeof window !== "undefined" && window.location?.protocol === "file:";
+    const type = error instanceof TypeError && isFile ? API_ERROR_TYPES.BLOCKED : API_ERROR_TYPES.NETWORK;
+    return new ApiError(type, error?.message || "Request failed", { url, cause: error });
+};
+
+// Per-source circuit breakers
+// A source that fails CIRCUIT_FAILURE_THRESHOLD times in a row is opened:
+// calls fail fast with an "unavailable" ApiError for CIRCUIT_COOLDOWN. After
+// the cooldown the circuit half-opens and lets a single probe request through;
+// its outcome closes the circuit again or restarts the cooldown
+export const CIRCUIT_STATES = {
+    CLOSED: "closed",
+    OPEN: "open",
+    HALF_OPEN: "half-open"
+};
+
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN = 30000; // 30 seconds
+
+// Only failures that say something about the source's health trip the breaker;
+// rate limiting is handled by back-off and a 404 is a perfectly healthy answer
+const CIRCUIT_FAILURE_TYPES = new Set([
+    API_ERROR_TYPES.NETWORK,
+    API_ERROR_TYPES.TIMEOUT,
+    API_ERROR_TYPES.SERVER
+]);
+
+const circuits = new Map();
+const healthListeners = new Set();
+let circuitTimer = null;
+
+const getCircuit = (source) => {
+    if (!circuits.has(source)) {
+        circuits.set(source, { state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: 0, probe: null });
+    }
+    return circuits.get(source);
+};
+
+// An open circuit half-opens once its cooldown has passed
+const refreshCircuit = (circuit) => {
+    if (circuit.state === CIRCUIT_STATES.OPEN && Date.now() - circuit.openedAt >= CIRCUIT_COOLDOWN) {
+        circuit.state = CIRCUIT_STATES.HALF_OPEN;
+        circuit.probe = null;
+    }
+    return circuit;
+};
+
+export const getSourceHealth = (source) => {
+    const circuit = refreshCircuit(getCircuit(source));
+    return {
+        source,
+        state: circuit.state,
+        failures: circuit.failures,
+        retryAt: circuit.state === CIRCUIT_STATES.OPEN ? circuit.openedAt + CIRCUIT_COOLDOWN : null
+    };
+};
+
+export const getAllSourceHealth = () => (
+    Object.keys(LIVE_API_BASES).map(source => getSourceHealth(source))
+);
+
+// Subscribe to circuit changes; returns an unsubscribe function
+export const onSourceHealthChange = (listener) => {
+    healthListeners.add(listener);
+    return () => healthListeners.delete(listener);
+};
+
+const notifyHealthListeners = () => {
+    const health = getAllSourceHealth();
+    healthListeners.forEach(listener => listener(health));
+    
+    // Tell listeners when the next open circuit half-opens
+    clearTimeout(circuitTimer);
+    const nextRetry = Math.min(...health.map(entry => entry.retryAt ?? Infinity));
+    if (Number.isFinite(nextRetry)) {
+        circuitTimer = setTimeout(notifyHealthListeners, Math.max(0, nextRetry - Date.now()));
+    }
+};
+
+// A source can take requests unless its circuit is open (or half-open with a probe in flight)
+export const isSourceAvailable = (source) => {
+    const circuit = refreshCircuit(getCircuit(source));
+    if (circuit.state === CIRCUIT_STATES.OPEN) return false;
+    return !(circuit.state === CIRCUIT_STATES.HALF_OPEN && circuit.probe);
+};
+
+// Order sources by preference, putting those with an open circuit last
+export const getHealthySources = (preferred) => [
+    ...preferred.filter(source => isSourceAvailable(source)),
+    ...preferred.filter(source => !isSourceAvailable(source))
+];
+
+// Claim permission to send a request, throwing when the circuit is open
+// Returns a token when this request is the half-open probe, otherwise null;
+// pass it back to leaveCircuit so only the probe itself frees the slot
+const enterCircuit = (url) => {
+    const source = resolveSource(url)?.source;
+    if (!source) return null;
+    
+    const circuit = refreshCircuit(getCircuit(source));
+    if (isSourceAvailable(source)) {
+        if (circuit.state !== CIRCUIT_STATES.HALF_OPEN) return null;
+        circuit.probe = { url };
+        return circuit.probe;
+    }
+    
+    const retryAfter = circuit.state === CIRCUIT_STATES.OPEN
+        ? Math.max(0, circuit.openedAt + CIRCUIT_COOLDOWN - Date.now())
+        : null;
+    throw new ApiError(API_ERROR_TYPES.UNAVAILABLE, "Circuit open, request not sent", { url, retryAfter });
+};
+
+// Record how a request ended; error is null on success
+// probe is what enterCircuit returned for the request
+const leaveCircuit = (url, error, probe = null) => {
+    const source = resolveSource(url)?.source;
+    if (!source) return;
+    
+    const circuit = getCircuit(source);
+    const previous = `${circuit.state}:${circuit.failures}`;
+    if (probe && circuit.probe === probe) circuit.probe = null;
+    
+    if (error && isAbortError(error)) {
+        // Cancelled: no verdict; a cancelled probe lets another request probe
+        return;
+    }
+    
+    if (error && CIRCUIT_FAILURE_TYPES.has(error.type)) {
+        circuit.failures += 1;
+        if (circuit.state === CIRCUIT_STATES.HALF_OPEN || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+            if (circuit.state !== CIRCUIT_STATES.OPEN) console.warn(`Circuit opened for ${source}`);
+            circuit.state = CIRCUIT_STATES.OPEN;
+            circuit.openedAt = Date.now();
+        }
+    } else if (!error || error.type !== API_ERROR_TYPES.UNAVAILABLE) {
+        circuit.state = CIRCUIT_STATES.CLOSED;
+        circuit.failures = 0;
+    }
+    
+    if (`${circuit.state}:${circuit.failures}` !== previous) notifyHealthListeners();
+};
+
+// fetch() through the transport, aborted with a TimeoutError after REQUEST_TIMEOUT
+const fetchWithTimeout = async (url, options = {}) => {
+    const { signal } = options;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    
+    const timer = setTimeout(() => {
+        controller.abort(new DOMException(`No response after ${REQUEST_TIMEOUT / 1000}s`, "TimeoutError"));
+    }, REQUEST_TIMEOUT);
+    
+    try {
+        return await apiFetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+    }
+};
+
+// Parse a response body, rejecting anything that is not a JSON object
+const readJson = async (response, url) => {
+    const data = await response.json();
+    if (data === null || typeof data !== "object") {
+        throw new ApiError(API_ERROR_TYPES.MALFORMED, "Expected a JSON object", { url, status: response.status });
+    }
+    return data;
+};
 
 // Generic fetch with retry logic
-const fetchWithRetry = async (url, options = {}, retries = 3) => {
+// options.cachePolicy serves the response through the persistent cache, and
+// options.refresh skips the cached copy and stores the new response;
+// options.signal cancels the request, including any retry wait.
+// Failures reject with an ApiError; only retryable ones are attempted again
+export const fetchWithRetry = async (url, options = {}, retries = 3) => {
+    const { cachePolicy, refresh, ...fetchOptions } = options;
+    const request = (signal) => requestWithRetry(url, { ...fetchOptions, signal }, retries);
+    
+    return cachePolicy
+        ? cachedFetch(url, cachePolicy, request, { signal: fetchOptions.signal, refresh })
+        : request(fetchOptions.signal);
+};
+
+const requestWithRetry = async (url, options = {}, retries = 3) => {
     for (let i = 0; i < retries; i++) {
+        // Throws without sending anything while the source's circuit is open
+        const probe = enterCircuit(url);
+        
         try {
-            const response = await fetch(url, {
+            const response = await fetchWithTimeout(url, {
                 ...options,
                 cache: "no-store"
             });
             
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                throw responseError(response, url);
             }
             
-            return await response.json();
-        } catch (error) {
-            if (i === retries - 1) throw error;
-            await new Promise(resolve => setTimeout(resolve, 400 * (i + 1)));
+            const data = await readJson(response, url);
+            leaveCircuit(url, null, probe);
+            return data;
+        } catch (failure) {
+            if (isAbortError(failure)) {
+                leaveCircuit(url, failure, probe);
+                throw failure;
+            }
+            
+            const error = toApiError(failure, url);
+            leaveCircuit(url, error, probe);
+            if (!error.retryable || i === retries - 1) throw error;
+            await wait(error.retryAfter ?? 400 * (i + 1), options.signal);
+        }
+    }
+};
+
+// MusicBrainz request scheduler
+// Every MusicBrainz call in the app goes through this one queue, which sends
+// at most one request per second, backs off on 503/429 responses (honouring
+// Retry-After) and serves user-initiated requests before background ones
+export const MUSICBRAINZ_PRIORITY = {
+    USER: 0,
+    BACKGROUND: 1
+};
+
+const musicBrainzQueue = [];
+const musicBrainzListeners = new Set();
+let musicBrainzActive = null;
+let musicBrainzNextSlot = 0;
+let musicBrainzDraining = false;
+
+export const getMusicBrainzQueueStatus = () => ({
+    depth: musicBrainzQueue.length + (musicBrainzActive ? 1 : 0),
+    queued: musicBrainzQueue.length,
+    // Set while the queue is paused by a 503/429 back-off
+    retryAt: musicBrainzNextSlot - Date.now() > MUSICBRAINZ_RATE_LIMIT ? musicBrainzNextSlot : null
+});
+
+// Subscribe to queue changes; returns an unsubscribe function
+export const onMusicBrainzQueueChange = (listener) => {
+    musicBrainzListeners.add(listener);
+    return () => musicBrainzListeners.delete(listener);
+};
+
+const notifyMusicBrainzListeners = () => {
+    const status = getMusicBrainzQueueStatus();
+    musicBrainzListeners.forEach(listener => listener(status));
+};
+
+// Keep the queue ordered by priority, first-in first-out within a priority;
+// retried jobs go back to the front of their priority
+const enqueueMusicBrainzJob = (job, { retry = false } = {}) => {
+    let index = musicBrainzQueue.findIndex(queued => (
+        retry ? queued.priority >= job.priority : queued.priority > job.priority
+    ));
+    if (index === -1) index = musicBrainzQueue.length;
+    musicBrainzQueue.splice(index, 0, job);
+    notifyMusicBrainzListeners();
+};
+
+const settleMusicBrainzJob = (job) => {
+    job.signal?.removeEventListener("abort", job.onAbort);
+};
+
+const retryMusicBrainzJob = (job, delay) => {
+    musicBrainzNextSlot = Math.max(musicBrainzNextSlot, Date.now() + delay);
+    enqueueMusicBrainzJob(job, { retry: true });
+};
+
+const runMusicBrainzJob = async (job) => {
+    job.attempts += 1;
+    const backoff = MUSICBRAINZ_RATE_LIMIT * 2 ** job.attempts;
+    const canRetry = job.attempts < MUSICBRAINZ_MAX_ATTEMPTS;
+    
+    let probe;
+    try {
+        probe = enterCircuit(job.url);
+    } catch (error) {
+        settleMusicBrainzJob(job);
+        job.reject(error);
+        return;
+    }
+    
+    try {
+        const response = await fetchWithTimeout(job.url, {
+            cache: "no-store",
+            signal: job.signal,
+            headers: {
+                'User-Agent': API_CONFIG.musicbrainz.userAgent,
+                'Accept': 'application/json'
+            }
+        });
+        
+        if (!response.ok) {
+            throw responseError(response, job.url);
+        }
+        
+        const data = await readJson(response, job.url);
+        leaveCircuit(job.url, null, probe);
+        settleMusicBrainzJob(job);
+        job.resolve(data);
+    } catch (failure) {
+        if (isAbortError(failure)) {
+            leaveCircuit(job.url, failure, probe);
+            settleMusicBrainzJob(job);
+            job.reject(failure);
+            return;
         }
+        
+        // 503/429 and network failures go back in the queue, honouring Retry-After
+        const error = toApiError(failure, job.url);
+        leaveCircuit(job.url, error, probe);
+        if (error.retryable && canRetry) {
+            retryMusicBrainzJob(job, error.retryAfter ?? backoff);
+            return;
+        }
+        settleMusicBrainzJob(job);
+        job.reject(error);
     }
 };
 
-// Rate limiting for MusicBrainz
-const rateLimitMusicBrainz = async () => {
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastMusicBrainzRequest;
-    if (timeSinceLastRequest < MUSICBRAINZ_RATE_LIMIT) {
-        await new Promise(resolve => 
-            setTimeout(resolve, MUSICBRAINZ_RATE_LIMIT - timeSinceLastRequest)
-        );
+const drainMusicBrainzQueue = async () => {
+    if (musicBrainzDraining) return;
+    musicBrainzDraining = true;
+    
+    try {
+        while (musicBrainzQueue.length > 0) {
+            const delay = musicBrainzNextSlot - Date.now();
+            if (delay > 0) await wait(delay);
+            
+            // Jobs may have been cancelled, or outranked, while waiting
+            const job = musicBrainzQueue.shift();
+            if (!job) break;
+            
+            musicBrainzActive = job;
+            musicBrainzNextSlot = Date.now() + MUSICBRAINZ_RATE_LIMIT;
+            notifyMusicBrainzListeners();
+            
+            await runMusicBrainzJob(job);
+            
+            musicBrainzActive = null;
+            notifyMusicBrainzListeners();
+        }
+    } finally {
+        musicBrainzDraining = false;
     }
-    lastMusicBrainzRequest = Date.now();
 };
 
-// Met Museum API functions
-export const searchMetArtifacts = async (query = "Luba", hasImages = true) => {
-    const params = new URLSearchParams({
-        q: query,
-        hasImages: hasImages
+// Queue a MusicBrainz request and resolve with its JSON body
+// Aborting a queued request removes it from the queue, releasing its slot
+export const scheduleMusicBrainzRequest = (url, { priority = MUSICBRAINZ_PRIORITY.USER, signal } = {}) => {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        
+        const job = { url, priority, signal, resolve, reject, attempts: 0 };
+        job.onAbort = () => {
+            const index = musicBrainzQueue.indexOf(job);
+            if (index === -1) return; // In flight: fetch rejects on its own
+            musicBrainzQueue.splice(index, 1);
+            notifyMusicBrainzListeners();
+            reject(signal.reason);
+        };
+        signal?.addEventListener("abort", job.onAbort, { once: true });
+        
+        enqueueMusicBrainzJob(job);
+        drainMusicBrainzQueue();
     });
+};
+
+// Fetch a MusicBrainz endpoint through the response cache and the shared scheduler
+// Background cache revalidations are queued behind user-initiated requests;
+// refresh skips the cached copy
+export const fetchMusicBrainz = (endpoint, params = {}, { priority = MUSICBRAINZ_PRIORITY.USER, signal, refresh = false } = {}) => {
+    const query = new URLSearchParams({ ...params, fmt: "json" });
+    const url = `${API_CONFIG.musicbrainz.base}/${endpoint}?${query}`;
+    
+    return cachedFetch(
+        url,
+        "musicbrainz",
+        (requestSignal, { background = false } = {}) => scheduleMusicBrainzRequest(url, {
+            priority: background ? MUSICBRAINZ_PRIORITY.BACKGROUND : priority,
+            signal: requestSignal
+        }),
+        { signal, refresh }
+    );
+};
+
+// Met Museum API functions
+
+// Met department ids accepted by the departmentId search filter
+export const MET_DEPARTMENTS = {
+    ARTS_OF_AFRICA_OCEANIA_AMERICAS: 5
+};
+
+// Places used for the Democratic Republic of the Congo in Met records
+export const MET_DRC_LOCATIONS = ["Democratic Republic of the Congo", "Zaire"];
+
+const MET_EARLIEST_YEAR = -5000;
+
+// Met search query builder
+// Pushes filters down to the Met search endpoint so only matching object IDs
+// come back, instead of fetching every object and filtering client-side:
+// {
+//   q,               search terms (default "Luba")
+//   hasImages,       only objects with images
+//   isHighlight,     only objects the Met marks as highlights
+//   artistOrCulture, match q against the artist name or culture only
+//   departmentId,    a MET_DEPARTMENTS id
+//   geoLocation,     place or list of places, e.g. MET_DRC_LOCATIONS
+//   medium,          object type or material, or a list of them
+//   dateBegin,       years; the Met needs both bounds, so a missing one is
+//   dateEnd          left open
+// }
+// The Met treats a flag that is present as true, so false flags are omitted
+export const buildMetSearchParams = (criteria = {}) => {
+    const {
+        q = "Luba",
+        hasImages = false,
+        isHighlight = false,
+        artistOrCulture = false,
+        departmentId = null,
+        geoLocation = null,
+        medium = null,
+        dateBegin = null,
+        dateEnd = null
+    } = criteria;
+    
+    const params = new URLSearchParams();
+    if (hasImages) params.set("hasImages", "true");
+    if (isHighlight) params.set("isHighlight", "true");
+    if (artistOrCulture) params.set("artistOrCulture", "true");
+    if (Number.isInteger(departmentId)) params.set("departmentId", departmentId);
+    
+    const places = toList(geoLocation);
+    if (places.length > 0) params.set("geoLocation", places.join("|"));
+    
+    const mediums = toList(medium);
+    if (mediums.length > 0) params.set("medium", mediums.join("|"));
     
-    const data = await fetchWithRetry(`${API_CONFIG.met.search}?${params}`);
+    const begin = toYear(dateBegin);
+    const end = toYear(dateEnd);
+    if (begin !== null || end !== null) {
+        params.set("dateBegin", begin ?? MET_EARLIEST_YEAR);
+        params.set("dateEnd", end ?? new Date().getFullYear());
+    }
+    
+    params.set("q", q);
+    return params;
+};
+
+export const buildMetSearchUrl = (criteria = {}) => (
+    `${API_CONFIG.met.search}?${buildMetSearchParams(criteria)}`
+);
+
+// Search the Met with query-builder criteria; resolves to matching object IDs
+export const searchMetCollection = async (criteria = {}, { signal } = {}) => {
+    const data = await fetchWithRetry(buildMetSearchUrl(criteria), {
+        cachePolicy: "met-search",
+        signal
+    });
     return data.objectIDs || [];
 };
 
-export const getMetObject = async (objectId) => {
-    return await fetchWithRetry(`${API_CONFIG.met.object}/${objectId}`);
+export const searchMetArtifacts = async (query = "Luba", hasImages = true, { signal } = {}) => {
+    return searchMetCollection({ q: query, hasImages }, { signal });
 };
 
-export const getMetObjects = async (objectIds) => {
+export const getMetObject = async (objectId, { signal, refresh = false } = {}) => {
+    return await fetchWithRetry(`${API_CONFIG.met.object}/${objectId}`, {
+        cachePolicy: "met-object",
+        refresh,
+        signal
+    });
+};
+
+export const getMetObjects = async (objectIds, { signal } = {}) => {
     const results = await Promise.allSettled(
-        objectIds.map(id => getMetObject(id))
+        objectIds.map(id => getMetObject(id, { signal }))
     );
+    signal?.throwIfAborted();
+    
+    // Nothing came back: surface why (often an open circuit) instead of an empty list
+    if (results.length > 0 && results.every(result => result.status === "rejected")) {
+        throw results[0].reason;
+    }
     
     return results
         .filter(result => result.status === "fulfilled")
@@ -82,135 +651,1077 @@ export const getMetObjects = async (objectIds) => {
 };
 
 // Cleveland Museum API functions
-export const searchClevelandArtifacts = async (query = "Luba", limit = 100) => {
-    const params = new URLSearchParams({
-        q: query,
-        has_image: 1,
-        limit: limit
-    });
+
+// Largest page the Cleveland Open Access API returns
+const CLEVELAND_MAX_LIMIT = 1000;
+
+// Cleveland search query builder
+// Pushes filters and paging down to the Open Access API:
+// {
+//   q,              search terms (default "Luba")
+//   hasImage,       only artworks with web images (default true)
+//   type,           artwork type, e.g. "Sculpture" or "Mask"
+//   department,     e.g. "African Art"
+//   createdAfter,   years; artworks created in or after / before them
+//   createdBefore,
+//   cc0,            only CC0 (public domain) artworks
+//   skip,           index of the first result to return
+//   limit           page size, at most CLEVELAND_MAX_LIMIT
+// }
+export const buildClevelandSearchParams = (criteria = {}) => {
+    const {
+        q = "Luba",
+        hasImage = true,
+        type = null,
+        department = null,
+        createdAfter = null,
+        createdBefore = null,
+        cc0 = false,
+        skip = 0,
+        limit = 100
+    } = criteria;
+    
+    const params = new URLSearchParams({ q });
+    if (hasImage) params.set("has_image", 1);
+    if (type) params.set("type", type);
+    if (department) params.set("department", department);
+    
+    const after = toYear(createdAfter);
+    const before = toYear(createdBefore);
+    if (after !== null) params.set("created_after", after);
+    if (before !== null) params.set("created_before", before);
     
-    const data = await fetchWithRetry(`${API_CONFIG.cleveland.search}?${params}`);
-    return data.data || [];
+    if (cc0) params.set("cc0", 1);
+    if (skip > 0) params.set("skip", skip);
+    params.set("limit", Math.min(Math.max(1, limit), CLEVELAND_MAX_LIMIT));
+    return params;
 };
 
-// MusicBrainz API functions
-export const searchMusicBrainzArtists = async (query = "luba", limit = 25, offset = 0) => {
-    await rateLimitMusicBrainz();
-    
-    const params = new URLSearchParams({
-        query: query,
-        limit: limit,
-        offset: offset,
-        fmt: "json"
+export const buildClevelandSearchUrl = (criteria = {}) => (
+    `${API_CONFIG.cleveland.search}?${buildClevelandSearchParams(criteria)}`
+);
+
+// Search Cleveland with query-builder criteria
+// Resolves to one page: { total, skip, artworks }
+export const searchClevelandCollection = async (criteria = {}, { signal } = {}) => {
+    const data = await fetchWithRetry(buildClevelandSearchUrl(criteria), {
+        cachePolicy: "cleveland",
+        signal
     });
+    const artworks = data.data || [];
+    return {
+        total: data.info?.total ?? artworks.length,
+        skip: criteria.skip || 0,
+        artworks
+    };
+};
+
+export const searchClevelandArtifacts = async (query = "Luba", limit = 100, { signal } = {}) => {
+    const page = await searchClevelandCollection({ q: query, limit }, { signal });
+    return page.artworks;
+};
+
+// A paged source that fails this many times in a row is given up on, so
+// "Load more" reaches an end instead of retrying a dead source forever
+const PAGE_MAX_FAILURES = 3;
+
+// Paging iterator over every Cleveland artwork matching the criteria
+// next({ signal }) fetches the following page and resolves to
+// { done, value: artworks }; a failed page is fetched again by the next call,
+// until PAGE_MAX_FAILURES failures in a row end the paging (getError() has the last one).
+// The pager is also async-iterable: for await (const artworks of pager) { ... }
+export const createClevelandPager = (criteria = {}, { pageSize = 48 } = {}) => {
+    let skip = criteria.skip || 0;
+    let total = null;
+    let failures = 0;
+    let lastError = null;
     
-    const data = await fetchWithRetry(
-        `${API_CONFIG.musicbrainz.base}/artist?${params}`,
-        {
-            headers: {
-                'User-Agent': API_CONFIG.musicbrainz.userAgent,
-                'Accept': 'application/json'
+    const hasMore = () => failures < PAGE_MAX_FAILURES && (total === null || skip < total);
+    
+    const next = async ({ signal } = {}) => {
+        if (!hasMore()) return { done: true, value: undefined };
+        
+        let page;
+        try {
+            page = await searchClevelandCollection({ ...criteria, skip, limit: pageSize }, { signal });
+        } catch (error) {
+            if (!isAbortError(error)) {
+                failures += 1;
+                lastError = error;
             }
+            throw error;
         }
-    );
+        failures = 0;
+        skip += pageSize;
+        // An empty page means the holdings ended earlier than reported
+        total = page.artworks.length === 0 ? skip : page.total;
+        return { done: false, value: page.artworks };
+    };
     
     return {
-        count: data.count || 0,
-        artists: data.artists || []
+        next,
+        hasMore,
+        getTotal: () => total,
+        getError: () => lastError,
+        [Symbol.asyncIterator]: () => ({ next: () => next() })
     };
 };
 
-export const searchMusicBrainzRecordings = async (query = "luba", limit = 25, offset = 0) => {
-    await rateLimitMusicBrainz();
-    
-    const params = new URLSearchParams({
-        query: query,
-        limit: limit,
-        offset: offset,
-        fmt: "json"
+export const getClevelandArtifact = async (artworkId, { signal, refresh = false } = {}) => {
+    const data = await fetchWithRetry(`${API_CONFIG.cleveland.search}/${artworkId}`, {
+        cachePolicy: "cleveland",
+        refresh,
+        signal
     });
+    return data.data || null;
+};
+
+// Museum source adapters
+// Each adapter maps one museum's raw payload into the canonical Artifact shape,
+// so renderers and filters never need to know which museum a record came from:
+// {
+//   id,            "<source>:<sourceId>", unique across museums
+//   source,        adapter key ("met", "cleveland", ...)
+//   sourceId,      the museum's own object id
+//   sourceName,    display name of the holding museum
+//   title,
+//   makers,        [{ name, role }]
+//   date,          { display, begin, end } (begin/end are years or null)
+//   medium,
+//   culture,       [string]
+//   geography,     { country, region, locale, places: [string] }
+//   images,        { primary, thumbnail, additional: [url] }
+//   links,         { object, api }
+//   rights,        { isPublicDomain, license, creditLine, statement }
+//   accessionNumber, classification, department, dimensions, description, tags
+// }
+// adapter.search(query, { offset, limit, signal, filters }) resolves to one
+// page of raw records: { total, records }. Optional filters are pushed down
+// to the museum where it supports them:
+// { dateBegin, dateEnd, geoLocation, medium, departmentId, isHighlight }
+// (Cleveland supports the date range; the Met supports all of them)
+// adapter.getById(sourceId, { signal, refresh }) resolves to one raw record
+const sourceAdapters = new Map();
+
+export const registerSourceAdapter = (key, adapter) => {
+    sourceAdapters.set(key, { key, ...adapter });
+};
+
+export const getSourceAdapter = (key) => sourceAdapters.get(key) || null;
+
+export const getSourceAdapters = () => [...sourceAdapters.values()];
+
+// Coerce a string, array or missing value into a clean list of strings
+const toList = (value) => {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : [value];
+    return items
+        .map(item => (typeof item === "string" ? item.trim() : ""))
+        .filter(Boolean);
+};
+
+const toYear = (value) => {
+    const year = parseInt(value, 10);
+    return Number.isFinite(year) ? year : null;
+};
+
+export const buildArtifactId = (source, sourceId) => `${source}:${sourceId}`;
+
+export const parseArtifactId = (artifactId) => {
+    const value = String(artifactId);
+    const separator = value.indexOf(":");
+    if (separator === -1) return { source: null, sourceId: value };
+    return {
+        source: value.slice(0, separator),
+        sourceId: value.slice(separator + 1)
+    };
+};
+
+// Response schemas
+// Third-party payloads are checked against these before anything renders them.
+// Known variants are coerced (a culture string becomes a list, a numeric
+// string a number, a missing list an empty one). A record missing a required
+// field, or holding one that cannot be coerced, is quarantined and skipped;
+// an optional field that cannot be coerced falls back to its default.
+// A field spec is a type name or { type, required, items, fields }:
+//   string, number, boolean, id, stringList, array (items), object (fields)
+// Undeclared fields pass through untouched.
+const FIELD_DEFAULTS = {
+    string: () => "",
+    number: () => null,
+    boolean: () => false,
+    id: () => null,
+    stringList: () => [],
+    array: () => [],
+    object: () => null
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const MUSICBRAINZ_ARTIST_CREDIT = { name: "string", artist: "object" };
+
+const RESPONSE_SCHEMAS = {
+    metObject: {
+        objectID: { type: "id", required: true },
+        title: "string",
+        artistDisplayName: "string",
+        artistRole: "string",
+        artistNationality: "string",
+        objectDate: "string",
+        objectBeginDate: "number",
+        objectEndDate: "number",
+        medium: "string",
+        culture: "stringList",
+        country: "string",
+        region: "string",
+        subregion: "string",
+        city: "string",
+        state: "string",
+        locale: "string",
+        primaryImage: "string",
+        primaryImageSmall: "string",
+        additionalImages: "stringList",
+        objectURL: "string",
+        isPublicDomain: "boolean",
+        creditLine: "string",
+        accessionNumber: "string",
+        classification: "string",
+        department: "string",
+        dimensions: "string",
+        tags: { type: "array", items: { term: { type: "string", required: true } } }
+    },
+    clevelandArtwork: {
+        id: { type: "id", required: true },
+        title: "string",
+        creators: { type: "array", items: { description: "string", role: "string" } },
+        creation_date: "string",
+        creation_date_earliest: "number",
+        creation_date_latest: "number",
+        technique: "string",
+        culture: "stringList",
+        find_spot: "string",
+        images: { type: "object", fields: { web: "object", print: "object" } },
+        alternate_images: "array",
+        url: "string",
+        share_license_status: "string",
+        credit_line: "string",
+        accession_number: "string",
+        type: "string",
+        department: "string",
+        measurements: "string",
+        wall_description: "string",
+        description: "string"
+    },
+    musicBrainzArtist: {
+        id: { type: "id", required: true },
+        name: { type: "string", required: true },
+        type: "string",
+        country: "string",
+        disambiguation: "string",
+        "life-span": "object",
+        area: "object",
+        "begin-area": "object",
+        aliases: { type: "array", items: { name: { type: "string", required: true }, locale: "string", type: "string" } },
+        tags: { type: "array", items: { name: { type: "string", required: true } } },
+        genres: { type: "array", items: { name: { type: "string", required: true } } },
+        "release-groups": { type: "array", items: { id: { type: "id", required: true }, title: { type: "string", required: true } } },
+        recordings: { type: "array", items: { id: { type: "id", required: true }, title: { type: "string", required: true }, length: "number" } },
+        relations: "array"
+    },
+    musicBrainzRecording: {
+        id: { type: "id", required: true },
+        title: { type: "string", required: true },
+        length: "number",
+        disambiguation: "string",
+        "artist-credit": { type: "array", items: MUSICBRAINZ_ARTIST_CREDIT },
+        releases: { type: "array", items: { id: { type: "id", required: true }, title: "string", "release-group": "object" } }
+    },
+    musicBrainzRelease: {
+        id: { type: "id", required: true },
+        title: { type: "string", required: true },
+        status: "string",
+        date: "string",
+        country: "string",
+        disambiguation: "string",
+        "artist-credit": { type: "array", items: MUSICBRAINZ_ARTIST_CREDIT },
+        "release-group": { type: "object", fields: { id: "id", "primary-type": "string" } }
+    },
+    musicBrainzReleaseGroup: {
+        id: { type: "id", required: true },
+        title: { type: "string", required: true },
+        "primary-type": "string",
+        "secondary-types": "stringList",
+        "first-release-date": "string",
+        disambiguation: "string",
+        "artist-credit": { type: "array", items: MUSICBRAINZ_ARTIST_CREDIT }
+    },
+    coverArtImage: {
+        image: { type: "string", required: true },
+        front: "boolean",
+        types: "stringList",
+        thumbnails: "object"
+    },
+    musicBrainzInstrument: {
+        id: { type: "id", required: true },
+        name: { type: "string", required: true },
+        type: "string",
+        description: "string",
+        disambiguation: "string",
+        annotation: "string",
+        tags: { type: "array", items: { name: { type: "string", required: true } } },
+        relations: "array"
+    },
+    lexiconEntry: {
+        id: "id",
+        headword: { type: "string", required: true },
+        partOfSpeech: "string",
+        english: { type: "stringList", required: true },
+        french: "stringList",
+        examples: {
+            type: "array",
+            items: { kiluba: { type: "string", required: true }, english: "string", french: "string" }
+        },
+        source: { type: "object", fields: { citation: "string", url: "string" } },
+        audio: "string"
+    },
+    narrative: {
+        id: { type: "id", required: true },
+        title: { type: "string", required: true },
+        summary: "string",
+        fullText: "string",
+        tags: "stringList",
+        source: { type: "object", fields: { citation: "string", url: "string" } }
+    },
+    // The canonical Artifact produced by the source adapters
+    artifact: {
+        id: { type: "id", required: true },
+        title: "string",
+        makers: { type: "array", items: { name: { type: "string", required: true }, role: "string" } },
+        date: { type: "object", fields: { display: "string", begin: "number", end: "number" } },
+        medium: "string",
+        culture: "stringList",
+        geography: { type: "object", fields: { country: "string", region: "string", locale: "string", places: "stringList" } },
+        images: { type: "object", fields: { primary: "string", thumbnail: "string", additional: "stringList" } },
+        links: { type: "object", fields: { object: "string", api: "string" } },
+        rights: { type: "object", fields: { isPublicDomain: "boolean", creditLine: "string", statement: "string" } },
+        accessionNumber: "string",
+        classification: "string",
+        department: "string",
+        dimensions: "string",
+        description: "string",
+        tags: "stringList"
+    }
+};
+
+// Coerce one value to a field type: { value } or { error }
+const coerceValue = (value, type) => {
+    if (value === null || value === undefined) return { value: FIELD_DEFAULTS[type]() };
     
-    const data = await fetchWithRetry(
-        `${API_CONFIG.musicbrainz.base}/recording?${params}`,
-        {
-            headers: {
-                'User-Agent': API_CONFIG.musicbrainz.userAgent,
-                'Accept': 'application/json'
+    switch (type) {
+        case "string":
+            if (typeof value === "string") return { value: value.trim() };
+            if (typeof value === "number" || typeof value === "boolean") return { value: String(value) };
+            return { error: "expected text" };
+        case "number": {
+            if (value === "") return { value: null };
+            const number = Number(value);
+            return Number.isFinite(number) ? { value: number } : { error: "expected a number" };
+        }
+        case "boolean":
+            if (typeof value === "boolean") return { value };
+            if (value === "true" || value === 1) return { value: true };
+            if (value === "false" || value === 0) return { value: false };
+            return { error: "expected true or false" };
+        case "id":
+            if (typeof value === "number" && Number.isFinite(value)) return { value };
+            if (typeof value === "string" && value.trim()) return { value: value.trim() };
+            return { error: "expected an id" };
+        case "stringList": {
+            const items = Array.isArray(value) ? value : [value];
+            if (items.some(item => typeof item !== "string" && typeof item !== "number")) {
+                return { error: "expected a list of text" };
             }
+            return { value: items.map(item => String(item).trim()).filter(Boolean) };
         }
-    );
+        case "array":
+            return Array.isArray(value) ? { value } : { error: "expected a list" };
+        case "object":
+            return isPlainObject(value) ? { value } : { error: "expected an object" };
+        default:
+            return { error: `unknown field type "${type}"` };
+    }
+};
+
+const isMissing = (value) => value === null || value === "" || (Array.isArray(value) && value.length === 0);
+
+// Validate a record against a schema: { valid, record, problems }
+// problems lists every field that failed; only required ones make it invalid
+const validateAgainst = (schema, raw) => {
+    if (!isPlainObject(raw)) {
+        return { valid: false, record: null, problems: ["record is not an object"] };
+    }
+    
+    const record = { ...raw };
+    const problems = [];
+    let valid = true;
+    
+    Object.entries(schema).forEach(([field, spec]) => {
+        const { type, required = false, items, fields } = typeof spec === "string" ? { type: spec } : spec;
+        let { value, error } = coerceValue(raw[field], type);
+        
+        if (!error && type === "array" && items) {
+            // Malformed entries are dropped from the list, not the whole record
+            value = value
+                .map(item => (typeof items === "string"
+                    ? coerceValue(item, items).value
+                    : validateAgainst(items, item)))
+                .filter(item => (typeof items === "string"
+                    ? item !== undefined
+                    : item.valid))
+                .map(item => (typeof items === "string" ? item : item.record));
+        }
+        if (!error && type === "object" && fields) {
+            value = validateAgainst(fields, value || {}).record;
+        }
+        
+        if (error) {
+            problems.push(`${field}: ${error}`);
+            value = FIELD_DEFAULTS[type]();
+        }
+        if (required && isMissing(value)) {
+            if (!error) problems.push(`${field}: missing`);
+            valid = false;
+        }
+        record[field] = value;
+    });
+    
+    return { valid, record, problems };
+};
+
+// Malformed records, newest first; one entry per schema and record id
+const QUARANTINE_LIMIT = 100;
+const quarantineLog = [];
+
+const quarantineRecord = (schemaName, raw, problems) => {
+    const recordId = isPlainObject(raw) ? raw.id ?? raw.objectID ?? null : null;
+    const existing = quarantineLog.findIndex(entry => (
+        entry.schema === schemaName && recordId !== null && entry.recordId === recordId
+    ));
+    if (existing !== -1) quarantineLog.splice(existing, 1);
+    
+    quarantineLog.unshift({
+        schema: schemaName,
+        recordId,
+        problems,
+        record: raw,
+        quarantinedAt: new Date().toISOString()
+    });
+    quarantineLog.length = Math.min(quarantineLog.length, QUARANTINE_LIMIT);
+    console.warn(`Skipped malformed ${schemaName} record${recordId !== null ? ` ${recordId}` : ""}:`, problems.join("; "));
+};
+
+export const getQuarantineLog = () => quarantineLog.map(entry => ({ ...entry }));
+
+export const clearQuarantineLog = () => {
+    quarantineLog.length = 0;
+};
+
+// Validate one record; malformed ones are quarantined and come back as null
+export const validateRecord = (schemaName, raw) => {
+    const schema = RESPONSE_SCHEMAS[schemaName];
+    if (!schema) throw new Error(`No response schema named "${schemaName}"`);
+    
+    const result = validateAgainst(schema, raw);
+    if (!result.valid) {
+        quarantineRecord(schemaName, raw, result.problems);
+        return null;
+    }
+    return result.record;
+};
+
+// Validate a list of records: { records, skipped }
+// A payload that is not a list at all counts as one skipped record
+export const validateRecords = (schemaName, records) => {
+    if (records === null || records === undefined) return { records: [], skipped: 0 };
+    if (!Array.isArray(records)) {
+        quarantineRecord(schemaName, records, ["expected a list of records"]);
+        return { records: [], skipped: 1 };
+    }
+    
+    const valid = records
+        .map(record => validateRecord(schemaName, record))
+        .filter(Boolean);
+    return { records: valid, skipped: records.length - valid.length };
+};
+
+// Validate the raw record against its source schema, map it through the
+// adapter and check the result is a well-formed Artifact; null when malformed
+export const normalizeArtifact = (raw, source) => {
+    const adapter = getSourceAdapter(source);
+    if (!adapter) {
+        throw new Error(`No source adapter registered for "${source}"`);
+    }
+    if (!raw) return null;
+
+    const record = adapter.schema ? validateRecord(adapter.schema, raw) : raw;
+    if (!record) return null;
+
+    const fields = adapter.toArtifact(record);
+    return validateRecord("artifact", {
+        id: buildArtifactId(source, fields.sourceId),
+        source,
+        sourceName: adapter.name,
+        ...fields
+    });
+};
+
+// Normalize a page of raw records: { artifacts, skipped }
+// skipped counts malformed records; records without an image are left out silently
+export const normalizeArtifactPage = (records, source) => {
+    const artifacts = [];
+    let skipped = 0;
+    (records || []).forEach((record) => {
+        const artifact = normalizeArtifact(record, source);
+        if (!artifact) skipped += 1;
+        else if (artifact.images.thumbnail) artifacts.push(artifact);
+    });
+    return { artifacts, skipped };
+};
+
+export const normalizeArtifacts = (records, source) => normalizeArtifactPage(records, source).artifacts;
+
+// Fetch a single artifact by its source-qualified id
+// refresh asks the museum again instead of answering from the response cache
+export const getArtifact = async (artifactId, { signal, refresh = false } = {}) => {
+    const { source, sourceId } = parseArtifactId(artifactId);
+    const adapter = getSourceAdapter(source);
+    if (!adapter) {
+        throw new Error(`Unknown artifact source for id "${artifactId}"`);
+    }
+
+    const raw = await adapter.getById(sourceId, { signal, refresh });
+    return normalizeArtifact(raw, source);
+};
+
+registerSourceAdapter("cleveland", {
+    name: "Cleveland Museum of Art",
+    schema: "clevelandArtwork",
+    search: async (query, { offset = 0, limit = 100, signal, filters = {} } = {}) => {
+        const page = await searchClevelandCollection({
+            q: query,
+            skip: offset,
+            limit,
+            createdAfter: filters.dateBegin,
+            createdBefore: filters.dateEnd
+        }, { signal });
+        return { total: page.total, records: page.artworks };
+    },
+    getById: getClevelandArtifact,
+    toArtifact: (raw) => ({
+        sourceId: raw.id,
+        title: raw.title || "Untitled",
+        makers: (raw.creators || []).map(creator => ({
+            name: creator.description || "Unknown artist",
+            role: creator.role || null
+        })),
+        date: {
+            display: raw.creation_date || "",
+            begin: toYear(raw.creation_date_earliest),
+            end: toYear(raw.creation_date_latest)
+        },
+        medium: raw.technique || "",
+        culture: toList(raw.culture),
+        geography: {
+            country: "",
+            region: "",
+            locale: raw.find_spot || "",
+            places: toList([...toList(raw.culture), raw.find_spot])
+        },
+        images: {
+            primary: raw.images?.print?.url || raw.images?.web?.url || "",
+            thumbnail: raw.images?.web?.url || raw.images?.print?.url || "",
+            additional: (raw.alternate_images || [])
+                .map(image => image?.web?.url)
+                .filter(Boolean)
+        },
+        links: {
+            object: raw.url || "",
+            api: `${API_CONFIG.cleveland.search}/${raw.id}`
+        },
+        rights: {
+            isPublicDomain: raw.share_license_status === "CC0",
+            license: raw.share_license_status || null,
+            creditLine: raw.credit_line || "",
+            statement: raw.copyright || ""
+        },
+        accessionNumber: raw.accession_number || "",
+        classification: raw.type || "",
+        department: raw.department || "",
+        dimensions: raw.measurements || "",
+        description: raw.wall_description || raw.description || "",
+        tags: []
+    })
+});
+
+registerSourceAdapter("met", {
+    name: "The Metropolitan Museum of Art",
+    schema: "metObject",
+    // The Met search returns every matching ID; only the requested slice is fetched
+    search: async (query, { offset = 0, limit = 10, signal, filters = {} } = {}) => {
+        const ids = await searchMetCollection({ ...filters, q: query, hasImages: true }, { signal });
+        const records = await getMetObjects(ids.slice(offset, offset + limit), { signal });
+        return { total: ids.length, records };
+    },
+    getById: getMetObject,
+    toArtifact: (raw) => ({
+        sourceId: raw.objectID,
+        title: raw.title || "Untitled",
+        makers: raw.artistDisplayName
+            ? [{ name: raw.artistDisplayName, role: raw.artistRole || null }]
+            : [],
+        date: {
+            display: raw.objectDate || "",
+            begin: toYear(raw.objectBeginDate),
+            end: toYear(raw.objectEndDate)
+        },
+        medium: raw.medium || "",
+        culture: toList(raw.culture),
+        geography: {
+            country: raw.country || "",
+            region: raw.region || "",
+            locale: raw.locale || "",
+            places: toList([
+                raw.country,
+                raw.region,
+                raw.subregion,
+                raw.city,
+                raw.state,
+                raw.geographyType,
+                raw.locale,
+                raw.artistNationality
+            ])
+        },
+        images: {
+            primary: raw.primaryImage || raw.primaryImageSmall || "",
+            thumbnail: raw.primaryImageSmall || raw.primaryImage || "",
+            additional: raw.additionalImages || []
+        },
+        links: {
+            object: raw.objectURL || "",
+            api: `${API_CONFIG.met.object}/${raw.objectID}`
+        },
+        rights: {
+            isPublicDomain: Boolean(raw.isPublicDomain),
+            license: raw.isPublicDomain ? "CC0" : null,
+            creditLine: raw.creditLine || "",
+            statement: raw.rightsAndReproduction || ""
+        },
+        accessionNumber: raw.accessionNumber || "",
+        classification: raw.classification || raw.objectName || "",
+        department: raw.department || "",
+        dimensions: raw.dimensions || "",
+        description: "",
+        tags: (raw.tags || []).map(tag => tag?.term).filter(Boolean)
+    })
+});
+
+// MusicBrainz API functions
+export const searchMusicBrainzArtists = async (query = "luba", limit = 25, offset = 0, options = {}) => {
+    const data = await fetchMusicBrainz("artist", { query, limit, offset }, options);
+    
+    const { records, skipped } = validateRecords("musicBrainzArtist", data.artists);
     
     return {
         count: data.count || 0,
-        recordings: data.recordings || []
+        artists: records,
+        skipped
     };
 };
 
-export const searchMusicBrainzInstruments = async (query = "luba", limit = 25, offset = 0) => {
-    await rateLimitMusicBrainz();
+export const searchMusicBrainzRecordings = async (query = "luba", limit = 25, offset = 0, options = {}) => {
+    const data = await fetchMusicBrainz("recording", { query, limit, offset }, options);
     
-    const params = new URLSearchParams({
-        query: query,
-        limit: limit,
-        offset: offset,
-        fmt: "json"
-    });
+    const { records, skipped } = validateRecords("musicBrainzRecording", data.recordings);
     
-    const data = await fetchWithRetry(
-        `${API_CONFIG.musicbrainz.base}/instrument?${params}`,
-        {
-            headers: {
-                'User-Agent': API_CONFIG.musicbrainz.userAgent,
-                'Accept': 'application/json'
-            }
-        }
-    );
+    return {
+        count: data.count || 0,
+        recordings: records,
+        skipped
+    };
+};
+
+export const searchMusicBrainzInstruments = async (query = "luba", limit = 25, offset = 0, options = {}) => {
+    const data = await fetchMusicBrainz("instrument", { query, limit, offset }, options);
+    
+    const { records, skipped } = validateRecords("musicBrainzInstrument", data.instruments);
     
     return {
         count: data.count || 0,
-        instruments: data.instruments || []
+        instruments: records,
+        skipped
     };
 };
 
-export const getMusicBrainzArtistDetails = async (artistId, includes = ['recordings', 'releases']) => {
-    await rateLimitMusicBrainz();
+export const searchMusicBrainzReleases = async (query = "luba", limit = 25, offset = 0, options = {}) => {
+    const data = await fetchMusicBrainz("release", { query, limit, offset }, options);
+    const { records, skipped } = validateRecords("musicBrainzRelease", data.releases);
     
-    const params = new URLSearchParams({
-        inc: includes.join('+'),
-        fmt: "json"
-    });
+    return {
+        count: data.count || 0,
+        releases: records,
+        skipped
+    };
+};
+
+export const searchMusicBrainzReleaseGroups = async (query = "luba", limit = 25, offset = 0, options = {}) => {
+    const data = await fetchMusicBrainz("release-group", { query, limit, offset }, options);
+    const { records, skipped } = validateRecords("musicBrainzReleaseGroup", data["release-groups"]);
     
-    return await fetchWithRetry(
-        `${API_CONFIG.musicbrainz.base}/artist/${artistId}?${params}`,
-        {
-            headers: {
-                'User-Agent': API_CONFIG.musicbrainz.userAgent,
-                'Accept': 'application/json'
-            }
+    return {
+        count: data.count || 0,
+        releaseGroups: records,
+        skipped
+    };
+};
+
+// One recording with its credits and releases, for offline snapshots
+export const RECORDING_DETAIL_INCLUDES = ["artist-credits", "releases"];
+
+export const getMusicBrainzRecording = async (recordingId, options = {}) => {
+    const data = await fetchMusicBrainz(`recording/${recordingId}`, { inc: RECORDING_DETAIL_INCLUDES.join('+') }, options);
+    const recording = validateRecord("musicBrainzRecording", data);
+    if (!recording) {
+        throw new ApiError(API_ERROR_TYPES.MALFORMED, `MusicBrainz sent an unreadable record for recording ${recordingId}.`, {
+            url: `${API_CONFIG.musicbrainz.base}/recording/${recordingId}`
+        });
+    }
+    return recording;
+};
+
+// Everything the instrument detail view shows, fetched in one lookup
+export const INSTRUMENT_DETAIL_INCLUDES = ["tags", "annotation", "instrument-rels"];
+
+export const getMusicBrainzInstrumentDetails = async (instrumentId, includes = INSTRUMENT_DETAIL_INCLUDES, options = {}) => {
+    const data = await fetchMusicBrainz(`instrument/${instrumentId}`, { inc: includes.join('+') }, options);
+    const instrument = validateRecord("musicBrainzInstrument", data);
+    if (!instrument) {
+        throw new ApiError(API_ERROR_TYPES.MALFORMED, `MusicBrainz sent an unreadable record for instrument ${instrumentId}.`, {
+            url: `${API_CONFIG.musicbrainz.base}/instrument/${instrumentId}`
+        });
+    }
+    return instrument;
+};
+
+// Broader and narrower instruments from "type of" relationships
+// ("X is a type of Y" reads forward from X): { parents, subtypes }
+export const getInstrumentHierarchy = (instrument) => {
+    const typeOf = (instrument?.relations || [])
+        .filter(relation => relation.type === "type of" && relation.instrument?.id);
+    const toLink = relation => ({ id: relation.instrument.id, name: relation.instrument.name });
+    
+    return {
+        parents: typeOf.filter(relation => relation.direction === "forward").map(toLink),
+        subtypes: typeOf.filter(relation => relation.direction === "backward").map(toLink)
+    };
+};
+
+// Recordings credited with an instrument through performer relationships
+// MusicBrainz cannot browse recordings by instrument, so recordings found by
+// the instrument's name are looked up one at a time through the shared queue
+// and kept when a performer relationship names this instrument.
+// onRecording(recording) is called as each credited recording is found.
+// Resolves to { checked, recordings }; each recording gains performers: [name]
+export const findRecordingsWithInstrument = async (instrument, { limit = 8, signal, onRecording } = {}) => {
+    const { recordings: candidates } = await searchMusicBrainzRecordings(`"${instrument.name}"`, limit, 0, { signal });
+    const credited = [];
+    let lastError = null;
+    
+    for (const candidate of candidates) {
+        try {
+            const recording = await fetchMusicBrainz(
+                `recording/${candidate.id}`,
+                { inc: "artist-rels+artist-credits" },
+                { signal }
+            );
+            const performers = (recording.relations || []).filter(relation => (
+                Object.values(relation["attribute-ids"] || {}).includes(instrument.id)
+            ));
+            if (performers.length === 0) continue;
+            
+            const entry = {
+                ...candidate,
+                performers: [...new Set(performers.map(relation => relation.artist?.name).filter(Boolean))]
+            };
+            credited.push(entry);
+            onRecording?.(entry);
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.warn(`Recording ${candidate.id} could not be checked:`, error);
+            lastError = error;
         }
-    );
+    }
+    
+    // Every lookup failed: report why instead of "no recordings"
+    if (credited.length === 0 && lastError && candidates.length > 0) throw lastError;
+    return { checked: candidates.length, recordings: credited };
+};
+
+// Everything the artist detail view shows, fetched in one lookup
+export const ARTIST_DETAIL_INCLUDES = ["aliases", "tags", "genres", "url-rels", "release-groups", "recordings"];
+
+export const getMusicBrainzArtistDetails = async (artistId, includes = ['recordings', 'releases'], options = {}) => {
+    const data = await fetchMusicBrainz(`artist/${artistId}`, { inc: includes.join('+') }, options);
+    const artist = validateRecord("musicBrainzArtist", data);
+    if (!artist) {
+        throw new ApiError(API_ERROR_TYPES.MALFORMED, `MusicBrainz sent an unreadable record for artist ${artistId}.`, {
+            url: `${API_CONFIG.musicbrainz.base}/artist/${artistId}`
+        });
+    }
+    return artist;
 };
 
-// Mocky API functions for custom data
-export const getKilubaTranslations = async () => {
+// Cover Art Archive functions
+// Lookups go through the same transport, retries and cache as every other
+// source. Each release is looked up once: concurrent callers share the request,
+// and releases without art are remembered so they are not asked for again
+const coverArtLookups = new Map();
+
+// Forget remembered lookups, so clearing the response cache asks again
+export const clearCoverArtLookups = () => coverArtLookups.clear();
+
+const lookupCoverArt = async (url) => {
     try {
-        return await fetchWithRetry(API_CONFIG.mocky.kiluba);
+        const data = await fetchWithRetry(url, { cachePolicy: "cover-art" }, 2);
+        const { records } = validateRecords("coverArtImage", data.images);
+        const front = records.find(image => image.front) || records[0];
+        return front
+            ? {
+                image: front.image,
+                thumbnail: front.thumbnails?.["250"] || front.thumbnails?.small || front.image
+            }
+            : null;
     } catch (error) {
-        console.warn("Kiluba translations not available, using defaults");
-        return getDefaultKilubaData();
+        if (isApiError(error) && error.type === API_ERROR_TYPES.NOT_FOUND) return null;
+        throw error;
+    }
+};
+
+// Front cover of a release or release group: { image, thumbnail }, or null when it has no art
+// entity is "release" or "release-group"; the shared lookup runs without the
+// caller's signal, which only stops that caller's wait
+export const getCoverArt = async (mbid, { entity = "release", signal } = {}) => {
+    if (!mbid) return null;
+    
+    const url = `${API_CONFIG.coverArt.base}/${entity}/${mbid}`;
+    if (!coverArtLookups.has(url)) {
+        const lookup = lookupCoverArt(url).catch((error) => {
+            // Failed lookups are tried again by the next caller
+            if (coverArtLookups.get(url) === lookup) coverArtLookups.delete(url);
+            throw error;
+        });
+        coverArtLookups.set(url, lookup);
+    }
+    return untilAborted(coverArtLookups.get(url), signal);
+};
+
+// Cover of a release, falling back to the art of its release group
+export const getReleaseCoverArt = async (release, { signal } = {}) => {
+    const cover = await getCoverArt(release?.id, { signal });
+    if (cover) return cover;
+    return getCoverArt(release?.["release-group"]?.id, { entity: "release-group", signal });
+};
+
+// Recordings have no art of their own; use the first release that has some
+export const getRecordingCoverArt = async (recording, { signal } = {}) => {
+    for (const release of (recording?.releases || []).slice(0, 3)) {
+        const cover = await getReleaseCoverArt(release, { signal });
+        if (cover) return cover;
+    }
+    return null;
+};
+
+// Bundled data files
+// A payload is accepted as { <key>: [...] } or as the bare list; one with no
+// valid entries at all is treated as malformed and the defaults are used
+const readDataset = (data, key, schemaName, url) => {
+    const { records, skipped } = validateRecords(schemaName, Array.isArray(data) ? data : data?.[key]);
+    if (records.length === 0) {
+        throw new ApiError(API_ERROR_TYPES.MALFORMED, `The ${key} data has no readable entries.`, { url });
     }
+    return { ...(Array.isArray(data) ? {} : data), [key]: records, skipped };
+};
+
+// Kiluba lexicon
+// Bundled with the site in data/kiluba-lexicon.json; contributors extend it by
+// editing that file. Only the format version below is understood
+const LEXICON_FORMAT = "kiluba-lexicon";
+export const KILUBA_LEXICON_VERSION = 1;
+
+let lexiconPromise = null;
+
+// Lowercase and strip accents so "societe" finds "société"
+const foldText = (value) => String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+const buildLexicon = ({ version, updated = null, entries }, skipped = 0) => {
+    const indexed = entries.map(entry => ({
+        ...entry,
+        id: entry.id || foldText(entry.headword).replace(/[^a-z0-9]+/g, "-"),
+        terms: {
+            headword: foldText(entry.headword),
+            glosses: [...entry.english, ...entry.french].map(foldText)
+        }
+    }));
+    indexed.sort((a, b) => a.headword.localeCompare(b.headword));
+    return { version, updated, entries: indexed, skipped };
 };
 
-export const getOralNarratives = async () => {
+// The old default word list, used when the bundled file cannot be read
+const getDefaultLexicon = () => buildLexicon({
+    version: KILUBA_LEXICON_VERSION,
+    entries: getDefaultKilubaData().words.map(word => ({
+        headword: word.kiluba,
+        partOfSpeech: "",
+        english: [word.english],
+        french: [word.french],
+        examples: [],
+        source: { citation: "", url: "" },
+        audio: ""
+    }))
+});
+
+// Read a data file that ships with the site; fetched directly rather than
+// through the transport, since it does not come from an external API
+const readBundledFile = async (url, format, version) => {
+    let data;
     try {
-        return await fetchWithRetry(API_CONFIG.mocky.narratives);
+        const response = await fetch(url);
+        if (!response.ok) throw responseError(response, url);
+        data = await response.json();
     } catch (error) {
-        console.warn("Oral narratives not available, using defaults");
-        return getDefaultNarratives();
+        throw toApiError(error, url);
+    }
+    
+    if (data?.format !== format || data.version !== version) {
+        throw new ApiError(API_ERROR_TYPES.MALFORMED, `Unsupported ${format} file version ${data?.version}.`, { url });
+    }
+    return data;
+};
+
+const readLexicon = async () => {
+    const url = API_CONFIG.lexicon;
+    const data = await readBundledFile(url, LEXICON_FORMAT, KILUBA_LEXICON_VERSION);
+    const { entries, skipped } = readDataset(data, "entries", "lexiconEntry", url);
+    return buildLexicon({ ...data, entries }, skipped);
+};
+
+// Load the lexicon once; later calls share the same result
+// The file is read without any caller's signal, so one caller aborting only
+// stops its own wait. A failed read falls back to the defaults and is retried next time
+export const loadKilubaLexicon = ({ signal } = {}) => {
+    if (!lexiconPromise) {
+        lexiconPromise = readLexicon().catch((error) => {
+            lexiconPromise = null;
+            console.warn("Kiluba lexicon not available, using defaults:", error.message);
+            return getDefaultLexicon();
+        });
+    }
+    return untilAborted(lexiconPromise, signal);
+};
+
+// Find entries by Kiluba headword or English/French gloss
+// Exact matches come first, then prefix matches, then matches anywhere
+export const lookupKiluba = async (term, { limit = Infinity, signal } = {}) => {
+    const { entries } = await loadKilubaLexicon({ signal });
+    const query = foldText(term);
+    if (!query) return entries.slice(0, limit);
+    
+    const rank = ({ terms }) => {
+        const candidates = [terms.headword, ...terms.glosses];
+        if (candidates.includes(query)) return 0;
+        if (candidates.some(candidate => candidate.startsWith(query))) return 1;
+        if (candidates.some(candidate => candidate.includes(query))) return 2;
+        return null;
+    };
+    
+    return entries
+        .map(entry => ({ entry, rank: rank(entry) }))
+        .filter(({ rank: score }) => score !== null)
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, limit)
+        .map(({ entry }) => entry);
+};
+
+// Headword -> first English and French gloss, in the older word-list shape
+export const getKilubaTranslations = async ({ signal } = {}) => {
+    const { entries } = await loadKilubaLexicon({ signal });
+    return {
+        words: entries.map(entry => ({
+            kiluba: entry.headword,
+            english: entry.english[0],
+            french: entry.french[0] || ""
+        }))
+    };
+};
+
+// Oral narratives
+// Bundled with the site in data/oral-narratives.json, like the lexicon
+const NARRATIVES_FORMAT = "oral-narratives";
+export const NARRATIVES_VERSION = 1;
+
+let narrativesPromise = null;
+
+// Load the narratives once; the built-in stories are used if the file cannot be read
+// Like the lexicon, the file is read without any caller's signal
+export const getOralNarratives = ({ signal } = {}) => {
+    if (!narrativesPromise) {
+        const url = API_CONFIG.narratives;
+        narrativesPromise = readBundledFile(url, NARRATIVES_FORMAT, NARRATIVES_VERSION)
+            .then(data => readDataset(data, "stories", "narrative", url))
+            .catch((error) => {
+                narrativesPromise = null;
+                console.warn("Oral narratives not available, using defaults:", error.message);
+                return { ...getDefaultNarratives(), skipped: 0 };
+            });
     }
+    return untilAborted(narrativesPromise, signal);
+};
+
+export const getNarrative = async (id, options) => {
+    const { stories } = await getOralNarratives(options);
+    return stories.find(story => String(story.id) === String(id)) || null;
+};
+
+// Artifact text a story tag is matched against
+const ARTIFACT_TAG_FIELDS = ["title", "description", "classification", "medium", "department"];
+
+// Whether an artifact's metadata mentions a tag, ignoring case, accents and a plural "s"
+// Tags match at the start of a word, so "king" finds "kingship" but not "making"
+export const artifactMatchesTag = (artifact, tag) => {
+    const toWords = (value) => foldText(value).split(/[^a-z0-9]+/).filter(Boolean).join(" ");
+    const stem = toWords(tag).replace(/(\w{3})s$/, "$1");
+    if (!stem) return false;
+    
+    const text = [
+        ...ARTIFACT_TAG_FIELDS.map(field => artifact[field]),
+        ...artifact.tags,
+        ...artifact.culture
+    ].map(toWords).join(" ");
+    return ` ${text}`.includes(` ${stem}`);
+};
+
+// Museum artifacts whose metadata matches a story tag
+export const findArtifactsForTag = async (tag, { limit = 6, signal } = {}) => {
+    const results = await searchAllSources(`Luba ${tag}`, { includeMusic: false, pageSize: 24, signal });
+    const artifacts = results.artifacts.filter(artifact => artifactMatchesTag(artifact, tag));
+    if (artifacts.length === 0 && results.errors.length > 0) throw results.errors[0];
+    return artifacts.slice(0, limit);
 };
 
-// Default data when Mocky is not configured
+// Default data when the bundled files cannot be read
 const getDefaultKilubaData = () => ({
     words: [
         { kiluba: "Mwamudimu", english: "Greetings", french: "Salutations" },
@@ -250,65 +1761,217 @@ const getDefaultNarratives = () => ({
     ]
 });
 
+// MusicBrainz result streams merged into unified search pages
+const MUSIC_SEARCH_STREAMS = {
+    artists: {
+        limit: 15,
+        search: async (query, { offset, limit, signal }) => {
+            const data = await searchMusicBrainzArtists(query, limit, offset, { signal });
+            return { total: data.count, records: data.artists, skipped: data.skipped };
+        }
+    },
+    recordings: {
+        limit: 15,
+        search: async (query, { offset, limit, signal }) => {
+            const data = await searchMusicBrainzRecordings(query, limit, offset, { signal });
+            return { total: data.count, records: data.recordings, skipped: data.skipped };
+        }
+    },
+    instruments: {
+        limit: 10,
+        search: async (query, { offset, limit, signal }) => {
+            const data = await searchMusicBrainzInstruments(query, limit, offset, { signal });
+            return { total: data.count, records: data.instruments, skipped: data.skipped };
+        }
+    }
+};
+
+// Merge per-museum pages by taking one record from each in turn
+const interleave = (lists) => {
+    const merged = [];
+    const longest = Math.max(0, ...lists.map(list => list.length));
+    for (let i = 0; i < longest; i++) {
+        lists.forEach(list => {
+            if (i < list.length) merged.push(list[i]);
+        });
+    }
+    return merged;
+};
+
 // Unified search function (searches all sources)
+// Returns one page merged from every museum adapter and MusicBrainz:
+// {
+//   artifacts, recordings, artists, instruments,
+//             (artifacts are de-duplicated entities, see entity-module.js)
+//   totals,   true match counts: { artifacts: { <source>: n }, recordings, artists, instruments }
+//             (null where a source failed before reporting one)
+//   skipped,  malformed records left out per kind: { artifacts, recordings, artists, instruments }
+//   errors,   ApiErrors of sources that failed; the others still return results
+//   cursor,   pass as options.cursor with the same query for the next page, null at the end
+//   hasMore
+// }
+// The cursor remembers each source's offset, so exhausted sources are skipped
+// and a source that failed is asked for the same page again, until it has
+// failed PAGE_MAX_FAILURES times in a row and is left out of later pages
 export const searchAllSources = async (query, options = {}) => {
     const {
         includeArt = true,
         includeMusic = true,
-        maxResults = 50
+        pageSize = 24,
+        filters = {},
+        cursor = null,
+        signal
     } = options;
     
     const results = {
         artifacts: [],
         recordings: [],
         artists: [],
-        instruments: []
+        instruments: [],
+        totals: { artifacts: {} },
+        skipped: { artifacts: 0, recordings: 0, artists: 0, instruments: 0 },
+        errors: [],
+        cursor: null,
+        hasMore: false
     };
     
-    if (includeArt) {
+    // A cursor from another query starts over
+    const previous = cursor?.query === query ? cursor.sources : {};
+    const next = {};
+    
+    // A stream is done once it is exhausted or has failed too often
+    const isStreamDone = position => (
+        position.failures >= PAGE_MAX_FAILURES
+        || (position.total !== null && position.offset >= position.total)
+    );
+    
+    // Fetch the next page of one stream unless it is done
+    const fetchStream = async (key, search, limit) => {
+        const position = previous[key] || { offset: 0, total: null, failures: 0 };
+        next[key] = position;
+        if (isStreamDone(position)) {
+            return { total: position.total, records: [] };
+        }
+        
         try {
-            const [metIds, clevelandData] = await Promise.all([
-                searchMetArtifacts(query),
-                searchClevelandArtifacts(query)
-            ]);
-            
-            const metObjects = await getMetObjects(metIds.slice(0, 10));
-            results.artifacts = [...clevelandData, ...metObjects].slice(0, maxResults);
+            const page = await search(query, { offset: position.offset, limit, signal, filters });
+            next[key] = { offset: position.offset + limit, total: page.total, failures: 0 };
+            return page;
         } catch (error) {
-            console.error("Art search failed:", error);
+            if (isAbortError(error)) throw error;
+            console.error(`Search of ${key} failed:`, error);
+            next[key] = { ...position, failures: position.failures + 1 };
+            results.errors.push(toApiError(error));
+            return { total: position.total, records: [] };
         }
+    };
+    
+    const tasks = [];
+    
+    if (includeArt) {
+        const adapters = getSourceAdapters();
+        const limit = Math.ceil(pageSize / Math.max(1, adapters.length));
+        
+        tasks.push(Promise.all(adapters.map(async (adapter) => {
+            const page = await fetchStream(adapter.key, adapter.search, limit);
+            results.totals.artifacts[adapter.key] = page.total;
+            const { artifacts, skipped } = normalizeArtifactPage(page.records, adapter.key);
+            results.skipped.artifacts += skipped;
+            return artifacts;
+        })).then(async (perSource) => {
+            results.artifacts = await resolveEntities(interleave(perSource));
+        }));
     }
     
     if (includeMusic) {
-        try {
-            const [artistsData, recordingsData, instrumentsData] = await Promise.all([
-                searchMusicBrainzArtists(query, 15),
-                searchMusicBrainzRecordings(query, 15),
-                searchMusicBrainzInstruments(query, 10)
-            ]);
-            
-            results.artists = artistsData.artists;
-            results.recordings = recordingsData.recordings;
-            results.instruments = instrumentsData.instruments;
-        } catch (error) {
-            console.error("Music search failed:", error);
-        }
+        Object.entries(MUSIC_SEARCH_STREAMS).forEach(([key, stream]) => {
+            tasks.push(fetchStream(key, stream.search, stream.limit).then((page) => {
+                results[key] = page.records;
+                results.totals[key] = page.total;
+                results.skipped[key] = page.skipped || 0;
+            }));
+        });
     }
     
+    await Promise.all(tasks);
+    signal?.throwIfAborted();
+    
+    results.hasMore = Object.values(next).some(position => !isStreamDone(position));
+    results.cursor = results.hasMore ? { query, sources: next } : null;
     return results;
 };
 
 // Export all functions
 export default {
+    isAbortError,
+    API_ERROR_TYPES,
+    ApiError,
+    isApiError,
+    toApiError,
+    CIRCUIT_STATES,
+    getSourceHealth,
+    getAllSourceHealth,
+    onSourceHealthChange,
+    isSourceAvailable,
+    getHealthySources,
+    fetchWithRetry,
+    MUSICBRAINZ_PRIORITY,
+    getMusicBrainzQueueStatus,
+    onMusicBrainzQueueChange,
+    scheduleMusicBrainzRequest,
+    fetchMusicBrainz,
+    MET_DEPARTMENTS,
+    MET_DRC_LOCATIONS,
+    buildMetSearchParams,
+    buildMetSearchUrl,
+    searchMetCollection,
     searchMetArtifacts,
     getMetObject,
     getMetObjects,
+    buildClevelandSearchParams,
+    buildClevelandSearchUrl,
+    searchClevelandCollection,
     searchClevelandArtifacts,
+    createClevelandPager,
+    getClevelandArtifact,
+    registerSourceAdapter,
+    getSourceAdapter,
+    getSourceAdapters,
+    buildArtifactId,
+    parseArtifactId,
+    getQuarantineLog,
+    clearQuarantineLog,
+    validateRecord,
+    validateRecords,
+    normalizeArtifact,
+    normalizeArtifactPage,
+    normalizeArtifacts,
+    getArtifact,
     searchMusicBrainzArtists,
     searchMusicBrainzRecordings,
     searchMusicBrainzInstruments,
+    searchMusicBrainzReleases,
+    searchMusicBrainzReleaseGroups,
+    RECORDING_DETAIL_INCLUDES,
+    getMusicBrainzRecording,
+    ARTIST_DETAIL_INCLUDES,
     getMusicBrainzArtistDetails,
+    INSTRUMENT_DETAIL_INCLUDES,
+    getMusicBrainzInstrumentDetails,
+    getInstrumentHierarchy,
+    findRecordingsWithInstrument,
+    getCoverArt,
+    clearCoverArtLookups,
+    getReleaseCoverArt,
+    getRecordingCoverArt,
+    KILUBA_LEXICON_VERSION,
+    loadKilubaLexicon,
+    lookupKiluba,
     getKilubaTranslations,
+    NARRATIVES_VERSION,
     getOralNarratives,
+    getNarrative,
+    artifactMatchesTag,
+    findArtifactsForTag,
     searchAllSources
 };
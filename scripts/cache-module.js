@@ -0,0 +1,303 @@
+// Cache Module - Persistent IndexedDB cache for API responses
+// Serves cached JSON with stale-while-revalidate and LRU eviction
+
+import { isLiveTransport } from './transport-module.js';
+
+const CACHE_DB = {
+    name: 'luba_response_cache',
+    version: 2,
+    store: 'responses'
+};
+
+// Access time and size of every entry, so eviction and stats walk index keys
+// without reading the cached bodies (version 2; version 1 indexed lastAccessed only)
+const USAGE_INDEX = 'usage';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Per-source cache policies
+// maxAge: how long an entry is served without revalidating
+// staleFor: how much longer a stale entry may be served while it revalidates
+const CACHE_POLICIES = {
+    'met-object': { maxAge: 30 * DAY, staleFor: 365 * DAY },
+    'met-search': { maxAge: DAY, staleFor: 7 * DAY },
+    cleveland: { maxAge: DAY, staleFor: 7 * DAY },
+    musicbrainz: { maxAge: 12 * HOUR, staleFor: 7 * DAY },
+    'cover-art': { maxAge: 30 * DAY, staleFor: 365 * DAY },
+    default: { maxAge: HOUR, staleFor: DAY }
+};
+
+// Size limits before least-recently-used entries are evicted
+const MAX_CACHE_BYTES = 20 * 1024 * 1024;
+const MAX_CACHE_ENTRIES = 2000;
+const EVICTION_TARGET = 0.9;   // Evict down to 90% of the limits so passes stay rare
+
+let dbPromise = null;
+const revalidations = new Map();
+
+// Running size of the cache, recounted by every eviction pass
+// null until the first recount; writes from other tabs show up at the next one
+let cacheTotals = null;
+let pendingEviction = null;
+
+// Open (or create) the cache database; resolves to null when IndexedDB is unavailable
+const openCacheDb = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        try {
+            const request = indexedDB.open(CACHE_DB.name, CACHE_DB.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const store = db.objectStoreNames.contains(CACHE_DB.store)
+                    ? request.transaction.objectStore(CACHE_DB.store)
+                    : db.createObjectStore(CACHE_DB.store, { keyPath: 'url' });
+                if (store.indexNames.contains('lastAccessed')) store.deleteIndex('lastAccessed');
+                if (!store.indexNames.contains(USAGE_INDEX)) {
+                    store.createIndex(USAGE_INDEX, ['lastAccessed', 'size']);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version open in another tab; this tab then runs uncached
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = Promise.resolve(null);
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                console.warn('Response cache unavailable:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('Response cache unavailable:', error);
+            resolve(null);
+        }
+    });
+
+    return dbPromise;
+};
+
+// Wrap an IDBRequest in a promise
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const withStore = async (mode, callback) => {
+    const db = await openCacheDb();
+    if (!db) return null;
+
+    const transaction = db.transaction(CACHE_DB.store, mode);
+    return callback(transaction.objectStore(CACHE_DB.store));
+};
+
+export const getCachePolicy = (name) => CACHE_POLICIES[name] || CACHE_POLICIES.default;
+
+const readEntry = async (url) => {
+    try {
+        return await withStore('readonly', store => promisifyRequest(store.get(url)));
+    } catch (error) {
+        console.warn(`Error reading cached response for ${url}:`, error);
+        return null;
+    }
+};
+
+const touchEntry = async (entry) => {
+    try {
+        await withStore('readwrite', store => promisifyRequest(
+            store.put({ ...entry, lastAccessed: Date.now() })
+        ));
+    } catch (error) {
+        console.warn(`Error updating cached response for ${entry.url}:`, error);
+    }
+};
+
+const writeEntry = async (url, policyName, data) => {
+    const now = Date.now();
+    const entry = {
+        url,
+        policy: policyName,
+        data,
+        size: JSON.stringify(data).length,
+        storedAt: now,
+        lastAccessed: now
+    };
+
+    try {
+        // Read the entry being replaced in the same transaction to keep the totals exact
+        const previous = await withStore('readwrite', store => new Promise((resolve, reject) => {
+            const request = store.get(url);
+            request.onsuccess = () => {
+                const write = store.put(entry);
+                write.onsuccess = () => resolve(request.result);
+                write.onerror = () => reject(write.error);
+            };
+            request.onerror = () => reject(request.error);
+        }));
+
+        if (cacheTotals) {
+            cacheTotals.bytes += entry.size - (previous?.size || 0);
+            if (!previous) cacheTotals.entries += 1;
+        }
+        scheduleEviction();
+    } catch (error) {
+        console.warn(`Error caching response for ${url}:`, error);
+    }
+};
+
+// Run an eviction pass in the background when the cache may be over its limits
+// Writes do not wait for it; one pass runs at a time
+const scheduleEviction = () => {
+    const overLimit = !cacheTotals
+        || cacheTotals.bytes > MAX_CACHE_BYTES
+        || cacheTotals.entries > MAX_CACHE_ENTRIES;
+    if (!overLimit || pendingEviction) return;
+
+    pendingEviction = evictLeastRecentlyUsed()
+        .catch((error) => {
+            console.warn('Error evicting cached responses:', error);
+        })
+        .finally(() => {
+            pendingEviction = null;
+        });
+};
+
+// Walk the usage index keys, then call done with every entry's { url, size },
+// oldest access first
+const readUsage = (store, done, fail) => {
+    const entries = [];
+    const request = store.index(USAGE_INDEX).openKeyCursor();
+
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+            done(entries);
+            return;
+        }
+        entries.push({ url: cursor.primaryKey, size: cursor.key[1] });
+        cursor.continue();
+    };
+    request.onerror = () => fail(request.error);
+};
+
+const sumSizes = entries => entries.reduce((total, entry) => total + entry.size, 0);
+
+// Recount the cache and, when it is over its limits, drop the least recently
+// used entries until it is back under EVICTION_TARGET of them
+const evictLeastRecentlyUsed = async () => {
+    await withStore('readwrite', store => new Promise((resolve, reject) => {
+        readUsage(store, (entries) => {
+            let totalBytes = sumSizes(entries);
+            let count = entries.length;
+            if (totalBytes > MAX_CACHE_BYTES || count > MAX_CACHE_ENTRIES) {
+                for (const entry of entries) {
+                    if (totalBytes <= MAX_CACHE_BYTES * EVICTION_TARGET
+                        && count <= MAX_CACHE_ENTRIES * EVICTION_TARGET) break;
+                    store.delete(entry.url);
+                    totalBytes -= entry.size;
+                    count -= 1;
+                }
+            }
+            cacheTotals = { bytes: totalBytes, entries: count };
+            resolve();
+        }, reject);
+    }));
+};
+
+// Fetch and store an entry, sharing one request per URL
+// background marks a stale-while-revalidate refresh nobody is waiting on
+const revalidate = (url, policyName, fetcher, { background = false } = {}) => {
+    if (revalidations.has(url)) return revalidations.get(url);
+
+    const pending = fetcher(undefined, { background })
+        .then(async (data) => {
+            await writeEntry(url, policyName, data);
+            return data;
+        })
+        .finally(() => revalidations.delete(url));
+
+    revalidations.set(url, pending);
+    return pending;
+};
+
+// Fetch through the cache with stale-while-revalidate semantics
+// fetcher(signal, { background }) is called only when the cached copy is missing,
+// stale or expired; background revalidations run without the caller's signal so they outlive it.
+// refresh ignores the cached copy and replaces it with the new response
+export const cachedFetch = async (url, policyName, fetcher, { signal, refresh = false } = {}) => {
+    // Fixture and stand-in runs bypass the cache so they stay deterministic
+    if (!(await isLiveTransport())) return fetcher(signal);
+
+    const policy = getCachePolicy(policyName);
+    const entry = refresh ? null : await readEntry(url);
+
+    if (entry) {
+        const age = Date.now() - entry.storedAt;
+
+        if (age <= policy.maxAge) {
+            touchEntry(entry);
+            return entry.data;
+        }
+
+        if (age <= policy.maxAge + policy.staleFor) {
+            touchEntry(entry);
+            revalidate(url, policyName, fetcher, { background: true }).catch((error) => {
+                console.warn(`Background revalidation failed for ${url}:`, error);
+            });
+            return entry.data;
+        }
+    }
+
+    // Cancellable requests are not shared, so aborting one cannot fail another caller
+    if (!signal) return revalidate(url, policyName, fetcher);
+
+    const data = await fetcher(signal);
+    await writeEntry(url, policyName, data);
+    return data;
+};
+
+// Remove every cached response
+export const clearResponseCache = async () => {
+    try {
+        await withStore('readwrite', store => promisifyRequest(store.clear()));
+        cacheTotals = { bytes: 0, entries: 0 };
+        return true;
+    } catch (error) {
+        console.error('Error clearing response cache:', error);
+        return false;
+    }
+};
+
+// Served from the running totals once they are known
+export const getCacheStats = async () => {
+    try {
+        if (!cacheTotals) {
+            const entries = await withStore('readonly', store => new Promise((resolve, reject) => {
+                readUsage(store, resolve, reject);
+            }));
+            if (!entries) return { entries: 0, bytes: 0 };
+            cacheTotals = { bytes: sumSizes(entries), entries: entries.length };
+        }
+        return { entries: cacheTotals.entries, bytes: cacheTotals.bytes };
+    } catch (error) {
+        console.error('Error reading response cache stats:', error);
+        return { entries: 0, bytes: 0 };
+    }
+};
+
+// Export all functions
+export default {
+    getCachePolicy,
+    cachedFetch,
+    clearResponseCache,
+    getCacheStats
+};
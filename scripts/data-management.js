@@ -1,14 +1,48 @@
-// Data Management Module - Handles LocalStorage operations
-// Manages user preferences, favorites, and interaction history
+// Data Management Module - Handles IndexedDB storage of user data
+// Manages user preferences, favorites, interaction history and votes
 
-const STORAGE_KEYS = {
+import { formatUserData, bundleFiles } from './export-module.js';
+
+const USER_DB_NAME = 'luba_user_data';
+
+// One object store per kind of user data
+const STORES = {
+    FAVORITES: 'favorites',
+    HISTORY: 'history',
+    VOTES: 'votes',
+    SETTINGS: 'settings',
+    COLLECTIONS: 'collections',
+    SNAPSHOTS: 'snapshots',
+    SAVED_SEARCHES: 'savedSearches'
+};
+
+// Key path of each store, for the in-memory fallback
+const KEY_PATHS = {
+    [STORES.FAVORITES]: 'key',
+    [STORES.HISTORY]: 'key',
+    [STORES.VOTES]: 'week',
+    [STORES.SETTINGS]: 'key',
+    [STORES.COLLECTIONS]: 'id',
+    [STORES.SNAPSHOTS]: 'key',
+    [STORES.SAVED_SEARCHES]: 'id'
+};
+
+// localStorage keys used before user data moved to IndexedDB
+const LEGACY_STORAGE_KEYS = {
     FAVORITES: 'luba_my_heritage',
     PREFERENCES: 'luba_user_preferences',
     HISTORY: 'luba_interaction_history',
     VOTES: 'luba_community_votes',
-    THEME: 'luba_theme'
+    THEME: 'luba_theme',
+    LANGUAGE: 'luba_language'
 };
 
+const FAVORITE_TYPES = ['artifacts', 'recordings', 'artists', 'instruments', 'narratives'];
+const HISTORY_TYPES = ['artifacts', 'recordings', 'searches'];
+const HISTORY_LIMIT = 20; // Entries kept per history type
+const SEARCH_REFINE_WINDOW = 60 * 1000; // A query typed on within this long replaces the one before
+const SEEN_RESULTS_LIMIT = 1000; // Result keys remembered per saved search
+
 // Default user preferences
 const DEFAULT_PREFERENCES = {
     language: 'english',
@@ -17,93 +51,913 @@ const DEFAULT_PREFERENCES = {
     autoplay: false
 };
 
-// Storage helper functions
-const getFromStorage = (key, defaultValue = null) => {
+// Record shapes
+// Favorites and history are keyed "<type>:<id>"; favorites also keep every id
+// they match (see toIdList), and votes are kept per week
+const toFavoriteRecord = (type, favorite) => ({
+    ...favorite,
+    key: `${type}:${favorite.id}`,
+    type,
+    ids: toIdList([favorite.id, ...(favorite.memberIds || [])])
+});
+
+const fromFavoriteRecord = ({ key, ids, ...favorite }) => favorite;
+
+const toHistoryRecord = (type, item, viewedAt = new Date().toISOString()) => ({
+    key: `${type}:${item.id}`,
+    type,
+    id: item.id,
+    name: item.name || item.title || 'Untitled',
+    viewedAt,
+    thumbnail: item.thumbnail || item.image || null
+});
+
+const fromHistoryRecord = ({ key, type, ...entry }) => entry;
+
+// Searches are identified by what they ask for: category, query (ignoring case)
+// and filters, so running the same search again moves it to the front
+const toSearchId = ({ query, category = 'all', filters = {} }) => {
+    const parts = [category, String(query).trim().toLowerCase()];
+    if (Object.keys(filters).length > 0) parts.push(JSON.stringify(filters));
+    return parts.join('|');
+};
+
+const toSearchHistoryRecord = (search, viewedAt) => ({
+    ...toHistoryRecord('searches', { id: toSearchId(search), name: String(search.query).trim() }, viewedAt),
+    query: String(search.query).trim(),
+    category: search.category || 'all',
+    filters: search.filters || {},
+    counts: search.counts || {}
+});
+
+const compareBy = (field) => (a, b) => {
+    if (a[field] < b[field]) return -1;
+    return a[field] > b[field] ? 1 : 0;
+};
+
+// Import the old localStorage data into the new stores
+// The keys are only removed once the upgrade transaction has committed
+const readLegacyKey = (key) => {
     try {
         const item = localStorage.getItem(key);
-        return item ? JSON.parse(item) : defaultValue;
+        return item ? JSON.parse(item) : null;
     } catch (error) {
-        console.error(`Error reading ${key} from localStorage:`, error);
-        return defaultValue;
+        console.warn(`Skipping unreadable ${key} from localStorage:`, error);
+        return null;
+    }
+};
+
+// Artifact ids are bare museum numbers here; step 5 qualifies them with their source
+const importLegacyStorage = (transaction) => {
+    if (typeof localStorage === 'undefined') return;
+    
+    const favoritesStore = transaction.objectStore(STORES.FAVORITES);
+    Object.entries(readLegacyKey(LEGACY_STORAGE_KEYS.FAVORITES) || {}).forEach(([type, items]) => {
+        if (!Array.isArray(items)) return;
+        items
+            .filter(item => item && item.id !== undefined && item.id !== null)
+            .forEach(item => favoritesStore.put(toFavoriteRecord(type, {
+                name: item.name || item.title || 'Untitled',
+                dateAdded: item.dateAdded || new Date().toISOString(),
+                ...item
+            })));
+    });
+    
+    const historyStore = transaction.objectStore(STORES.HISTORY);
+    Object.entries(readLegacyKey(LEGACY_STORAGE_KEYS.HISTORY) || {}).forEach(([type, items]) => {
+        if (!Array.isArray(items)) return;
+        items
+            .filter(item => item && item.id !== undefined && item.id !== null)
+            .forEach(item => historyStore.put(toHistoryRecord(type, item, item.viewedAt)));
+    });
+    
+    const legacyVotes = readLegacyKey(LEGACY_STORAGE_KEYS.VOTES);
+    const [vote] = Object.values(legacyVotes?.votes || {});
+    if (legacyVotes?.currentWeek && vote) {
+        transaction.objectStore(STORES.VOTES).put({ ...vote, week: legacyVotes.currentWeek });
     }
+    
+    const settingsStore = transaction.objectStore(STORES.SETTINGS);
+    const preferences = readLegacyKey(LEGACY_STORAGE_KEYS.PREFERENCES);
+    const language = localStorage.getItem(LEGACY_STORAGE_KEYS.LANGUAGE);
+    if (preferences || language) {
+        settingsStore.put({
+            key: 'preferences',
+            value: { ...DEFAULT_PREFERENCES, ...preferences, ...(language && { language }) }
+        });
+    }
+    
+    // Saved both as JSON and as a bare string by older versions
+    const theme = localStorage.getItem(LEGACY_STORAGE_KEYS.THEME)?.replace(/"/g, '');
+    if (theme) settingsStore.put({ key: 'theme', value: theme });
+    
+    transaction.addEventListener('complete', () => {
+        Object.values(LEGACY_STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+    });
+};
+
+// Artifact ids were bare museum numbers ("123") before they named their source
+// ("met:123"). Cleveland's are recognised by a Cleveland image URL, on the item
+// or on a history entry for the same id; the rest are the Met's, which is where
+// the old details view looked every artifact up
+const CLEVELAND_IMAGE_HOST = 'clevelandart.org';
+
+const isBareId = (id) => id !== undefined && id !== null && !String(id).includes(':');
+
+const qualifyArtifactId = (id, clevelandIds = new Set()) => {
+    if (!isBareId(id)) return id;
+    return `${clevelandIds.has(String(id)) ? 'cleveland' : 'met'}:${id}`;
 };
 
-const saveToStorage = (key, value) => {
+// Bare ids of the items (history entries, favorites) whose image is Cleveland's
+const findClevelandIds = (items) => new Set(items
+    .filter(item => isBareId(item?.id) && String(item.thumbnail || item.image || '').includes(CLEVELAND_IMAGE_HOST))
+    .map(item => String(item.id)));
+
+const qualifyArtifact = (item, clevelandIds) => ({
+    ...item,
+    id: qualifyArtifactId(item.id, clevelandIds),
+    ...(Array.isArray(item.memberIds) && { memberIds: item.memberIds.map(id => qualifyArtifactId(id, clevelandIds)) })
+});
+
+const qualifyVote = (vote, clevelandIds) => ({
+    ...vote,
+    itemId: qualifyArtifactId(vote.itemId, clevelandIds),
+    ...(Array.isArray(vote.memberIds) && { memberIds: vote.memberIds.map(id => qualifyArtifactId(id, clevelandIds)) })
+});
+
+// "artifacts:<id>" keys of favorites, collection entries and snapshots
+const qualifyArtifactKey = (key, clevelandIds) => {
+    const prefix = 'artifacts:';
+    if (!String(key).startsWith(prefix)) return key;
+    return `${prefix}${qualifyArtifactId(key.slice(prefix.length), clevelandIds)}`;
+};
+
+// Rewrite every stored artifact id that is still bare, inside the upgrade
+// transaction; records whose key changes are replaced
+const qualifyStoredArtifactIds = (transaction) => {
+    const store = name => transaction.objectStore(name);
+    const readAll = (name, then) => {
+        store(name).getAll().onsuccess = event => then(event.target.result);
+    };
+    const replace = (name, record, updated) => {
+        const keyPath = KEY_PATHS[name];
+        if (updated[keyPath] !== record[keyPath]) store(name).delete(record[keyPath]);
+        store(name).put(updated);
+    };
+    
+    readAll(STORES.HISTORY, (history) => {
+        readAll(STORES.FAVORITES, (favorites) => {
+            const artifacts = favorites.filter(record => record.type === 'artifacts');
+            const clevelandIds = findClevelandIds([
+                ...history.filter(record => record.type === 'artifacts'),
+                ...artifacts
+            ]);
+            
+            artifacts
+                .filter(record => isBareId(record.id) || (record.memberIds || []).some(isBareId))
+                .forEach(record => replace(STORES.FAVORITES, record, toFavoriteRecord(
+                    'artifacts',
+                    qualifyArtifact(fromFavoriteRecord(record), clevelandIds)
+                )));
+            
+            history
+                .filter(record => record.type === 'artifacts' && isBareId(record.id))
+                .forEach(record => replace(STORES.HISTORY, record, {
+                    ...record,
+                    ...toHistoryRecord('artifacts', qualifyArtifact(record, clevelandIds), record.viewedAt)
+                }));
+            history
+                .filter(record => record.type === 'votes' && isBareId(record.id))
+                .forEach(record => store(STORES.HISTORY).put({ ...record, id: qualifyArtifactId(record.id, clevelandIds) }));
+            
+            readAll(STORES.VOTES, votes => votes
+                .filter(vote => isBareId(vote.itemId) || (vote.memberIds || []).some(isBareId))
+                .forEach(vote => store(STORES.VOTES).put(qualifyVote(vote, clevelandIds))));
+            
+            readAll(STORES.COLLECTIONS, collections => collections.forEach((collection) => {
+                const entries = collection.entries.map(entry => ({ ...entry, key: qualifyArtifactKey(entry.key, clevelandIds) }));
+                if (entries.some((entry, index) => entry.key !== collection.entries[index].key)) {
+                    store(STORES.COLLECTIONS).put({ ...collection, entries });
+                }
+            }));
+            
+            readAll(STORES.SNAPSHOTS, snapshots => snapshots
+                .filter(snapshot => snapshot.type === 'artifacts' && isBareId(snapshot.id))
+                .forEach(snapshot => replace(STORES.SNAPSHOTS, snapshot, {
+                    ...snapshot,
+                    key: qualifyArtifactKey(snapshot.key, clevelandIds),
+                    id: qualifyArtifactId(snapshot.id, clevelandIds)
+                })));
+        });
+    });
+};
+
+// Schema migrations; MIGRATIONS[n] upgrades a database at version n to n + 1
+// They run inside the upgrade transaction, so a failed step keeps the old version.
+// Append new steps, never edit released ones
+const MIGRATIONS = [
+    // 1: stores per entity with type/date indexes, imported from localStorage
+    (db, transaction) => {
+        const favorites = db.createObjectStore(STORES.FAVORITES, { keyPath: 'key' });
+        favorites.createIndex('type', 'type');
+        favorites.createIndex('dateAdded', 'dateAdded');
+    
+        const history = db.createObjectStore(STORES.HISTORY, { keyPath: 'key' });
+        history.createIndex('type', 'type');
+        history.createIndex('viewedAt', 'viewedAt');
+    
+        const votes = db.createObjectStore(STORES.VOTES, { keyPath: 'week' });
+        votes.createIndex('votedAt', 'votedAt');
+    
+        db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+    
+        importLegacyStorage(transaction);
+    },
+    // 2: named collections of favorites
+    (db) => {
+        const collections = db.createObjectStore(STORES.COLLECTIONS, { keyPath: 'id' });
+        collections.createIndex('createdAt', 'createdAt');
+    },
+    // 3: offline snapshots of favorites
+    (db) => {
+        const snapshots = db.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'key' });
+        snapshots.createIndex('type', 'type');
+    },
+    // 4: saved searches
+    (db) => {
+        const savedSearches = db.createObjectStore(STORES.SAVED_SEARCHES, { keyPath: 'id' });
+        savedSearches.createIndex('createdAt', 'createdAt');
+    },
+    // 5: artifact ids stored without their source ("123" -> "met:123")
+    (db, transaction) => qualifyStoredArtifactIds(transaction)
+];
+
+export const USER_DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+
+// Used when IndexedDB is unavailable (e.g. some private windows); lasts until the page closes
+const memoryStores = Object.fromEntries(Object.values(STORES).map(name => [name, new Map()]));
+
+// Set once another tab has opened a newer version of the database, so this
+// page's code is out of date. Reads and writes then fail, rather than falling
+// back to memory and losing what is saved, and the page offers a reload ("userDataOutdated")
+let userDbOutdated = false;
+
+const markOutdated = () => {
+    userDbOutdated = true;
+    dbPromise = null;
+    if (typeof window !== 'undefined') window.dispatchEvent(new CustomEvent('userDataOutdated'));
+};
+
+export const isUserDataOutdated = () => userDbOutdated;
+
+// Open (or create and migrate) the user database; resolves to null when IndexedDB is unavailable
+// and rejects once the database is outdated
+const openUserDb = () => {
+    if (userDbOutdated) return Promise.reject(new Error('User data was upgraded in another tab; reload the page'));
+    if (dbPromise) return dbPromise;
+    
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB unavailable, user data will not be saved');
+            resolve(null);
+            return;
+        }
+    
+        try {
+            const request = indexedDB.open(USER_DB_NAME, USER_DB_VERSION);
+    
+            request.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion; version < USER_DB_VERSION; version++) {
+                    MIGRATIONS[version](request.result, request.transaction);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version open in another tab
+                db.onversionchange = () => {
+                    db.close();
+                    markOutdated();
+                };
+                // Closed by the browser, e.g. when site data is cleared
+                db.onclose = () => {
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                if (request.error?.name === 'VersionError') {
+                    markOutdated();
+                    reject(request.error);
+                    return;
+                }
+                console.warn('IndexedDB unavailable, user data will not be saved:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('IndexedDB unavailable, user data will not be saved:', error);
+            resolve(null);
+        }
+    });
+    
+    return dbPromise;
+};
+
+// Cross-tab sync
+// Each committed write is announced to the site's other tabs and windows with the
+// stores it changed, over a BroadcastChannel or, without one, a storage event.
+// A tab that hears of a change drops its cached favorites, re-applies the theme
+// and language, and fires "userDataChanged" (source "sync") so the page re-renders
+const SYNC_CHANNEL_NAME = 'luba_user_data';
+const SYNC_STORAGE_KEY = 'luba_user_data_changed';
+
+const syncChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+
+const announceChange = (storeNames) => {
+    const message = { stores: storeNames, at: Date.now() };
     try {
-        localStorage.setItem(key, JSON.stringify(value));
-        return true;
+        if (syncChannel) {
+            syncChannel.postMessage(message);
+        } else if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(message));
+        }
     } catch (error) {
-        console.error(`Error saving ${key} to localStorage:`, error);
-        return false;
+        console.warn('Unable to tell other tabs about a user data change:', error);
     }
 };
 
-// Favorites / "My Heritage" Collection
-export const getFavorites = () => {
-    return getFromStorage(STORAGE_KEYS.FAVORITES, {
-        artifacts: [],
-        recordings: [],
-        artists: [],
-        narratives: []
+const handleRemoteChange = async (storeNames) => {
+    if (storeNames.includes(STORES.FAVORITES)) favoriteIndexPromise = null;
+    
+    if (storeNames.includes(STORES.SETTINGS)) {
+        const [theme, preferences] = await Promise.all([getTheme(), getPreferences()]);
+        showTheme(theme);
+        if (document.documentElement.getAttribute('lang') !== toLangCode(preferences.language)) {
+            applyLanguage(preferences.language);
+        }
+    }
+    
+    window.dispatchEvent(new CustomEvent('userDataChanged', { detail: { source: 'sync', stores: storeNames } }));
+};
+
+const listenForRemoteChanges = () => {
+    if (syncChannel) {
+        syncChannel.onmessage = (event) => handleRemoteChange(event.data.stores);
+        return;
+    }
+    window.addEventListener('storage', (event) => {
+        if (event.key !== SYNC_STORAGE_KEY || !event.newValue) return;
+        handleRemoteChange(JSON.parse(event.newValue).stores);
     });
 };
 
-export const addFavorite = (type, item) => {
-    const favorites = getFavorites();
+// Wrap an IDBRequest in a promise
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Storage helper functions
+// Read every record of a store, or those matching query on an index, ordered by that index
+const readRecords = async (storeName, { index = null, query } = {}) => {
+    try {
+        const db = await openUserDb();
+        if (!db) {
+            const records = [...memoryStores[storeName].values()]
+                .filter(record => query === undefined || record[index] === query);
+            return index ? records.sort(compareBy(index)) : records;
+        }
     
-    if (!favorites[type]) {
-        favorites[type] = [];
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        return await promisifyRequest((index ? store.index(index) : store).getAll(query));
+    } catch (error) {
+        console.error(`Error reading ${storeName} from IndexedDB:`, error);
+        return [];
     }
+};
+
+const readRecord = async (storeName, key) => {
+    try {
+        const db = await openUserDb();
+        if (!db) return memoryStores[storeName].get(key) || null;
     
-    // Check if already favorited
-    const exists = favorites[type].some(fav => fav.id === item.id);
-    if (!exists) {
-        favorites[type].push({
-            id: item.id,
-            name: item.name || item.title || 'Untitled',
-            dateAdded: new Date().toISOString(),
-            ...item
-        });
-        saveToStorage(STORAGE_KEYS.FAVORITES, favorites);
-        return true;
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        return (await promisifyRequest(store.get(key))) || null;
+    } catch (error) {
+        console.error(`Error reading ${key} from IndexedDB:`, error);
+        return null;
+    }
+};
+
+// Changes to one or more stores: store name -> { put, add, remove, clear }
+// add fails (and nothing is saved) if a record with the same key exists
+const changesTo = (changes, storeName) => ({ put: [], add: [], remove: [], clear: false, ...changes[storeName] });
+
+// The in-memory fallback applies changes synchronously, so nothing can interleave
+const writeMemoryChanges = (changes) => {
+    const storeNames = Object.keys(changes);
+    const conflict = storeNames.some(storeName => changesTo(changes, storeName).add.some(record => (
+        memoryStores[storeName].has(record[KEY_PATHS[storeName]])
+    )));
+    if (conflict) return false;
+    
+    storeNames.forEach((storeName) => {
+        const { put, add, remove, clear } = changesTo(changes, storeName);
+        const store = memoryStores[storeName];
+        if (clear) store.clear();
+        remove.forEach(key => store.delete(key));
+        [...put, ...add].forEach(record => store.set(record[KEY_PATHS[storeName]], record));
+    });
+    return true;
+};
+
+const writeChanges = (transaction, changes) => {
+    Object.keys(changes).forEach((storeName) => {
+        const { put, add, remove, clear } = changesTo(changes, storeName);
+        const store = transaction.objectStore(storeName);
+        if (clear) store.clear();
+        remove.forEach(key => store.delete(key));
+        put.forEach(record => store.put(record));
+        add.forEach(record => store.add(record));
+    });
+};
+
+const runTransaction = (db, storeNames, run) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, 'readwrite');
+    let result;
+    run(transaction, (value) => { result = value; });
+    transaction.oncomplete = () => resolve(result);
+    // A failed request's error reaches here before the transaction records it
+    transaction.onerror = (event) => reject(event.target.error || transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+const logSaveError = (storeNames, error) => {
+    if (error?.name !== 'ConstraintError') {
+        console.error(`Error saving ${storeNames.join(', ')} to IndexedDB:`, error);
     }
-    return false;
 };
 
-export const removeFavorite = (type, itemId) => {
-    const favorites = getFavorites();
+// Apply changes in a single transaction; all of them or none are saved
+const saveChanges = async (changes) => {
+    const storeNames = Object.keys(changes);
+    try {
+        const db = await openUserDb();
+        if (!db) return writeMemoryChanges(changes);
     
-    if (favorites[type]) {
-        favorites[type] = favorites[type].filter(item => item.id !== itemId);
-        saveToStorage(STORAGE_KEYS.FAVORITES, favorites);
+        await runTransaction(db, storeNames, transaction => writeChanges(transaction, changes));
+        announceChange(storeNames);
         return true;
+    } catch (error) {
+        logSaveError(storeNames, error);
+        return false;
+    }
+};
+
+// Read records and write changes based on them in one transaction, so a write
+// from another tab cannot land between the read and the write
+// reads maps store names to a key, or null for every record in the store;
+// update(current) gets the same map with what was found (a record, null, or a
+// list) and returns changes to those stores, or null to write nothing.
+// Resolves to true when changes were saved
+const updateRecords = async (reads, update) => {
+    const storeNames = Object.keys(reads);
+    try {
+        const db = await openUserDb();
+        if (!db) {
+            const current = Object.fromEntries(storeNames.map(storeName => [
+                storeName,
+                reads[storeName] === null
+                    ? [...memoryStores[storeName].values()]
+                    : memoryStores[storeName].get(reads[storeName]) || null
+            ]));
+            const changes = update(current);
+            return changes ? writeMemoryChanges(changes) : false;
+        }
+    
+        const changed = await runTransaction(db, storeNames, (transaction, setResult) => {
+            const current = {};
+            let pending = storeNames.length;
+            storeNames.forEach((storeName) => {
+                const store = transaction.objectStore(storeName);
+                const request = reads[storeName] === null ? store.getAll() : store.get(reads[storeName]);
+                request.onsuccess = () => {
+                    current[storeName] = request.result ?? null;
+                    pending -= 1;
+                    if (pending > 0) return;
+    
+                    // Still inside the transaction: writing here keeps read and write together
+                    const changes = update(current);
+                    if (changes) writeChanges(transaction, changes);
+                    setResult(changes && Object.keys(changes));
+                };
+            });
+        });
+        if (changed) announceChange(changed);
+        return Boolean(changed);
+    } catch (error) {
+        logSaveError(storeNames, error);
+        return false;
     }
-    return false;
 };
 
-export const isFavorite = (type, itemId) => {
-    const favorites = getFavorites();
-    return favorites[type] ? favorites[type].some(item => item.id === itemId) : false;
+const saveRecords = (storeName, changes = {}) => saveChanges({ [storeName]: changes });
+
+const readSetting = async (key, defaultValue) => {
+    const record = await readRecord(STORES.SETTINGS, key);
+    return record ? record.value : defaultValue;
+};
+
+// Favorites / "My Heritage" Collection
+
+// Favorites and votes on a resolved entity keep every member id (see entity-module.js),
+// so they match whichever museum's record of the object is shown.
+// itemId may be a single id or the list of an entity's member ids; ids are compared as strings
+const toIdList = (itemId) => [...new Set((Array.isArray(itemId) ? itemId : [itemId]).map(String))];
+
+const matchesIds = (entry, ids) => (
+    ids.includes(String(entry.id ?? entry.itemId)) ||
+    (entry.memberIds || []).some(id => ids.includes(String(id)))
+);
+
+// type -> id -> favorite record, for every id a favorite matches
+// Loaded once, so isFavorite answers without reading the database
+let favoriteIndexPromise = null;
+
+const indexFavorite = (index, record) => {
+    if (!index.has(record.type)) index.set(record.type, new Map());
+    record.ids.forEach(id => index.get(record.type).set(id, record));
+};
+
+const unindexFavorite = (index, record) => {
+    record.ids.forEach(id => index.get(record.type)?.delete(id));
 };
 
-export const getFavoriteCount = () => {
-    const favorites = getFavorites();
-    return Object.values(favorites).reduce((total, arr) => total + arr.length, 0);
+const loadFavoriteIndex = () => {
+    if (!favoriteIndexPromise) {
+        favoriteIndexPromise = readRecords(STORES.FAVORITES).then((records) => {
+            const index = new Map();
+            records.forEach(record => indexFavorite(index, record));
+            return index;
+        });
+    }
+    return favoriteIndexPromise;
+};
+
+const findFavorites = (index, type, ids) => [
+    ...new Set(ids.map(id => index.get(type)?.get(id)).filter(Boolean))
+];
+
+// Every favorite grouped by type, oldest first
+export const getFavorites = async () => {
+    const favorites = Object.fromEntries(FAVORITE_TYPES.map(type => [type, []]));
+    const records = await readRecords(STORES.FAVORITES, { index: 'dateAdded' });
+    
+    records.forEach(record => {
+        if (!favorites[record.type]) favorites[record.type] = [];
+        favorites[record.type].push(fromFavoriteRecord(record));
+    });
+    return favorites;
+};
+
+// Favorites of one type, oldest first
+export const getFavoritesByType = async (type) => {
+    const records = await readRecords(STORES.FAVORITES, { index: 'type', query: type });
+    return records.sort(compareBy('dateAdded')).map(fromFavoriteRecord);
+};
+
+// Favorite records of a type matching any of ids, from a list read in a transaction
+const matchFavorites = (records, type, ids) => records.filter(record => (
+    record.type === type && record.ids.some(id => ids.includes(id))
+));
+
+// Writes read the favorites inside their own transaction rather than from the
+// index, which another tab may have made stale, and drop the index afterwards
+export const addFavorite = async (type, item) => {
+    const ids = toIdList([item.id, ...(item.memberIds || [])]);
+    let added = false;
+    
+    const saved = await updateRecords({ [STORES.FAVORITES]: null }, (current) => {
+        // Check if already favorited, under this or another member id
+        const [existing] = matchFavorites(current[STORES.FAVORITES], type, ids);
+        if (!existing) {
+            added = true;
+            return {
+                [STORES.FAVORITES]: {
+                    put: [toFavoriteRecord(type, {
+                        id: item.id,
+                        name: item.name || item.title || 'Untitled',
+                        dateAdded: new Date().toISOString(),
+                        ...item
+                    })]
+                }
+            };
+        }
+    
+        // The entity may have gained members since it was favorited
+        if (!item.memberIds) return null;
+        return {
+            [STORES.FAVORITES]: {
+                put: [toFavoriteRecord(type, {
+                    ...fromFavoriteRecord(existing),
+                    memberIds: toIdList([...(existing.memberIds || [existing.id]), ...item.memberIds])
+                })]
+            }
+        };
+    });
+    
+    if (saved) favoriteIndexPromise = null;
+    return saved && added;
+};
+
+// Remove several favorites in one transaction; items is a list of { type, id },
+// where id may also be a list of member ids. Resolves to false when none matched
+export const removeFavorites = async (items) => {
+    const reads = { [STORES.FAVORITES]: null, [STORES.COLLECTIONS]: null, [STORES.SNAPSHOTS]: null };
+    const removed = await updateRecords(reads, (current) => {
+        const keys = [...new Set(items.flatMap(({ type, id }) => (
+            matchFavorites(current[STORES.FAVORITES], type, toIdList(id)).map(record => record.key)
+        )))];
+        if (keys.length === 0) return null;
+    
+        // Take the items out of every collection in the same transaction
+        const collections = current[STORES.COLLECTIONS]
+            .filter(collection => collection.entries.some(entry => keys.includes(entry.key)))
+            .map(collection => touchCollection({
+                ...collection,
+                entries: collection.entries.filter(entry => !keys.includes(entry.key))
+            }));
+        return {
+            [STORES.FAVORITES]: { remove: keys },
+            [STORES.COLLECTIONS]: { put: collections },
+            [STORES.SNAPSHOTS]: { remove: keys }
+        };
+    });
+    
+    if (removed) favoriteIndexPromise = null;
+    return removed;
+};
+
+export const removeFavorite = (type, itemId) => removeFavorites([{ type, id: itemId }]);
+
+export const isFavorite = async (type, itemId) => {
+    const index = await loadFavoriteIndex();
+    return findFavorites(index, type, toIdList(itemId)).length > 0;
+};
+
+export const getFavoriteCount = async () => {
+    const index = await loadFavoriteIndex();
+    return [...index.values()].reduce((total, byId) => total + new Set(byId.values()).size, 0);
+};
+
+// Offline snapshots
+// The normalized record and a downscaled image (a Blob) of an artifact or
+// recording favorite, taken by snapshot-module.js. Keyed like the favorite and
+// removed with it. status is "current", "changed" (changes lists the fields
+// that differ from the source) or "missing" when the source no longer has it
+const fromSnapshotRecord = ({ key, ...snapshot }) => snapshot;
+
+export const getSnapshots = async () => (await readRecords(STORES.SNAPSHOTS)).map(fromSnapshotRecord);
+
+export const getSnapshot = async (type, itemId) => {
+    const record = await readRecord(STORES.SNAPSHOTS, `${type}:${itemId}`);
+    return record && fromSnapshotRecord(record);
+};
+
+// Saved only while the item is still a favorite, as taking a snapshot takes a while
+export const saveSnapshot = async (type, itemId, { record, image = null, status = 'current', changes = [] }) => {
+    const key = `${type}:${itemId}`;
+    const now = new Date().toISOString();
+    
+    return updateRecords({ [STORES.FAVORITES]: key, [STORES.SNAPSHOTS]: key }, (current) => {
+        if (!current[STORES.FAVORITES]) return null;
+        return {
+            [STORES.SNAPSHOTS]: {
+                put: [{ key, type, id: itemId, record, image, status, changes, savedAt: now, checkedAt: now }]
+            }
+        };
+    });
+};
+
+// Record the outcome of checking a snapshot against its source
+export const markSnapshot = async (type, itemId, { status, changes = [] }) => {
+    const key = `${type}:${itemId}`;
+    
+    return updateRecords({ [STORES.SNAPSHOTS]: key }, (current) => {
+        const snapshot = current[STORES.SNAPSHOTS];
+        if (!snapshot) return null;
+        return {
+            [STORES.SNAPSHOTS]: {
+                put: [{ ...snapshot, status, changes, checkedAt: new Date().toISOString() }]
+            }
+        };
+    });
+};
+
+// Collections
+// Named, ordered lists of favorites. Entries point at a favorite by its key and
+// keep their own note and tags, so the same item can be annotated differently
+// in two collections; an item added to a collection is also a favorite
+const createCollectionId = () => `collection-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Trimmed, de-duplicated tags from a list or a comma-separated string
+const toTagList = (tags) => [...new Set(
+    (Array.isArray(tags) ? tags : String(tags || '').split(','))
+        .map(tag => String(tag).trim())
+        .filter(Boolean)
+)];
+
+const touchCollection = (collection) => ({ ...collection, updatedAt: new Date().toISOString() });
+
+const findEntryIndex = (collection, key) => collection.entries.findIndex(entry => entry.key === key);
+
+const findFavoriteRecord = async (type, itemId) => {
+    const index = await loadFavoriteIndex();
+    return findFavorites(index, type, toIdList(itemId))[0] || null;
+};
+
+// Stored entries become items: the favorite plus the entry's note, tags and addedAt
+// Entries whose favorite no longer exists are left out
+const resolveCollection = ({ entries, ...collection }, favoritesByKey) => ({
+    ...collection,
+    items: entries
+        .filter(entry => favoritesByKey.has(entry.key))
+        .map(({ key, ...details }) => ({ ...fromFavoriteRecord(favoritesByKey.get(key)), ...details }))
+});
+
+// Every collection, oldest first
+export const getCollections = async () => {
+    const [collections, favorites] = await Promise.all([
+        readRecords(STORES.COLLECTIONS, { index: 'createdAt' }),
+        readRecords(STORES.FAVORITES)
+    ]);
+    const favoritesByKey = new Map(favorites.map(record => [record.key, record]));
+    return collections.map(collection => resolveCollection(collection, favoritesByKey));
+};
+
+export const getCollection = async (collectionId) => {
+    const collections = await getCollections();
+    return collections.find(collection => collection.id === collectionId) || null;
+};
+
+// Ids of the collections that hold an item
+export const getItemCollections = async (type, itemId) => {
+    const record = await findFavoriteRecord(type, itemId);
+    if (!record) return [];
+    
+    const collections = await readRecords(STORES.COLLECTIONS);
+    return collections
+        .filter(collection => findEntryIndex(collection, record.key) !== -1)
+        .map(collection => collection.id);
+};
+
+export const createCollection = async (name, { description = '' } = {}) => {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return null;
+    
+    const now = new Date().toISOString();
+    const collection = {
+        id: createCollectionId(),
+        name: trimmed,
+        description: String(description),
+        createdAt: now,
+        updatedAt: now,
+        entries: []
+    };
+    const saved = await saveRecords(STORES.COLLECTIONS, { add: [collection] });
+    return saved ? resolveCollection(collection, new Map()) : null;
+};
+
+export const updateCollection = (collectionId, { name, description } = {}) => (
+    updateRecords({ [STORES.COLLECTIONS]: collectionId }, (current) => {
+        const collection = current[STORES.COLLECTIONS];
+        const trimmed = name === undefined ? collection?.name : String(name).trim();
+        if (!collection || !trimmed) return null;
+    
+        return {
+            [STORES.COLLECTIONS]: {
+                put: [touchCollection({ ...collection, name: trimmed, description: description ?? collection.description })]
+            }
+        };
+    })
+);
+
+// Deleting a collection keeps its items as favorites
+export const deleteCollection = (collectionId) => saveRecords(STORES.COLLECTIONS, { remove: [collectionId] });
+
+// Change one collection around an item's entry, reading both inside the write
+// change(collection, entries, position, record) edits the copied entries in place;
+// position is -1 when the collection does not hold the item. Return false to skip
+const changeCollectionEntry = (collectionId, type, itemId, change) => (
+    updateRecords({ [STORES.FAVORITES]: null, [STORES.COLLECTIONS]: collectionId }, (current) => {
+        const collection = current[STORES.COLLECTIONS];
+        const [record] = matchFavorites(current[STORES.FAVORITES], type, toIdList(itemId));
+        if (!collection || !record) return null;
+    
+        const entries = [...collection.entries];
+        if (change(entries, findEntryIndex(collection, record.key), record) === false) return null;
+        return { [STORES.COLLECTIONS]: { put: [touchCollection({ ...collection, entries })] } };
+    })
+);
+
+// Add an item to the end of a collection, adding it to favorites first if needed
+export const addToCollection = async (collectionId, type, item, { note = '', tags = [] } = {}) => {
+    if (!(await readRecord(STORES.COLLECTIONS, collectionId))) return false;
+    await addFavorite(type, item);
+    
+    let present = false;
+    const saved = await changeCollectionEntry(collectionId, type, [item.id, ...(item.memberIds || [])], (entries, position, record) => {
+        present = position !== -1;
+        if (present) return false;
+        entries.push({ key: record.key, note: String(note), tags: toTagList(tags), addedAt: new Date().toISOString() });
+    });
+    return saved || present;
+};
+
+// Removing an item from a collection keeps it as a favorite
+export const removeFromCollection = (collectionId, type, itemId) => (
+    changeCollectionEntry(collectionId, type, itemId, (entries, position) => {
+        if (position === -1) return false;
+        entries.splice(position, 1);
+    })
+);
+
+// Move an item to another position in the same collection
+export const reorderCollectionItem = (collectionId, type, itemId, toIndex) => (
+    changeCollectionEntry(collectionId, type, itemId, (entries, position) => {
+        if (position === -1) return false;
+        const [entry] = entries.splice(position, 1);
+        entries.splice(Math.max(0, Math.min(toIndex, entries.length)), 0, entry);
+    })
+);
+
+// Set an item's note and/or tags within a collection
+export const updateCollectionItem = (collectionId, type, itemId, { note, tags } = {}) => (
+    changeCollectionEntry(collectionId, type, itemId, (entries, position) => {
+        if (position === -1) return false;
+        entries[position] = {
+            ...entries[position],
+            ...(note !== undefined && { note: String(note) }),
+            ...(tags !== undefined && { tags: toTagList(tags) })
+        };
+    })
+);
+
+// Move an item, with its note and tags, to another collection; both collections
+// change in one transaction. If the target already holds the item, its own
+// note and tags are kept
+export const moveToCollection = (fromId, toId, type, itemId, toIndex = Infinity) => {
+    if (fromId === toId) return Promise.resolve(false);
+    
+    return updateRecords({ [STORES.FAVORITES]: null, [STORES.COLLECTIONS]: null }, (current) => {
+        const from = current[STORES.COLLECTIONS].find(collection => collection.id === fromId);
+        const to = current[STORES.COLLECTIONS].find(collection => collection.id === toId);
+        const [record] = matchFavorites(current[STORES.FAVORITES], type, toIdList(itemId));
+        const position = from && to && record ? findEntryIndex(from, record.key) : -1;
+        if (position === -1) return null;
+    
+        const fromEntries = [...from.entries];
+        const [entry] = fromEntries.splice(position, 1);
+        const toEntries = [...to.entries];
+        if (findEntryIndex(to, record.key) === -1) {
+            toEntries.splice(Math.min(toIndex, toEntries.length), 0, entry);
+        }
+    
+        return {
+            [STORES.COLLECTIONS]: {
+                put: [
+                    touchCollection({ ...from, entries: fromEntries }),
+                    touchCollection({ ...to, entries: toEntries })
+                ]
+            }
+        };
+    });
 };
 
 // User Preferences
-export const getPreferences = () => {
-    return getFromStorage(STORAGE_KEYS.PREFERENCES, DEFAULT_PREFERENCES);
+export const getPreferences = async () => {
+    return { ...DEFAULT_PREFERENCES, ...(await readSetting('preferences', {})) };
 };
 
-export const updatePreference = (key, value) => {
-    const preferences = getPreferences();
-    preferences[key] = value;
-    saveToStorage(STORAGE_KEYS.PREFERENCES, preferences);
+// The theme is stored on its own and in the preferences; both are always
+// written together so they cannot drift apart
+const toSettingsRecords = (preferences) => [
+    { key: 'preferences', value: preferences },
+    { key: 'theme', value: preferences.theme }
+];
+
+export const updatePreference = async (key, value) => {
+    let preferences;
+    await updateRecords({ [STORES.SETTINGS]: 'preferences' }, (current) => {
+        preferences = { ...DEFAULT_PREFERENCES, ...current[STORES.SETTINGS]?.value, [key]: value };
+        return { [STORES.SETTINGS]: { put: toSettingsRecords(preferences) } };
+    });
     
     // Apply theme immediately if changed
     if (key === 'theme') {
-        applyTheme(value);
+        showTheme(value);
     }
     
     // Apply language immediately if changed
@@ -114,116 +968,194 @@ export const updatePreference = (key, value) => {
     return preferences;
 };
 
-export const resetPreferences = () => {
-    saveToStorage(STORAGE_KEYS.PREFERENCES, DEFAULT_PREFERENCES);
-    applyTheme(DEFAULT_PREFERENCES.theme);
-    return DEFAULT_PREFERENCES;
+export const resetPreferences = async () => {
+    await saveRecords(STORES.SETTINGS, { put: toSettingsRecords(DEFAULT_PREFERENCES) });
+    showTheme(DEFAULT_PREFERENCES.theme);
+    return { ...DEFAULT_PREFERENCES };
 };
 
 // Interaction History (Recently Viewed)
-export const getHistory = () => {
-    return getFromStorage(STORAGE_KEYS.HISTORY, {
-        artifacts: [],
-        recordings: [],
-        searches: []
+// Every entry grouped by type, most recent first
+export const getHistory = async () => {
+    const history = Object.fromEntries(HISTORY_TYPES.map(type => [type, []]));
+    const records = await readRecords(STORES.HISTORY, { index: 'viewedAt' });
+    
+    records.reverse().forEach(record => {
+        if (!history[record.type]) history[record.type] = [];
+        history[record.type].push(fromHistoryRecord(record));
     });
+    return history;
 };
 
-export const addToHistory = (type, item, maxItems = 20) => {
-    const history = getHistory();
-    
-    if (!history[type]) {
-        history[type] = [];
-    }
-    
-    // Remove if already exists to avoid duplicates
-    history[type] = history[type].filter(h => h.id !== item.id);
-    
-    // Add to beginning of array
-    history[type].unshift({
-        id: item.id,
-        name: item.name || item.title || 'Untitled',
-        viewedAt: new Date().toISOString(),
-        thumbnail: item.thumbnail || item.image || null
-    });
-    
-    // Keep only recent items
-    history[type] = history[type].slice(0, maxItems);
+// Keep only recent entries of the record's type; re-viewing an item moves it to
+// the front, and older entries that replaces(record) picks are dropped
+const saveHistoryRecord = (entry, maxItems, replaces = () => false) => (
+    updateRecords({ [STORES.HISTORY]: null }, (current) => {
+        const others = current[STORES.HISTORY]
+            .filter(record => record.type === entry.type && record.key !== entry.key);
+        const older = others
+            .filter(record => !replaces(record))
+            .sort(compareBy('viewedAt'))
+            .reverse()
+            .slice(maxItems - 1);
+        const replaced = others.filter(replaces);
+        return { [STORES.HISTORY]: { put: [entry], remove: [...replaced, ...older].map(record => record.key) } };
+    })
+);
+
+export const addToHistory = async (type, item, maxItems = HISTORY_LIMIT) => {
+    await saveHistoryRecord(toHistoryRecord(type, item), maxItems);
+    return getHistory();
+};
+
+// Typing "mas" then "mask" is one search being refined, not two
+const isRefinement = (entry, record) => {
+    const query = entry.query.toLowerCase();
+    const previous = String(record.query || '').toLowerCase();
+    return record.category === entry.category
+        && JSON.stringify(record.filters || {}) === JSON.stringify(entry.filters)
+        && Date.parse(entry.viewedAt) - Date.parse(record.viewedAt) < SEARCH_REFINE_WINDOW
+        && (query.startsWith(previous) || previous.startsWith(query));
+};
+
+// Add a performed search to the "searches" history
+// search is { query, category, filters, counts }, counts being results per kind
+// A search that extends or shortens the one just before it replaces that one
+export const recordSearch = async (search, maxItems = HISTORY_LIMIT) => {
+    if (!String(search?.query || '').trim()) return getHistory();
     
-    saveToStorage(STORAGE_KEYS.HISTORY, history);
-    return history;
+    const entry = toSearchHistoryRecord(search, new Date().toISOString());
+    await saveHistoryRecord(entry, maxItems, record => isRefinement(entry, record));
+    return getHistory();
 };
 
-export const clearHistory = (type = null) => {
+export const clearHistory = async (type = null) => {
     if (type) {
-        const history = getHistory();
-        history[type] = [];
-        saveToStorage(STORAGE_KEYS.HISTORY, history);
-    } else {
-        saveToStorage(STORAGE_KEYS.HISTORY, {
-            artifacts: [],
-            recordings: [],
-            searches: []
-        });
+        return updateRecords({ [STORES.HISTORY]: null }, current => ({
+            [STORES.HISTORY]: {
+                remove: current[STORES.HISTORY].filter(record => record.type === type).map(record => record.key)
+            }
+        }));
     }
+    return saveRecords(STORES.HISTORY, { clear: true });
 };
 
-// Community Voting
-export const getVotes = () => {
-    return getFromStorage(STORAGE_KEYS.VOTES, {
-        currentWeek: getCurrentWeekKey(),
-        votes: {}
-    });
+// Saved Searches
+// Searches pinned to re-run on demand. Each remembers the result keys it has
+// already returned ("<type>:<id>", see Search.getResultKeys), so a run can
+// tell which results are new since the last one
+const fromSavedSearchRecord = ({ seen, ...search }) => ({ ...search, seen: new Set(seen) });
+
+// Every saved search, oldest first; seen is a Set of result keys
+export const getSavedSearches = async () => (
+    (await readRecords(STORES.SAVED_SEARCHES, { index: 'createdAt' })).map(fromSavedSearchRecord)
+);
+
+export const getSavedSearch = async (searchId) => {
+    const record = await readRecord(STORES.SAVED_SEARCHES, searchId);
+    return record ? fromSavedSearchRecord(record) : null;
 };
 
-export const hasVoted = (itemId) => {
-    const voteData = getVotes();
-    const currentWeek = getCurrentWeekKey();
-    
-    // Reset votes if new week
-    if (voteData.currentWeek !== currentWeek) {
-        return false;
-    }
+// Save { query, category, filters, counts }; keys are the results already
+// shown, which later runs do not count as new. Saving a search that is already
+// saved keeps the saved one. Resolves to the saved search, or null
+export const saveSearch = async (search, { keys = [] } = {}) => {
+    const query = String(search?.query || '').trim();
+    if (!query) return null;
     
-    return voteData.votes.hasOwnProperty(itemId);
+    const now = new Date().toISOString();
+    const record = {
+        id: toSearchId({ ...search, query }),
+        query,
+        category: search.category || 'all',
+        filters: search.filters || {},
+        createdAt: now,
+        lastRunAt: now,
+        counts: search.counts || {},
+        newCount: 0,
+        seen: [...new Set(keys)].slice(0, SEEN_RESULTS_LIMIT)
+    };
+    await updateRecords({ [STORES.SAVED_SEARCHES]: record.id }, current => (
+        current[STORES.SAVED_SEARCHES] ? null : { [STORES.SAVED_SEARCHES]: { add: [record] } }
+    ));
+    return getSavedSearch(record.id);
 };
 
-export const castVote = (itemId, itemData) => {
-    const voteData = getVotes();
+export const deleteSavedSearch = (searchId) => saveRecords(STORES.SAVED_SEARCHES, { remove: [searchId] });
+
+// Record a run of a saved search that returned keys; new keys are remembered
+// ahead of older ones, up to SEEN_RESULTS_LIMIT. continued adds further pages
+// of the same run, whose new keys add to the run's count
+// Resolves to the keys that were new, or null when the search is no longer saved
+export const recordSavedSearchRun = async (searchId, { keys = [], counts, continued = false } = {}) => {
+    let fresh = null;
+    const saved = await updateRecords({ [STORES.SAVED_SEARCHES]: searchId }, (current) => {
+        const search = current[STORES.SAVED_SEARCHES];
+        if (!search) return null;
+        
+        const seen = new Set(search.seen);
+        fresh = [...new Set(keys)].filter(key => !seen.has(key));
+        return {
+            [STORES.SAVED_SEARCHES]: {
+                put: [{
+                    ...search,
+                    lastRunAt: continued ? search.lastRunAt : new Date().toISOString(),
+                    counts: counts || search.counts,
+                    newCount: fresh.length + (continued ? search.newCount : 0),
+                    seen: [...fresh, ...search.seen].slice(0, SEEN_RESULTS_LIMIT)
+                }]
+            }
+        };
+    });
+    return saved ? fresh : null;
+};
+
+// Community Voting
+// One vote per week; past weeks' votes are kept
+export const getVotes = async () => {
     const currentWeek = getCurrentWeekKey();
+    const vote = await readRecord(STORES.VOTES, currentWeek);
     
-    // Reset votes for new week
-    if (voteData.currentWeek !== currentWeek) {
-        voteData.currentWeek = currentWeek;
-        voteData.votes = {};
-    }
-    
-    // Check if already voted this week (one vote per week)
-    const alreadyVoted = Object.keys(voteData.votes).length > 0;
-    if (alreadyVoted) {
-        return { success: false, reason: 'already_voted_this_week' };
-    }
-    
-    voteData.votes[itemId] = {
-        itemId: itemId,
-        name: itemData.name || itemData.title,
-        votedAt: new Date().toISOString()
+    return {
+        currentWeek,
+        votes: vote ? { [vote.itemId]: vote } : {}
     };
-    
-    saveToStorage(STORAGE_KEYS.VOTES, voteData);
-    return { success: true, voteData };
 };
 
-export const getMyVote = () => {
-    const voteData = getVotes();
+// Every vote cast, most recent first
+export const getVoteHistory = async () => {
+    const votes = await readRecords(STORES.VOTES, { index: 'votedAt' });
+    return votes.reverse();
+};
+
+export const hasVoted = async (itemId) => {
+    const vote = await readRecord(STORES.VOTES, getCurrentWeekKey());
+    return vote ? matchesIds(vote, toIdList(itemId)) : false;
+};
+
+export const castVote = async (itemId, itemData) => {
     const currentWeek = getCurrentWeekKey();
     
-    if (voteData.currentWeek !== currentWeek) {
-        return null;
-    }
+    // The week is the record key, so a second vote this week cannot be added
+    const saved = await saveRecords(STORES.VOTES, {
+        add: [{
+            week: currentWeek,
+            itemId: itemId,
+            memberIds: itemData.memberIds || [itemId],
+            name: itemData.name || itemData.title,
+            votedAt: new Date().toISOString()
+        }]
+    });
     
-    const votes = Object.values(voteData.votes);
-    return votes.length > 0 ? votes[0] : null;
+    if (!saved) {
+        const alreadyVoted = await readRecord(STORES.VOTES, currentWeek);
+        return { success: false, reason: alreadyVoted ? 'already_voted_this_week' : 'storage_error' };
+    }
+    return { success: true, voteData: await getVotes() };
+};
+
+export const getMyVote = async () => {
+    return readRecord(STORES.VOTES, getCurrentWeekKey());
 };
 
 // Helper function to get current week key
@@ -236,109 +1168,699 @@ const getCurrentWeekKey = () => {
 };
 
 // Theme Management
-export const applyTheme = (theme) => {
+const showTheme = (theme) => {
     document.documentElement.setAttribute('data-theme', theme);
-    saveToStorage(STORAGE_KEYS.THEME, theme);
 };
 
-export const getTheme = () => {
-    return getFromStorage(STORAGE_KEYS.THEME, 'light');
+// Show and save a theme, in the theme setting and the preferences at once
+export const applyTheme = (theme) => {
+    showTheme(theme);
+    return updateRecords({ [STORES.SETTINGS]: 'preferences' }, current => ({
+        [STORES.SETTINGS]: { put: toSettingsRecords({ ...DEFAULT_PREFERENCES, ...current[STORES.SETTINGS]?.value, theme }) }
+    }));
+};
+
+export const getTheme = async () => {
+    return readSetting('theme', 'light');
 };
 
-export const toggleTheme = () => {
-    const current = getTheme();
-    const newTheme = current === 'light' ? 'dark' : 'light';
-    applyTheme(newTheme);
-    updatePreference('theme', newTheme);
+// Flips the saved theme and the theme preference together, so two tabs toggling
+// at once end up agreeing
+export const toggleTheme = async () => {
+    let newTheme;
+    await updateRecords({ [STORES.SETTINGS]: null }, (current) => {
+        const settings = new Map(current[STORES.SETTINGS].map(record => [record.key, record.value]));
+        newTheme = (settings.get('theme') || 'light') === 'light' ? 'dark' : 'light';
+        return {
+            [STORES.SETTINGS]: {
+                put: toSettingsRecords({ ...DEFAULT_PREFERENCES, ...settings.get('preferences'), theme: newTheme })
+            }
+        };
+    });
+    showTheme(newTheme);
     return newTheme;
 };
 
 // Language Management
+const toLangCode = (language) => (language === 'french' ? 'fr' : 'en');
+
 export const applyLanguage = (language) => {
-    document.documentElement.setAttribute('lang', language === 'french' ? 'fr' : 'en');
+    document.documentElement.setAttribute('lang', toLangCode(language));
     // Dispatch event for other modules to update their content
     window.dispatchEvent(new CustomEvent('languageChanged', { detail: { language } }));
 };
 
+// Usage and quota for this site from the Storage API; covers IndexedDB
+// (user data and the response cache) and everything else the origin stores
+const estimateStorage = async () => {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+    try {
+        return await navigator.storage.estimate();
+    } catch (error) {
+        console.warn('Storage estimate unavailable:', error);
+        return null;
+    }
+};
+
 // Export Statistics
-export const getStorageStats = () => {
-    const favorites = getFavorites();
-    const history = getHistory();
-    const votes = getVotes();
+export const getStorageStats = async () => {
+    const [favorites, history, votes, collections, estimate] = await Promise.all([
+        getFavorites(),
+        getHistory(),
+        getVotes(),
+        readRecords(STORES.COLLECTIONS),
+        estimateStorage()
+    ]);
     
     return {
-        totalFavorites: getFavoriteCount(),
+        totalFavorites: Object.values(favorites).reduce((total, arr) => total + arr.length, 0),
         artifactsFavorited: favorites.artifacts.length,
         recordingsFavorited: favorites.recordings.length,
         artistsFavorited: favorites.artists.length,
+        instrumentsFavorited: favorites.instruments.length,
+        collections: collections.length,
         recentlyViewed: Object.values(history).reduce((total, arr) => total + arr.length, 0),
         hasVotedThisWeek: Object.keys(votes.votes).length > 0,
-        storageUsed: new Blob([JSON.stringify(localStorage)]).size
+        // Without the Storage API, fall back to the size of the user data itself
+        storageUsed: estimate?.usage ?? new Blob([JSON.stringify({ favorites, history, votes })]).size,
+        storageQuota: estimate?.quota ?? null
     };
 };
 
 // Clear all data
-export const clearAllData = () => {
-    Object.values(STORAGE_KEYS).forEach(key => {
-        localStorage.removeItem(key);
-    });
-    return true;
+// Every store is cleared in one transaction
+export const clearAllData = async () => {
+    const cleared = await saveChanges(Object.fromEntries(
+        Object.values(STORES).map(storeName => [storeName, { clear: true }])
+    ));
+    favoriteIndexPromise = null;
+    return cleared;
 };
 
 // Export data for researcher's export tool
-export const exportUserData = () => {
-    const data = {
+// Files exported before format and version were added are read as version 1
+const EXPORT_FORMAT = 'luba-user-data';
+export const EXPORT_VERSION = 1;
+const EXPORT_LOAD_BATCH = 4; // Museum records fetched at a time for citations
+
+// Everything the user has stored; the JSON export and what imports read
+const collectUserData = async () => {
+    const [favorites, collections, preferences, history, votes, voteHistory, stats] = await Promise.all([
+        getFavorites(),
+        getCollections(),
+        getPreferences(),
+        getHistory(),
+        getVotes(),
+        getVoteHistory(),
+        getStorageStats()
+    ]);
+    
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
         exportDate: new Date().toISOString(),
-        favorites: getFavorites(),
-        preferences: getPreferences(),
-        history: getHistory(),
-        votes: getVotes(),
-        stats: getStorageStats()
+        favorites,
+        collections,
+        preferences,
+        history,
+        votes,
+        voteHistory,
+        stats
     };
+};
+
+// Museum records of artifact favorites, by favorite id, for citations
+// Offline snapshots are used where there is one; otherwise loadArtifact(id)
+// resolves to a normalized artifact. Records that fail to load are left out
+// and cited from what the favorite stored
+const loadExportArtifacts = async (favorites, loadArtifact) => {
+    const snapshots = await readRecords(STORES.SNAPSHOTS, { index: 'type', query: 'artifacts' });
+    const artifacts = new Map(snapshots
+        .filter(snapshot => snapshot.record)
+        .map(snapshot => [String(snapshot.id), snapshot.record]));
+    if (!loadArtifact) return artifacts;
     
-    return data;
+    const missing = favorites.filter(favorite => !artifacts.has(String(favorite.id)));
+    for (let start = 0; start < missing.length; start += EXPORT_LOAD_BATCH) {
+        await Promise.all(missing.slice(start, start + EXPORT_LOAD_BATCH).map(async (favorite) => {
+            try {
+                const artifact = await loadArtifact(favorite.id);
+                if (artifact) artifacts.set(String(favorite.id), artifact);
+            } catch (error) {
+                console.warn(`No museum record for ${favorite.id}, citing what was saved:`, error);
+            }
+        }));
+    }
+    return artifacts;
+};
+
+// Export in one of EXPORT_FORMATS (see export-module.js); resolves to the
+// files to save, [{ name, mimeType, content }]
+// Citation formats and reports look artifacts up with loadArtifact, if given
+export const exportUserData = async (format = 'json', { loadArtifact } = {}) => {
+    const data = await collectUserData();
+    const artifacts = format === 'json' ? new Map() : await loadExportArtifacts(data.favorites.artifacts, loadArtifact);
+    return formatUserData(format, data, artifacts);
 };
 
-export const downloadUserData = () => {
-    const data = exportUserData();
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+// Several files are bundled into one ZIP, since browsers block repeated downloads
+// The object URL is revoked after a tick, once the download has started
+export const downloadUserData = async (format = 'json', options = {}) => {
+    const files = await exportUserData(format, options);
+    if (files.length === 0) return files;
+    
+    const download = bundleFiles(format, files);
+    const type = typeof download.content === 'string' ? `${download.mimeType};charset=utf-8` : download.mimeType;
+    const url = URL.createObjectURL(new Blob([download.content], { type }));
     const link = document.createElement('a');
     link.href = url;
-    link.download = `luba-culture-export-${new Date().toISOString().split('T')[0]}.json`;
+    link.download = download.name;
     link.click();
-    URL.revokeObjectURL(url);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return files;
+};
+
+// Import data from an export file
+const IMPORT_MODES = ['replace', 'merge', 'skip'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isId = (value) => (typeof value === 'string' && value.trim() !== '') || Number.isFinite(value);
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+const isFavoriteEntry = (entry) => isPlainObject(entry) && isId(entry.id) &&
+    (entry.memberIds === undefined || (Array.isArray(entry.memberIds) && entry.memberIds.every(isId)));
+const isHistoryEntry = (entry) => isPlainObject(entry) && isId(entry.id) && isDate(entry.viewedAt);
+const isVoteEntry = (vote) => isPlainObject(vote) && isId(vote.itemId) && isDate(vote.votedAt);
+const isCollectionItem = (item) => isFavoriteEntry(item) && FAVORITE_TYPES.includes(item.type);
+
+// { type: [entries] } with malformed entries dropped; null when the category is missing
+// With types, buckets of any other type are dropped too
+const readImportBuckets = (value, label, isValidEntry, problems, types = null) => {
+    if (value === undefined) return null;
+    if (!isPlainObject(value)) {
+        problems.push(`The ${label} could not be read.`);
+        return null;
+    }
+    
+    const buckets = {};
+    Object.entries(value).forEach(([type, entries]) => {
+        if (types && !types.includes(type)) {
+            problems.push(`The unknown ${label} type "${type}" was skipped.`);
+            return;
+        }
+        if (!Array.isArray(entries)) {
+            problems.push(`The ${label} "${type}" list could not be read.`);
+            return;
+        }
+        const valid = entries.filter(isValidEntry);
+        if (valid.length < entries.length) {
+            problems.push(`${entries.length - valid.length} unreadable ${label} entr${entries.length - valid.length === 1 ? 'y' : 'ies'} in "${type}" skipped.`);
+        }
+        buckets[type] = valid;
+    });
+    return buckets;
+};
+
+// Check an export file against the export format
+// Malformed entries are dropped and listed in problems; the file is only
+// invalid when it is not an export at all or has nothing to import
+export const validateExport = (data) => {
+    const problems = [];
+    const invalid = (message) => ({ valid: false, data: null, problems: [...problems, message] });
+    
+    if (!isPlainObject(data) || (data.format !== undefined && data.format !== EXPORT_FORMAT)) {
+        return invalid('This file is not a Luba Culture export.');
+    }
+    if ((data.version ?? 1) > EXPORT_VERSION) {
+        return invalid('This file comes from a newer version of the site.');
+    }
+    
+    const favorites = readImportBuckets(data.favorites, 'favorites', isFavoriteEntry, problems, FAVORITE_TYPES);
+    const history = readImportBuckets(data.history, 'history', isHistoryEntry, problems);
+    
+    // Files from before artifact ids named their source
+    const clevelandIds = findClevelandIds([...(history?.artifacts || []), ...(favorites?.artifacts || [])]);
+    if (favorites?.artifacts) favorites.artifacts = favorites.artifacts.map(item => qualifyArtifact(item, clevelandIds));
+    if (history?.artifacts) history.artifacts = history.artifacts.map(entry => qualifyArtifact(entry, clevelandIds));
+    if (history?.votes) history.votes = history.votes.map(entry => qualifyArtifact(entry, clevelandIds));
+    
+    let preferences = null;
+    if (isPlainObject(data.preferences)) {
+        preferences = {};
+        Object.entries(DEFAULT_PREFERENCES).forEach(([key, fallback]) => {
+            const value = data.preferences[key];
+            if (value === undefined) return;
+            if (typeof value === typeof fallback) preferences[key] = value;
+            else problems.push(`The "${key}" preference could not be read.`);
+        });
+    } else if (data.preferences !== undefined) {
+        problems.push('The preferences could not be read.');
+    }
+    
+    // Collections need a name; unreadable items are dropped from them
+    let collections = null;
+    if (Array.isArray(data.collections)) {
+        collections = data.collections
+            .filter((collection) => {
+                const readable = isPlainObject(collection) && typeof collection.name === 'string' &&
+                    collection.name.trim() !== '' && Array.isArray(collection.items);
+                if (!readable) problems.push('An unreadable collection was skipped.');
+                return readable;
+            })
+            .map((collection) => {
+                const items = collection.items
+                    .filter(isCollectionItem)
+                    .map(item => (item.type === 'artifacts' ? qualifyArtifact(item, clevelandIds) : item));
+                if (items.length < collection.items.length) {
+                    problems.push(`${collection.items.length - items.length} unreadable item(s) in "${collection.name}" skipped.`);
+                }
+                return { ...collection, name: collection.name.trim(), items };
+            });
+    } else if (data.collections !== undefined) {
+        problems.push('The collections could not be read.');
+    }
+    
+    // The current vote of the exporting week, plus every vote in newer exports
+    const votes = new Map();
+    const addVote = (vote, week) => {
+        if (isVoteEntry(vote) && typeof week === 'string') votes.set(week, { ...qualifyVote(vote, clevelandIds), week });
+        else problems.push('An unreadable vote was skipped.');
+    };
+    if (isPlainObject(data.votes?.votes)) {
+        Object.values(data.votes.votes).forEach(vote => addVote(vote, vote?.week || data.votes.currentWeek));
+    }
+    if (Array.isArray(data.voteHistory)) {
+        data.voteHistory.forEach(vote => addVote(vote, vote?.week));
+    }
+    
+    if (!favorites && !collections && !history && !preferences && votes.size === 0) {
+        return invalid('This file has no favorites, collections, history, preferences or votes to import.');
+    }
+    
+    return {
+        valid: true,
+        data: {
+            exportDate: isDate(data.exportDate) ? data.exportDate : null,
+            favorites: favorites || {},
+            collections,
+            history: history || {},
+            preferences,
+            votes: [...votes.values()]
+        },
+        problems
+    };
+};
+
+// Votes from past weeks are imported as "votes" history entries, one per week,
+// not as active votes
+const toVoteHistoryRecord = ({ itemId, name, week, votedAt }) => ({
+    ...toHistoryRecord('votes', { id: itemId, name }, votedAt),
+    key: `votes:${week}`,
+    week
+});
+
+const splitImportedVotes = (votes) => {
+    const currentWeek = getCurrentWeekKey();
+    return {
+        active: votes.find(vote => vote.week === currentWeek) || null,
+        past: votes.filter(vote => vote.week !== currentWeek).map(toVoteHistoryRecord)
+    };
+};
+
+const toImportedHistoryRecord = (type, entry) => {
+    if (type === 'votes' && typeof entry.week === 'string') {
+        return toVoteHistoryRecord({ ...entry, itemId: entry.id, votedAt: entry.viewedAt });
+    }
+    if (type === 'searches' && typeof entry.query === 'string' && entry.query.trim()) {
+        return toSearchHistoryRecord(entry, entry.viewedAt);
+    }
+    return toHistoryRecord(type, entry, entry.viewedAt);
+};
+
+const toImportedHistoryRecords = (history) => Object.entries(history).flatMap(([type, entries]) => (
+    entries.map(entry => toImportedHistoryRecord(type, entry))
+));
+
+// What an import would change, per category, for the import preview
+export const previewImport = async (data) => {
+    const { valid, data: incoming, problems } = validateExport(data);
+    if (!valid) return { valid, problems };
+    
+    const [index, collections, historyRecords, preferences, myVote] = await Promise.all([
+        loadFavoriteIndex(),
+        readRecords(STORES.COLLECTIONS),
+        readRecords(STORES.HISTORY),
+        getPreferences(),
+        getMyVote()
+    ]);
+    
+    const favoriteEntries = Object.entries(incoming.favorites)
+        .flatMap(([type, entries]) => entries.map(entry => ({ type, entry })));
+    const newFavorites = favoriteEntries.filter(({ type, entry }) => (
+        findFavorites(index, type, toIdList([entry.id, ...(entry.memberIds || [])])).length === 0
+    ));
+    
+    const collectionNames = new Set(collections.map(collection => collection.name.toLowerCase()));
+    
+    const currentHistory = new Map(historyRecords.map(record => [record.key, record]));
+    const importedHistory = toImportedHistoryRecords(incoming.history);
+    const historyKeys = new Set([...currentHistory.keys(), ...importedHistory.map(record => record.key)]);
+    const { active, past } = splitImportedVotes(incoming.votes);
+    
+    return {
+        valid,
+        problems,
+        exportDate: incoming.exportDate,
+        categories: {
+            favorites: {
+                incoming: favoriteEntries.length,
+                added: newFavorites.length,
+                current: await getFavoriteCount()
+            },
+            collections: incoming.collections && {
+                incoming: incoming.collections.length,
+                added: incoming.collections.filter(collection => !collectionNames.has(collection.name.toLowerCase())).length,
+                items: incoming.collections.reduce((total, collection) => total + collection.items.length, 0),
+                current: collections.length
+            },
+            history: {
+                incoming: importedHistory.length,
+                added: importedHistory.filter(record => !currentHistory.has(record.key)).length,
+                newer: importedHistory.filter(record => (
+                    currentHistory.has(record.key) && record.viewedAt > currentHistory.get(record.key).viewedAt
+                )).length,
+                current: historyRecords.length,
+                // Entries past HISTORY_LIMIT per type that a merge leaves out
+                dropped: historyKeys.size - mergeHistory(historyRecords, importedHistory).length,
+                limit: HISTORY_LIMIT
+            },
+            preferences: incoming.preferences && {
+                changes: Object.entries(incoming.preferences)
+                    .filter(([key, value]) => preferences[key] !== value)
+                    .map(([key, value]) => ({ key, from: preferences[key], to: value }))
+            },
+            votes: {
+                active,
+                current: myVote,
+                past: past.length
+            }
+        }
+    };
+};
+
+// Newest entry per key, then the newest HISTORY_LIMIT per type
+// Past votes are a record rather than a recent list, so all of them are kept
+const mergeHistory = (current, incoming) => {
+    const byKey = new Map(current.map(record => [record.key, record]));
+    incoming.forEach(record => {
+        const existing = byKey.get(record.key);
+        if (!existing || record.viewedAt > existing.viewedAt) byKey.set(record.key, record);
+    });
+    
+    const byType = new Map();
+    [...byKey.values()]
+        .sort(compareBy('viewedAt'))
+        .reverse()
+        .forEach(record => {
+            if (!byType.has(record.type)) byType.set(record.type, []);
+            byType.get(record.type).push(record);
+        });
+    return [...byType.entries()].flatMap(([type, records]) => (
+        type === 'votes' ? records : records.slice(0, HISTORY_LIMIT)
+    ));
+};
+
+// Favorites from the file added to the stored ones (none when replacing)
+// Returns the favorites index afterwards and the records to put
+const mergeImportedFavorites = (stored, favorites, replace, summary) => {
+    const index = new Map();
+    if (!replace) stored.forEach(record => indexFavorite(index, record));
+    
+    const put = [];
+    Object.entries(favorites).forEach(([type, entries]) => entries.forEach((entry) => {
+        const [existing] = findFavorites(index, type, toIdList([entry.id, ...(entry.memberIds || [])]));
+        let record;
+        if (!existing) {
+            record = toFavoriteRecord(type, {
+                name: entry.name || entry.title || 'Untitled',
+                ...entry,
+                dateAdded: isDate(entry.dateAdded) ? entry.dateAdded : new Date().toISOString()
+            });
+            summary.favorites += 1;
+        } else if (entry.memberIds) {
+            record = toFavoriteRecord(type, {
+                ...fromFavoriteRecord(existing),
+                memberIds: toIdList([...(existing.memberIds || [existing.id]), ...entry.memberIds])
+            });
+            unindexFavorite(index, existing);
+        } else {
+            return;
+        }
+        indexFavorite(index, record);
+        put.push(record);
+    }));
+    return { index, put };
+};
+
+// Collections from the file; merge adds items to the stored collection of the
+// same name. Items that are not favorites yet become favorites, added to index
+// Returns the collections to put and the new favorite records
+const mergeImportedCollections = (stored, collections, index, summary) => {
+    const byName = new Map(stored.map(collection => [
+        collection.name.toLowerCase(),
+        { ...collection, entries: [...collection.entries] }
+    ]));
+    const newFavorites = [];
+    const now = new Date().toISOString();
+    
+    collections.forEach((imported) => {
+        let collection = byName.get(imported.name.toLowerCase());
+        if (!collection) {
+            collection = {
+                id: createCollectionId(),
+                name: imported.name,
+                description: typeof imported.description === 'string' ? imported.description : '',
+                createdAt: isDate(imported.createdAt) ? imported.createdAt : now,
+                entries: []
+            };
+            byName.set(imported.name.toLowerCase(), collection);
+            summary.collections += 1;
+        }
+        collection.updatedAt = now;
+    
+        imported.items.forEach(({ note = '', tags = [], addedAt, ...favorite }) => {
+            let [record] = findFavorites(index, favorite.type, toIdList([favorite.id, ...(favorite.memberIds || [])]));
+            if (!record) {
+                record = toFavoriteRecord(favorite.type, {
+                    name: favorite.name || favorite.title || 'Untitled',
+                    ...favorite,
+                    dateAdded: isDate(favorite.dateAdded) ? favorite.dateAdded : now
+                });
+                indexFavorite(index, record);
+                newFavorites.push(record);
+            }
+            if (findEntryIndex(collection, record.key) === -1) {
+                collection.entries.push({
+                    key: record.key,
+                    note: String(note),
+                    tags: toTagList(tags),
+                    addedAt: isDate(addedAt) ? addedAt : now
+                });
+            }
+        });
+    });
+    return { collections: [...byName.values()], newFavorites };
+};
+
+// Import an export file; choices maps favorites, collections, history, preferences
+// and votes to "replace", "merge" (the default) or "skip"
+// merge unions favorites, adds items to collections of the same name, keeps the
+// newest history entries, keeps current preferences the file does not set, and
+// only adds this week's vote if there is none
+// Everything is read and written in one transaction, so a write from another
+// tab lands either before or after the whole import
+export const importUserData = async (data, choices = {}) => {
+    const { valid, data: incoming, problems } = validateExport(data);
+    if (!valid) return { success: false, problems };
+    
+    const modeOf = (category) => (IMPORT_MODES.includes(choices[category]) ? choices[category] : 'merge');
+    const summary = { favorites: 0, collections: 0, history: 0, preferences: false, vote: false };
+    
+    const { active, past } = splitImportedVotes(incoming.votes);
+    const importedHistory = [
+        ...(modeOf('history') !== 'skip' ? toImportedHistoryRecords(incoming.history) : []),
+        ...(modeOf('votes') !== 'skip' ? past : [])
+    ];
+    const steps = {
+        favorites: modeOf('favorites') !== 'skip',
+        collections: Boolean(incoming.collections) && modeOf('collections') !== 'skip',
+        history: importedHistory.length > 0 || modeOf('history') === 'replace',
+        preferences: Boolean(incoming.preferences) && modeOf('preferences') !== 'skip',
+        vote: Boolean(active) && modeOf('votes') !== 'skip'
+    };
+    
+    const reads = {
+        ...((steps.favorites || steps.collections) && { [STORES.FAVORITES]: null }),
+        ...(steps.favorites && { [STORES.SNAPSHOTS]: null }),
+        ...(steps.collections && { [STORES.COLLECTIONS]: null }),
+        ...(steps.history && { [STORES.HISTORY]: null }),
+        ...(steps.preferences && { [STORES.SETTINGS]: 'preferences' }),
+        ...(steps.vote && { [STORES.VOTES]: active.week })
+    };
+    if (Object.keys(reads).length === 0) return { success: true, problems, summary };
+    
+    let preferences = null;
+    const saved = await updateRecords(reads, (current) => {
+        const changes = {};
+        let index = null;
+        
+        if (steps.favorites) {
+            const replace = modeOf('favorites') === 'replace';
+            const merged = mergeImportedFavorites(current[STORES.FAVORITES], incoming.favorites, replace, summary);
+            index = merged.index;
+            
+            // Replacing drops the snapshots of favorites that are not kept
+            const keptKeys = new Set(merged.put.map(record => record.key));
+            changes[STORES.FAVORITES] = { clear: replace, put: merged.put };
+            changes[STORES.SNAPSHOTS] = {
+                remove: replace
+                    ? current[STORES.SNAPSHOTS].filter(snapshot => !keptKeys.has(snapshot.key)).map(snapshot => snapshot.key)
+                    : []
+            };
+        }
+        
+        // Collection items that are not favorites yet are added to favorites too
+        if (steps.collections) {
+            if (!index) {
+                index = new Map();
+                current[STORES.FAVORITES].forEach(record => indexFavorite(index, record));
+            }
+            const replace = modeOf('collections') === 'replace';
+            const merged = mergeImportedCollections(
+                replace ? [] : current[STORES.COLLECTIONS],
+                incoming.collections,
+                index,
+                summary
+            );
+            changes[STORES.FAVORITES] = {
+                ...changes[STORES.FAVORITES],
+                put: [...(changes[STORES.FAVORITES]?.put || []), ...merged.newFavorites]
+            };
+            changes[STORES.COLLECTIONS] = { clear: replace, put: merged.collections };
+        }
+        
+        if (steps.history) {
+            const replace = modeOf('history') === 'replace';
+            const stored = current[STORES.HISTORY];
+            const kept = mergeHistory(replace ? [] : stored, importedHistory);
+            const keptKeys = new Set(kept.map(record => record.key));
+            
+            changes[STORES.HISTORY] = {
+                clear: replace,
+                remove: replace ? [] : stored.filter(record => !keptKeys.has(record.key)).map(record => record.key),
+                put: kept
+            };
+            summary.history = kept.filter(record => importedHistory.includes(record)).length;
+        }
+        
+        if (steps.preferences) {
+            const base = modeOf('preferences') === 'replace'
+                ? DEFAULT_PREFERENCES
+                : { ...DEFAULT_PREFERENCES, ...current[STORES.SETTINGS]?.value };
+            preferences = { ...base, ...incoming.preferences };
+            changes[STORES.SETTINGS] = { put: toSettingsRecords(preferences) };
+            summary.preferences = true;
+        }
+        
+        // merge keeps a vote already cast this week
+        if (steps.vote && (modeOf('votes') === 'replace' || !current[STORES.VOTES])) {
+            changes[STORES.VOTES] = {
+                put: [{
+                    week: active.week,
+                    itemId: active.itemId,
+                    memberIds: active.memberIds || [active.itemId],
+                    name: active.name,
+                    votedAt: active.votedAt
+                }]
+            };
+            summary.vote = true;
+        }
+        return changes;
+    });
+    
+    if (!saved) {
+        return { success: false, problems, summary: { favorites: 0, collections: 0, history: 0, preferences: false, vote: false } };
+    }
+    favoriteIndexPromise = null;
+    if (preferences) {
+        showTheme(preferences.theme);
+        applyLanguage(preferences.language);
+    }
+    return { success: true, problems, summary };
 };
 
 // Initialize on load
-export const initializeStorage = () => {
+// Opening the database runs any pending migrations, including the
+// one-time import of the old localStorage data
+export const initializeStorage = async () => {
+    await openUserDb().catch((error) => {
+        console.warn('User data is unavailable until the page is reloaded:', error);
+    });
+    listenForRemoteChanges();
+    
     // Apply saved theme
-    const theme = getTheme();
-    applyTheme(theme);
+    const theme = await getTheme();
+    showTheme(theme);
     
     // Apply saved language
-    const preferences = getPreferences();
+    const preferences = await getPreferences();
     if (preferences.language) {
         applyLanguage(preferences.language);
     }
     
-    console.log('Storage initialized:', getStorageStats());
+    console.log('Storage initialized:', await getStorageStats());
 };
 
 // Export all functions
 export default {
+    USER_DB_VERSION,
+    isUserDataOutdated,
     getFavorites,
+    getFavoritesByType,
     addFavorite,
     removeFavorite,
+    removeFavorites,
     isFavorite,
     getFavoriteCount,
+    getSnapshots,
+    getSnapshot,
+    saveSnapshot,
+    markSnapshot,
+    getCollections,
+    getCollection,
+    getItemCollections,
+    createCollection,
+    updateCollection,
+    deleteCollection,
+    addToCollection,
+    removeFromCollection,
+    reorderCollectionItem,
+    updateCollectionItem,
+    moveToCollection,
     getPreferences,
     updatePreference,
     resetPreferences,
     getHistory,
     addToHistory,
+    recordSearch,
     clearHistory,
+    getSavedSearches,
+    getSavedSearch,
+    saveSearch,
+    deleteSavedSearch,
+    recordSavedSearchRun,
     getVotes,
+    getVoteHistory,
     hasVoted,
     castVote,
     getMyVote,
@@ -348,7 +1870,11 @@ export default {
     applyLanguage,
     getStorageStats,
     clearAllData,
+    EXPORT_VERSION,
     exportUserData,
     downloadUserData,
+    validateExport,
+    previewImport,
+    importUserData,
     initializeStorage
 };
@@ -0,0 +1,240 @@
+// Entity Module - Cross-source artifact de-duplication
+// Clusters normalized artifacts that describe the same object and merges
+// each cluster into one entity with "also held at" references
+
+import { loadImage } from './image-module.js';
+
+// Evidence weights; a pair scoring DUPLICATE_THRESHOLD or more is the same object
+// Matching title and dimensions are enough on their own, so pairs still merge
+// where thumbnails cannot be hashed (no CORS headers). Each museum numbers its own
+// holdings, so an accession number only corroborates a matching title, as when a
+// deaccessioned object keeps its old number at its new home
+const MATCH_WEIGHTS = {
+    title: 0.4,
+    dimensions: 0.4,
+    accessionNumber: 0.4,
+    image: 0.5
+};
+const DUPLICATE_THRESHOLD = 0.8;
+
+const TITLE_SIMILARITY = 0.8;       // Token overlap for "same title"
+const DIMENSION_TOLERANCE = 0.02;   // 2% difference in the main measurement
+const IMAGE_HASH_DISTANCE = 10;     // Differing bits out of 64
+const IMAGE_TIMEOUT = 5000;
+
+const TITLE_STOPWORDS = new Set(['a', 'an', 'the', 'of', 'and', 'with', 'from', 'in', 'on', 'for']);
+
+const imageHashes = new Map();
+
+// Lowercase, strip accents and punctuation
+const normalizeText = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+export const normalizeAccessionNumber = (value) => normalizeText(value).replace(/\s+/g, '');
+
+const titleTokens = (title) => new Set(
+    normalizeText(title)
+        .split(' ')
+        .filter(token => token && !TITLE_STOPWORDS.has(token))
+);
+
+// Jaccard similarity of the title word sets, 0..1
+export const titleSimilarity = (a, b) => {
+    const tokensA = titleTokens(a);
+    const tokensB = titleTokens(b);
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    let shared = 0;
+    tokensA.forEach(token => {
+        if (tokensB.has(token)) shared += 1;
+    });
+    return shared / (tokensA.size + tokensB.size - shared);
+};
+
+// First measurement in centimetres, usually the height
+export const parseMainDimension = (dimensions) => {
+    const match = String(dimensions || '').match(/(\d+(?:\.\d+)?)\s*cm/i);
+    return match ? parseFloat(match[1]) : null;
+};
+
+const dimensionsMatch = (a, b) => {
+    const sizeA = parseMainDimension(a);
+    const sizeB = parseMainDimension(b);
+    if (!sizeA || !sizeB) return false;
+    return Math.abs(sizeA - sizeB) / Math.max(sizeA, sizeB) <= DIMENSION_TOLERANCE;
+};
+
+// 64-bit difference hash of an image, as a string of 0/1
+// Resolves to null where images cannot be read (no DOM, CORS, load failure)
+export const computeImageHash = (url) => {
+    if (!url || typeof document === 'undefined') return Promise.resolve(null);
+    if (imageHashes.has(url)) return imageHashes.get(url);
+
+    const pending = loadImage(url, IMAGE_TIMEOUT)
+        .then((image) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 9;
+            canvas.height = 8;
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(image, 0, 0, 9, 8);
+            const { data } = context.getImageData(0, 0, 9, 8);
+
+            const brightness = (x, y) => {
+                const offset = (y * 9 + x) * 4;
+                return data[offset] * 0.299 + data[offset + 1] * 0.587 + data[offset + 2] * 0.114;
+            };
+
+            let hash = '';
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) {
+                    hash += brightness(x, y) > brightness(x + 1, y) ? '1' : '0';
+                }
+            }
+            return hash;
+        })
+        .catch(() => null);
+
+    imageHashes.set(url, pending);
+    return pending;
+};
+
+const hashDistance = (a, b) => {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) distance += 1;
+    }
+    return distance;
+};
+
+// Score the evidence that two artifacts from different museums are the same object
+// Images are only hashed when a match could tip the pair over the threshold,
+// since each hash means downloading a thumbnail
+const scorePair = async (a, b) => {
+    if (a.source === b.source) return 0;
+
+    let score = 0;
+    const sameTitle = titleSimilarity(a.title, b.title) >= TITLE_SIMILARITY;
+    if (sameTitle) {
+        score += MATCH_WEIGHTS.title;
+        const accession = normalizeAccessionNumber(a.accessionNumber);
+        if (accession && accession === normalizeAccessionNumber(b.accessionNumber)) {
+            score += MATCH_WEIGHTS.accessionNumber;
+        }
+    }
+    if (dimensionsMatch(a.dimensions, b.dimensions)) score += MATCH_WEIGHTS.dimensions;
+
+    if (score >= DUPLICATE_THRESHOLD) return score;
+    if (score + MATCH_WEIGHTS.image < DUPLICATE_THRESHOLD) return score;
+
+    const [hashA, hashB] = await Promise.all([
+        computeImageHash(a.images.thumbnail),
+        computeImageHash(b.images.thumbnail)
+    ]);
+    if (hashA && hashB && hashDistance(hashA, hashB) <= IMAGE_HASH_DISTANCE) {
+        score += MATCH_WEIGHTS.image;
+    }
+    return score;
+};
+
+// Disjoint-set helpers for clustering matched pairs
+const findRoot = (parents, index) => {
+    while (parents[index] !== index) {
+        parents[index] = parents[parents[index]];
+        index = parents[index];
+    }
+    return index;
+};
+
+// Merge a cluster into one entity
+// The first member (in result order) stays the displayed artifact; the
+// entity id is the smallest member id so it is the same on every page
+const buildEntity = (members) => {
+    const [primary] = members;
+    const memberIds = members.map(member => member.id).sort();
+    const heldAt = new Map();
+
+    members.slice(1).forEach((member) => {
+        if (member.source === primary.source || heldAt.has(member.source)) return;
+        heldAt.set(member.source, {
+            id: member.id,
+            source: member.source,
+            sourceName: member.sourceName,
+            title: member.title,
+            url: member.links.object
+        });
+    });
+
+    return {
+        ...primary,
+        entityId: memberIds[0],
+        memberIds,
+        alsoHeldAt: [...heldAt.values()]
+    };
+};
+
+// Cluster likely duplicates and return one entity per object, in result order
+// Artifacts that are already entities are expanded back into their members
+export const resolveEntities = async (artifacts = []) => {
+    const items = [];
+    const seen = new Set();
+    artifacts.forEach((artifact) => {
+        if (!artifact || seen.has(artifact.id)) return;
+        seen.add(artifact.id);
+        items.push(artifact);
+        (artifact.members || []).forEach((member) => {
+            if (seen.has(member.id)) return;
+            seen.add(member.id);
+            items.push(member);
+        });
+    });
+
+    const comparisons = [];
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            comparisons.push(scorePair(items[i], items[j]).then(score => ({ i, j, score })));
+        }
+    }
+    const matches = (await Promise.all(comparisons)).filter(({ score }) => score >= DUPLICATE_THRESHOLD);
+
+    // Join matches in result order, and never two clusters that share a museum,
+    // so a chain of matches cannot merge two objects from the same collection
+    const parents = items.map((item, index) => index);
+    const sources = items.map(item => new Set([item.source]));
+    matches.forEach(({ i, j }) => {
+        const rootI = findRoot(parents, i);
+        const rootJ = findRoot(parents, j);
+        if (rootI === rootJ || [...sources[rootJ]].some(source => sources[rootI].has(source))) return;
+        parents[rootJ] = rootI;
+        sources[rootJ].forEach(source => sources[rootI].add(source));
+    });
+
+    const clusters = new Map();
+    items.forEach((item, index) => {
+        const root = findRoot(parents, index);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(item);
+    });
+
+    return [...clusters.values()].map((members) => {
+        // Keep plain members so a later resolution can re-cluster them
+        const plainMembers = members.map(({ entityId, memberIds, alsoHeldAt, members: nested, ...artifact }) => artifact);
+        return { ...buildEntity(plainMembers), members: plainMembers };
+    });
+};
+
+// Ids to check favorites and votes against for an artifact or entity
+export const getMemberIds = (item) => item?.memberIds || (item?.id ? [item.id] : []);
+
+// Export all functions
+export default {
+    normalizeAccessionNumber,
+    titleSimilarity,
+    parseMainDimension,
+    computeImageHash,
+    resolveEntities,
+    getMemberIds
+};
@@ -1,11 +1,19 @@
 // Interaction & Event Module - Manages all user interactions
 // Handles clicks, favorites, voting, and surprise me feature
 
-import { addFavorite, removeFavorite, isFavorite, castVote, hasVoted, addToHistory } from './data-management.js';
-import { showArtifactModal, updateFavoriteButton, showToast } from './ui-module.js';
-import { searchAllSources, getMetObject } from './api-module.js';
+import { addFavorite, removeFavorite, isFavorite, getSnapshot, castVote, hasVoted, addToHistory, toggleTheme, updatePreference, downloadUserData, previewImport, importUserData, getCollections, getItemCollections, createCollection, addToCollection, removeFromCollection } from './data-management.js';
+import { showArtifactModal, showRecordingModal, showArtistModal, showInstrumentModal, showNarrativeReader, showImportPreview, showCollectionPicker, updateFavoriteButton, showToast, getErrorMessage, renderErrorStatus } from './ui-module.js';
+import { searchAllSources, getArtifact, isAbortError, MET_DEPARTMENTS, getMusicBrainzArtistDetails, ARTIST_DETAIL_INCLUDES, getMusicBrainzInstrumentDetails, findRecordingsWithInstrument, getNarrative, findArtifactsForTag, clearCoverArtLookups } from './api-module.js';
+import { filterByDateRange } from './search-module.js';
+import { clearResponseCache, getCacheStats } from './cache-module.js';
+import { EXPORT_FORMATS } from './export-module.js';
+import { captureSnapshot, loadSnapshotRecord } from './snapshot-module.js';
+
+let surpriseController = null;
+let artistController = null;
 
 // Surprise Me - Random discovery feature
+// A new surprise cancels any that is still being fetched
 export const surpriseMe = async (criteria = {}) => {
     const {
         type = 'artifact', // 'artifact' or 'music'
@@ -14,6 +22,10 @@ export const surpriseMe = async (criteria = {}) => {
         statusElement = null
     } = criteria;
     
+    if (surpriseController) surpriseController.abort();
+    const controller = new AbortController();
+    surpriseController = controller;
+    
     if (statusElement) {
         statusElement.textContent = 'Finding a surprise for you...';
     }
@@ -22,15 +34,36 @@ export const surpriseMe = async (criteria = {}) => {
         // Build search query based on criteria
         let query = 'luba';
         if (category) query += ` ${category}`;
-        if (century) query += ` ${century}th century`;
+        
+        // Museums that filter server-side only return objects from the
+        // African collections and the requested century
+        const filters = { departmentId: MET_DEPARTMENTS.ARTS_OF_AFRICA_OCEANIA_AMERICAS };
+        if (century) {
+            filters.dateBegin = (century - 1) * 100;
+            filters.dateEnd = century * 100 - 1;
+        }
         
         const searchOptions = {
             includeArt: type === 'artifact',
             includeMusic: type === 'music',
-            maxResults: 100
+            pageSize: 20,
+            filters,
+            signal: controller.signal
         };
         
         const results = await searchAllSources(query, searchOptions);
+        controller.signal.throwIfAborted();
+        
+        // Sources that cannot filter by date are narrowed down here
+        if (century) {
+            results.artifacts = filterByDateRange(results.artifacts, filters.dateBegin, filters.dateEnd);
+        }
+        
+        // Every source failed: report why instead of "no surprises found"
+        const found = type === 'artifact' ? results.artifacts.length : results.recordings.length;
+        if (found === 0 && results.errors.length > 0) {
+            throw results.errors[0];
+        }
         
         let selectedItem = null;
         
@@ -40,9 +73,9 @@ export const surpriseMe = async (criteria = {}) => {
             
             // Add to history
             addToHistory('artifacts', {
-                id: selectedItem.id || selectedItem.objectID,
+                id: selectedItem.id,
                 title: selectedItem.title,
-                image: selectedItem.primaryImageSmall || selectedItem.images?.web?.url
+                image: selectedItem.images.thumbnail
             });
             
             // Show modal
@@ -71,12 +104,14 @@ export const surpriseMe = async (criteria = {}) => {
         return selectedItem;
         
     } catch (error) {
+        if (isAbortError(error)) return null; // Superseded by a newer surprise
         console.error('Surprise Me failed:', error);
-        if (statusElement) {
-            statusElement.textContent = 'Unable to find a surprise. Please try again.';
-        }
-        showToast('Unable to find a surprise. Please try again.', 'error');
+        const fallback = 'Unable to find a surprise. Please try again.';
+        renderErrorStatus(statusElement, error, () => surpriseMe(criteria), fallback);
+        showToast(getErrorMessage(error, fallback), 'error');
         return null;
+    } finally {
+        if (surpriseController === controller) surpriseController = null;
     }
 };
 
@@ -90,8 +125,63 @@ const showMusicDetails = (recording) => {
     window.open(`https://musicbrainz.org/recording/${recording.id}`, '_blank');
 };
 
+// Update every favorite button for the same item, e.g. a card and its open detail view
+const syncFavoriteButtons = (type, itemId, favorited) => {
+    document.querySelectorAll(`.favorite-btn[data-type="${type}"][data-id="${itemId}"]`)
+        .forEach(button => updateFavoriteButton(button, favorited));
+};
+
+// Re-read the state of every favorite button on the page, e.g. after an import
+const refreshFavoriteButtons = () => Promise.all(
+    [...document.querySelectorAll('.favorite-btn')].map(async (button) => {
+        const { type, id, memberIds } = button.dataset;
+        updateFavoriteButton(button, await isFavorite(type, memberIds ? memberIds.split(',') : id));
+    })
+);
+
+// Tell the page that user data changed, so counts and lists refresh
+// stores names what changed, as in the cross-tab "sync" events
+const notifyUserDataChanged = (source, stores = []) => {
+    window.dispatchEvent(new CustomEvent('userDataChanged', { detail: { source, stores } }));
+};
+
+// Offer the collection picker for a favorited item
+const openCollectionPicker = async (button, type, itemData) => {
+    const ids = itemData.memberIds || itemData.id;
+    const [collections, selected] = await Promise.all([getCollections(), getItemCollections(type, ids)]);
+    
+    showCollectionPicker(button, { collections, selected }, {
+        onToggle: async (collectionId, checked) => {
+            const saved = checked
+                ? await addToCollection(collectionId, type, itemData)
+                : await removeFromCollection(collectionId, type, ids);
+            if (!saved) showToast('Unable to update the collection', 'error');
+            notifyUserDataChanged('collections');
+        },
+        onCreate: async (name) => {
+            const collection = await createCollection(name);
+            if (!collection || !(await addToCollection(collection.id, type, itemData))) {
+                showToast('Unable to create the collection', 'error');
+                return null;
+            }
+            showToast(`Added to “${collection.name}”`, 'success');
+            notifyUserDataChanged('collections');
+            return collection;
+        },
+        onRemove: async () => {
+            if (await removeFavorite(type, ids)) {
+                syncFavoriteButtons(type, itemData.id, false);
+                showToast('Removed from My Heritage', 'info');
+                notifyUserDataChanged('favorites');
+            }
+        }
+    });
+};
+
 // Handle favorite button clicks
-export const handleFavoriteClick = (event) => {
+// Adds the item to favorites if needed, then offers the collection picker,
+// which also removes it from favorites
+export const handleFavoriteClick = async (event) => {
     const button = event.target.closest('.favorite-btn');
     if (!button) return;
     
@@ -100,29 +190,52 @@ export const handleFavoriteClick = (event) => {
     
     const type = button.dataset.type;
     const itemId = button.dataset.id;
+    // Resolved entities carry every museum record's id
+    const memberIds = button.dataset.memberIds ? button.dataset.memberIds.split(',') : null;
+    const itemData = {
+        id: itemId,
+        type: type,
+        name: button.closest('article')?.querySelector('h2, h3')?.textContent.trim() || 'Untitled',
+        ...(memberIds && { memberIds })
+    };
     
-    const isCurrentlyFavorited = isFavorite(type, itemId);
+    const isCurrentlyFavorited = await isFavorite(type, memberIds || itemId);
     
-    if (isCurrentlyFavorited) {
-        // Remove from favorites
-        const success = removeFavorite(type, itemId);
-        if (success) {
-            updateFavoriteButton(button, false);
-            showToast('Removed from My Heritage', 'info');
-        }
-    } else {
-        // Add to favorites
-        const itemData = {
-            id: itemId,
-            type: type,
-            name: button.closest('article')?.querySelector('h3')?.textContent || 'Untitled'
-        };
+    if (!isCurrentlyFavorited) {
+        const success = await addFavorite(type, itemData);
+        if (!success) return;
+        syncFavoriteButtons(type, itemId, true);
+        showToast('Added to My Heritage ❤️', 'success');
+        notifyUserDataChanged('favorites');
         
-        const success = addFavorite(type, itemData);
-        if (success) {
-            updateFavoriteButton(button, true);
-            showToast('Added to My Heritage ❤️', 'success');
-        }
+        // Keep an offline copy; the favorite stays saved whether or not this works
+        captureSnapshot(type, itemId)
+            .then(record => record && notifyUserDataChanged('snapshots', ['snapshots']))
+            .catch(error => console.warn(`No offline snapshot of ${type} ${itemId}:`, error));
+    }
+    
+    openCollectionPicker(button, type, itemData);
+};
+
+// Show a modal with a snapshot's image, released when the modal closes
+const showWithSnapshotImage = (show, record, image) => {
+    if (!image) {
+        show(record);
+        return;
+    }
+    const imageUrl = URL.createObjectURL(image);
+    show(record, { imageUrl, onClose: () => URL.revokeObjectURL(imageUrl) });
+};
+
+// Fetch an artifact for the details view; when the museum cannot be reached,
+// a favorite opens from its offline snapshot instead: { artifact, image }
+const loadArtifactDetails = async (objectId) => {
+    try {
+        return { artifact: await getArtifact(objectId), image: null };
+    } catch (error) {
+        const snapshot = await getSnapshot('artifacts', objectId);
+        if (!snapshot?.record) throw error;
+        return { artifact: snapshot.record, image: snapshot.image };
     }
 };
 
@@ -139,47 +252,148 @@ export const handleDetailsClick = async (event) => {
         // Show loading toast
         showToast('Loading artifact details...', 'info', 1000);
         
-        // Fetch full object details
-        const artifact = await getMetObject(objectId);
+        // Fetch full object details, or the offline snapshot
+        const { artifact, image } = await loadArtifactDetails(objectId);
         
         if (artifact) {
             // Add to history
             addToHistory('artifacts', {
-                id: artifact.objectID,
+                id: artifact.id,
                 title: artifact.title,
-                image: artifact.primaryImageSmall
+                image: artifact.images.thumbnail
             });
             
             // Show modal
-            showArtifactModal(artifact);
+            showWithSnapshotImage(showArtifactModal, artifact, image);
         } else {
             showToast('Unable to load artifact details', 'error');
         }
     } catch (error) {
         console.error('Failed to load artifact:', error);
-        showToast('Unable to load artifact details', 'error');
+        showToast(getErrorMessage(error, 'Unable to load artifact details'), 'error');
+    }
+};
+
+// Handle recording detail buttons
+// Opens from the offline snapshot of a favorite, or loads the recording
+export const handleRecordingClick = async (event) => {
+    const button = event.target.closest('.recording-details-btn');
+    if (!button) return;
+    
+    event.preventDefault();
+    
+    const recordingId = button.dataset.recordingId;
+    
+    try {
+        const snapshot = await getSnapshot('recordings', recordingId);
+        const recording = snapshot?.record || await loadSnapshotRecord('recordings', recordingId);
+        if (!recording) {
+            showToast('MusicBrainz no longer has this recording', 'error');
+            return;
+        }
+        
+        addToHistory('recordings', { id: recording.id, title: recording.title });
+        showWithSnapshotImage(showRecordingModal, recording, snapshot?.image);
+    } catch (error) {
+        console.error('Failed to load recording:', error);
+        showToast(getErrorMessage(error, 'Unable to load recording details'), 'error');
+    }
+};
+
+// Handle artist detail buttons and credited artist links
+// The lookup goes through the shared MusicBrainz queue and response cache;
+// opening another artist cancels a lookup still waiting in the queue
+export const handleArtistClick = async (event) => {
+    const button = event.target.closest('.artist-details-btn, .artist-link');
+    if (!button) return;
+    
+    event.preventDefault();
+    
+    if (artistController) artistController.abort();
+    const controller = new AbortController();
+    artistController = controller;
+    
+    try {
+        showToast('Loading artist details...', 'info', 1000);
+        
+        const artist = await getMusicBrainzArtistDetails(button.dataset.artistId, ARTIST_DETAIL_INCLUDES, {
+            signal: controller.signal
+        });
+        
+        addToHistory('artists', { id: artist.id, name: artist.name });
+        showArtistModal(artist);
+    } catch (error) {
+        if (isAbortError(error)) return; // Another artist was opened
+        console.error('Failed to load artist:', error);
+        showToast(getErrorMessage(error, 'Unable to load artist details'), 'error');
+    } finally {
+        if (artistController === controller) artistController = null;
+    }
+};
+
+// Handle instrument detail buttons
+// Credited recordings are looked up while the view is open (see findRecordingsWithInstrument)
+export const handleInstrumentClick = async (event) => {
+    const button = event.target.closest('.instrument-details-btn');
+    if (!button) return;
+    
+    event.preventDefault();
+    
+    try {
+        showToast('Loading instrument details...', 'info', 1000);
+        
+        const instrument = await getMusicBrainzInstrumentDetails(button.dataset.instrumentId);
+        showInstrumentModal(instrument, (signal, onRecording) => (
+            findRecordingsWithInstrument(instrument, { signal, onRecording })
+        ));
+    } catch (error) {
+        console.error('Failed to load instrument:', error);
+        showToast(getErrorMessage(error, 'Unable to load instrument details'), 'error');
+    }
+};
+
+// Handle "Read Story" buttons on narrative cards
+export const handleNarrativeClick = async (event) => {
+    const button = event.target.closest('.narrative-read-btn');
+    if (!button) return;
+    
+    event.preventDefault();
+    
+    try {
+        const story = await getNarrative(button.dataset.narrativeId);
+        if (!story) {
+            showToast('Unable to find that story', 'error');
+            return;
+        }
+        
+        addToHistory('narratives', { id: String(story.id), title: story.title });
+        showNarrativeReader(story, (tag, signal) => findArtifactsForTag(tag, { signal }));
+    } catch (error) {
+        console.error('Failed to open story:', error);
+        showToast(getErrorMessage(error, 'Unable to open the story'), 'error');
     }
 };
 
 // Handle vote button clicks
-export const handleVoteClick = (event) => {
+export const handleVoteClick = async (event) => {
     const button = event.target.closest('.vote-btn');
     if (!button) return;
     
     event.preventDefault();
     
     const itemId = button.dataset.itemId;
+    const memberIds = button.dataset.memberIds ? button.dataset.memberIds.split(',') : [itemId];
     const itemCard = button.closest('.voting-card');
     const itemTitle = itemCard?.querySelector('h3')?.textContent || 'Unknown';
     
     // Check if already voted
-    if (hasVoted(itemId)) {
+    if (await hasVoted(memberIds)) {
         showToast('You have already voted this week!', 'warning');
         return;
     }
     
     // Cast vote
-    const result = castVote(itemId, { id: itemId, name: itemTitle });
+    const result = await castVote(itemId, { id: itemId, name: itemTitle, memberIds });
     
     if (result.success) {
         button.disabled = true;
@@ -195,53 +409,88 @@ export const handleVoteClick = (event) => {
         }
     } else if (result.reason === 'already_voted_this_week') {
         showToast('You can only vote once per week!', 'warning');
+    } else {
+        showToast('Unable to save your vote', 'error');
     }
 };
 
 // Handle theme toggle
-export const handleThemeToggle = (event) => {
-    const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
-    const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-    
-    document.documentElement.setAttribute('data-theme', newTheme);
-    localStorage.setItem('luba_theme', newTheme);
+export const handleThemeToggle = async (event) => {
+    const newTheme = await toggleTheme();
     
     showToast(`Switched to ${newTheme} mode`, 'info');
 };
 
 // Handle language toggle
-export const handleLanguageToggle = (language) => {
-    document.documentElement.setAttribute('lang', language === 'french' ? 'fr' : 'en');
-    localStorage.setItem('luba_language', language);
-    
-    // Dispatch event for other modules
-    window.dispatchEvent(new CustomEvent('languageChanged', { detail: { language } }));
+// Saving the preference applies it and notifies other modules
+export const handleLanguageToggle = async (language) => {
+    await updatePreference('language', language);
     
     showToast(`Language changed to ${language}`, 'info');
 };
 
-// Handle export data
-export const handleExportData = () => {
-    const favorites = JSON.parse(localStorage.getItem('luba_my_heritage') || '{}');
-    const preferences = JSON.parse(localStorage.getItem('luba_user_preferences') || '{}');
-    const history = JSON.parse(localStorage.getItem('luba_interaction_history') || '{}');
-    
-    const exportData = {
-        exportDate: new Date().toISOString(),
-        favorites,
-        preferences,
-        history
-    };
+// Handle export data, in the format chosen next to the export button
+// Citation formats look up each artifact's museum record for accession numbers and links
+export const handleExportData = async () => {
+    const format = document.getElementById('export-format')?.value || 'json';
+    const { label } = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+    
+    try {
+        if (format !== 'json') showToast(`Preparing ${label}…`, 'info');
+        const files = await downloadUserData(format, { loadArtifact: getArtifact });
+        showToast(files.length > 1 ? `Exported ${files.length} ${label} files in one ZIP` : `Exported ${label}`, 'success');
+    } catch (error) {
+        console.error('Failed to export data:', error);
+        showToast('Unable to export your data', 'error');
+    }
+};
+
+// Handle import data
+// The file is checked and previewed; nothing is saved until the user confirms
+export const handleImportData = async (file) => {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        showToast('That file is not a Luba Culture export', 'error');
+        return;
+    }
     
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `luba-culture-export-${new Date().toISOString().split('T')[0]}.json`;
-    link.click();
-    URL.revokeObjectURL(url);
+    const preview = await previewImport(data);
+    if (!preview.valid) {
+        showToast(preview.problems[preview.problems.length - 1], 'error');
+        return;
+    }
     
-    showToast('Data exported successfully!', 'success');
+    showImportPreview(preview, async (choices) => {
+        try {
+            const result = await importUserData(data, choices);
+            await refreshFavoriteButtons();
+            notifyUserDataChanged('import', Object.keys(choices).filter(category => choices[category] !== 'skip'));
+            
+            if (result.success) {
+                showToast('Your data was imported', 'success');
+            } else {
+                showToast('Some of your data could not be imported', 'error');
+            }
+        } catch (error) {
+            console.error('Error importing data:', error);
+            showToast('Your data could not be imported', 'error');
+        }
+    });
+};
+
+// Handle clear cache
+export const handleClearCache = async () => {
+    const { entries } = await getCacheStats();
+    const success = await clearResponseCache();
+    clearCoverArtLookups();
+    
+    if (success) {
+        showToast(`Cleared ${entries} cached response${entries !== 1 ? 's' : ''}`, 'success');
+    } else {
+        showToast('Unable to clear the cache', 'error');
+    }
 };
 
 // Initialize all event listeners
@@ -253,6 +502,13 @@ export const initializeEventListeners = () => {
         }
     });
     
+    // Favorites changed in another tab, or were removed from "My Heritage"
+    window.addEventListener('userDataChanged', (e) => {
+        if (['sync', 'heritage'].includes(e.detail?.source) && e.detail.stores.includes('favorites')) {
+            refreshFavoriteButtons();
+        }
+    });
+    
     // Delegate event for details buttons
     document.addEventListener('click', (e) => {
         if (e.target.closest('.artifact-details-btn')) {
@@ -260,6 +516,34 @@ export const initializeEventListeners = () => {
         }
     });
     
+    // Delegate event for recording details
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('.recording-details-btn')) {
+            handleRecordingClick(e);
+        }
+    });
+    
+    // Delegate event for artist details and credited artist links
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('.artist-details-btn, .artist-link')) {
+            handleArtistClick(e);
+        }
+    });
+    
+    // Delegate event for instrument details
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('.instrument-details-btn')) {
+            handleInstrumentClick(e);
+        }
+    });
+    
+    // Delegate event for narrative reader buttons
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('.narrative-read-btn')) {
+            handleNarrativeClick(e);
+        }
+    });
+    
     // Delegate event for vote buttons
     document.addEventListener('click', (e) => {
         if (e.target.closest('.vote-btn')) {
@@ -312,13 +596,41 @@ export const initializeEventListeners = () => {
         languageSelect.addEventListener('change', (e) => {
             handleLanguageToggle(e.target.value);
         });
+        // Keep the picker in step when another tab changes the language
+        window.addEventListener('languageChanged', (e) => {
+            languageSelect.value = e.detail.language;
+        });
     }
     
-    // Export data button
+    // Export data button and its format picker
     const exportBtn = document.getElementById('export-data');
     if (exportBtn) {
         exportBtn.addEventListener('click', handleExportData);
     }
+    const exportFormat = document.getElementById('export-format');
+    if (exportFormat) {
+        exportFormat.innerHTML = Object.entries(EXPORT_FORMATS)
+            .map(([format, { label }]) => `<option value="${format}">${label}</option>`)
+            .join('');
+    }
+    
+    // Import data button opens the hidden file picker
+    const importBtn = document.getElementById('import-data');
+    const importFile = document.getElementById('import-file');
+    if (importBtn && importFile) {
+        importBtn.addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', () => {
+            const [file] = importFile.files;
+            importFile.value = ''; // Picking the same file again still fires change
+            if (file) handleImportData(file);
+        });
+    }
+    
+    // Clear cache button
+    const clearCacheBtn = document.getElementById('clear-cache');
+    if (clearCacheBtn) {
+        clearCacheBtn.addEventListener('click', handleClearCache);
+    }
     
     // Surprise Me button
     const surpriseBtn = document.getElementById('surprise-me-btn');
@@ -355,7 +667,7 @@ export const initializeKeyboardShortcuts = () => {
             handleThemeToggle();
         }
         
-        // Ctrl/Cmd + E: Export data
+        // Ctrl/Cmd + E: Export data in the picked format
         if ((e.ctrlKey || e.metaKey) && e.key === 'e') {
             e.preventDefault();
             handleExportData();
@@ -376,10 +688,16 @@ export default {
     surpriseMe,
     handleFavoriteClick,
     handleDetailsClick,
+    handleRecordingClick,
+    handleArtistClick,
+    handleInstrumentClick,
+    handleNarrativeClick,
     handleVoteClick,
     handleThemeToggle,
     handleLanguageToggle,
     handleExportData,
+    handleImportData,
+    handleClearCache,
     initializeEventListeners,
     initializeKeyboardShortcuts,
     trackInteraction
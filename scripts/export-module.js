@@ -0,0 +1,422 @@
+// Export Module - Researcher export formats
+// Turns the user's favorites and collections into files for spreadsheets
+// (CSV), reference managers (RIS, BibTeX, CSL-JSON) and people (Markdown, HTML)
+
+// Formats offered by the export picker; multiple means one file per collection,
+// downloaded together as a ZIP
+export const EXPORT_FORMATS = {
+    json: { label: 'JSON (full backup)', extension: 'json', mimeType: 'application/json' },
+    csv: { label: 'CSV per collection', extension: 'csv', mimeType: 'text/csv', multiple: true },
+    ris: { label: 'RIS (Zotero, EndNote)', extension: 'ris', mimeType: 'application/x-research-info-systems' },
+    bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' },
+    'csl-json': { label: 'CSL-JSON', extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json' },
+    markdown: { label: 'Report (Markdown)', extension: 'md', mimeType: 'text/markdown' },
+    html: { label: 'Report (HTML)', extension: 'html', mimeType: 'text/html' }
+};
+
+const FILE_PREFIX = 'luba-culture';
+
+const TYPE_LABELS = {
+    artifacts: 'Artifacts',
+    recordings: 'Recordings',
+    artists: 'Artists',
+    instruments: 'Instruments',
+    narratives: 'Stories'
+};
+
+const slugify = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'untitled';
+
+const toDay = (isoDate) => String(isoDate || '').split('T')[0];
+
+// Citation data for one favorite
+// artifact is its normalized museum record when one could be loaded; without it
+// only what the favorite itself stored is known
+export const toCitation = (favorite, artifact = null, annotations = []) => ({
+    id: String(favorite.id),
+    type: favorite.type,
+    title: artifact?.title || favorite.name || 'Untitled',
+    makers: (artifact?.makers || []).map(maker => maker.name).filter(Boolean),
+    date: artifact?.date?.display || '',
+    year: artifact?.date?.begin ?? null,
+    museum: artifact?.sourceName || '',
+    accessionNumber: artifact?.accessionNumber || '',
+    medium: artifact?.medium || '',
+    dimensions: artifact?.dimensions || '',
+    culture: (artifact?.culture || []).join(', '),
+    url: artifact?.links?.object || '',
+    dateAdded: favorite.dateAdded || '',
+    notes: annotations.filter(annotation => annotation.note),
+    tags: [...new Set(annotations.flatMap(annotation => annotation.tags))]
+});
+
+// Notes and tags of each favorite across collections, keyed "<type>:<id>"
+const collectAnnotations = (collections) => {
+    const annotations = new Map();
+    collections.forEach(collection => collection.items.forEach((item) => {
+        const key = `${item.type}:${item.id}`;
+        if (!annotations.has(key)) annotations.set(key, []);
+        annotations.get(key).push({ collection: collection.name, note: item.note, tags: item.tags });
+    }));
+    return annotations;
+};
+
+// CSV
+const CSV_COLUMNS = [
+    ['Type', citation => TYPE_LABELS[citation.type] || citation.type],
+    ['Title', citation => citation.title],
+    ['Makers', citation => citation.makers.join('; ')],
+    ['Date', citation => citation.date],
+    ['Museum', citation => citation.museum],
+    ['Accession number', citation => citation.accessionNumber],
+    ['Medium', citation => citation.medium],
+    ['Culture', citation => citation.culture],
+    ['Dimensions', citation => citation.dimensions],
+    ['URL', citation => citation.url],
+    ['Note', citation => citation.notes.map(note => note.note).join(' | ')],
+    ['Tags', citation => citation.tags.join('; ')],
+    ['Added', citation => citation.dateAdded],
+    ['ID', citation => citation.id]
+];
+
+const escapeCsv = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (citations) => [
+    CSV_COLUMNS.map(([heading]) => heading),
+    ...citations.map(citation => CSV_COLUMNS.map(([, read]) => read(citation)))
+].map(row => row.map(escapeCsv).join(',')).join('\r\n');
+
+// RIS, one ART record per artifact
+const toRisRecord = (citation, accessed) => [
+    ['TY', 'ART'],
+    ['TI', citation.title],
+    ...citation.makers.map(maker => ['AU', maker]),
+    ['PY', citation.year ?? ''],
+    ['DA', citation.date],
+    ['DP', citation.museum],
+    ['AN', citation.accessionNumber],
+    ['M3', citation.medium],
+    ['UR', citation.url],
+    ['Y2', accessed],
+    ...citation.tags.map(tag => ['KW', tag]),
+    ...citation.notes.map(note => ['N1', `${note.collection}: ${note.note}`]),
+    ['ER', '']
+]
+    .filter(([tag, value]) => tag === 'ER' || String(value) !== '')
+    .map(([tag, value]) => `${tag}  - ${value}`.trimEnd())
+    .join('\r\n');
+
+// BibTeX, as @misc entries so every style accepts them
+const escapeBibtex = (value) => String(value ?? '')
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([{}&%$#_])/g, '\\$1');
+
+const toBibtexKey = (citation) => slugify(`${citation.makers[0] || citation.museum || 'luba'} ${citation.year ?? ''} ${citation.title}`)
+    .split('-')
+    .slice(0, 5)
+    .join('_');
+
+const toBibtexEntry = (citation, key, accessed) => {
+    const fields = [
+        ['title', citation.title],
+        ['author', citation.makers.join(' and ')],
+        ['year', citation.year ?? ''],
+        ['howpublished', citation.museum],
+        ['note', [
+            citation.date && `Date: ${citation.date}`,
+            citation.accessionNumber && `Accession number ${citation.accessionNumber}`,
+            citation.medium
+        ].filter(Boolean).join('. ')],
+        ['url', citation.url],
+        ['urldate', accessed],
+        ['keywords', citation.tags.join(', ')]
+    ].filter(([, value]) => String(value) !== '');
+
+    // Makers are names like "Luba artist", so braces keep them from being split
+    // into first and last names; URLs are verbatim and only lose braces
+    const toValue = (name, value) => {
+        if (name === 'url') return String(value).replace(/[{}]/g, '');
+        if (name === 'author') return citation.makers.map(maker => `{${escapeBibtex(maker)}}`).join(' and ');
+        return escapeBibtex(value);
+    };
+    return `@misc{${key},\n${fields
+        .map(([name, value]) => `  ${name} = {${toValue(name, value)}}`)
+        .join(',\n')}\n}`;
+};
+
+const toBibtex = (citations, accessed) => {
+    const used = new Map();
+    return citations.map((citation) => {
+        // Same key twice gets a, b, c suffixes, as reference managers expect
+        const base = toBibtexKey(citation);
+        const count = used.get(base) || 0;
+        used.set(base, count + 1);
+        const key = count === 0 ? base : `${base}${String.fromCharCode(97 + ((count - 1) % 26))}`;
+        return toBibtexEntry(citation, key, accessed);
+    }).join('\n\n');
+};
+
+// CSL-JSON, typed "graphic" as citation styles do for artworks
+const toDateParts = (isoDate) => ({ 'date-parts': [toDay(isoDate).split('-').map(Number)] });
+
+const toCslItem = (citation, accessed) => ({
+    id: citation.id,
+    type: 'graphic',
+    title: citation.title,
+    ...(citation.makers.length > 0 && { author: citation.makers.map(maker => ({ literal: maker })) }),
+    ...(citation.year !== null && { issued: { 'date-parts': [[citation.year]] } }),
+    ...(citation.museum && { archive: citation.museum }),
+    ...(citation.accessionNumber && { archive_location: citation.accessionNumber }),
+    ...(citation.medium && { medium: citation.medium }),
+    ...(citation.dimensions && { dimensions: citation.dimensions }),
+    ...(citation.url && { URL: citation.url }),
+    accessed: toDateParts(accessed),
+    ...(citation.notes.length > 0 && { note: citation.notes.map(note => `${note.collection}: ${note.note}`).join('\n') }),
+    ...(citation.tags.length > 0 && { keyword: citation.tags.join(', ') })
+});
+
+// Reports
+// One line describing where and what an item is, as in a caption
+const describeCitation = (citation) => [
+    citation.makers.join(', '),
+    citation.date,
+    citation.medium,
+    citation.museum && (citation.accessionNumber ? `${citation.museum}, ${citation.accessionNumber}` : citation.museum)
+].filter(Boolean).join('. ');
+
+const toMarkdownItem = (citation, note = '', tags = []) => [
+    `- **${citation.url ? `[${citation.title}](${citation.url})` : citation.title}**`,
+    describeCitation(citation) && `  ${describeCitation(citation)}`,
+    note && `  > ${note.replace(/\n/g, '\n  > ')}`,
+    tags.length > 0 && `  Tags: ${tags.map(tag => `#${tag}`).join(' ')}`
+].filter(Boolean).join('\n');
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const toHtmlItem = (citation, note = '', tags = []) => {
+    const title = escapeHtml(citation.title);
+    return `<li>
+    <strong>${citation.url ? `<a href="${escapeHtml(citation.url)}">${title}</a>` : title}</strong>
+    ${describeCitation(citation) ? `<div>${escapeHtml(describeCitation(citation))}</div>` : ''}
+    ${note ? `<blockquote>${escapeHtml(note)}</blockquote>` : ''}
+    ${tags.length > 0 ? `<div class="tags">${tags.map(tag => `#${escapeHtml(tag)}`).join(' ')}</div>` : ''}
+</li>`;
+};
+
+// Collections first, in their own order with their notes; then every favorite by type
+const reportSections = ({ collections, favorites }, citationFor) => [
+    ...collections.map(collection => ({
+        heading: collection.name,
+        description: collection.description,
+        items: collection.items.map(item => ({ citation: citationFor(item), note: item.note, tags: item.tags }))
+    })),
+    ...Object.entries(favorites)
+        .filter(([, items]) => items.length > 0)
+        .map(([type, items]) => ({
+            heading: `All ${(TYPE_LABELS[type] || type).toLowerCase()}`,
+            items: items.map(item => ({ citation: citationFor(item) }))
+        }))
+];
+
+const toMarkdownReport = (sections, exportDate) => [
+    '# My Heritage – Luba Culture',
+    `Exported ${toDay(exportDate)}.`,
+    ...sections.map(section => [
+        `## ${section.heading}`,
+        section.description,
+        section.items.length > 0
+            ? section.items.map(({ citation, note, tags }) => toMarkdownItem(citation, note, tags)).join('\n')
+            : '_Empty._'
+    ].filter(Boolean).join('\n\n'))
+].join('\n\n') + '\n';
+
+const toHtmlReport = (sections, exportDate) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>My Heritage – Luba Culture</title>
+<style>
+    body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; color: #1b1b1b; }
+    h2 { margin-top: 2.5rem; border-bottom: 1px solid #ddd; }
+    li { margin-bottom: 1rem; }
+    blockquote { margin: 0.25rem 0; padding-left: 0.75rem; border-left: 3px solid #b86d4a; color: #5b4a3a; }
+    .tags { color: #5b4a3a; font-size: 0.9em; }
+</style>
+</head>
+<body>
+<h1>My Heritage – Luba Culture</h1>
+<p>Exported ${toDay(exportDate)}.</p>
+${sections.map(section => `<section>
+<h2>${escapeHtml(section.heading)}</h2>
+${section.description ? `<p>${escapeHtml(section.description)}</p>` : ''}
+${section.items.length > 0
+        ? `<ul>\n${section.items.map(({ citation, note, tags }) => toHtmlItem(citation, note, tags)).join('\n')}\n</ul>`
+        : '<p><em>Empty.</em></p>'}
+</section>`).join('\n')}
+</body>
+</html>
+`;
+
+// Build the files for a format
+// data is the full user data export; artifacts maps artifact favorite ids to
+// their normalized museum records. Returns [{ name, mimeType, content }]
+export const formatUserData = (format, data, artifacts = new Map()) => {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown export format "${format}"`);
+
+    const day = toDay(data.exportDate);
+    const annotations = collectAnnotations(data.collections || []);
+    const citationFor = (favorite) => toCitation(
+        favorite,
+        favorite.type === 'artifacts' ? artifacts.get(String(favorite.id)) : null,
+        annotations.get(`${favorite.type}:${favorite.id}`) || []
+    );
+    const file = (content, suffix = '') => ({
+        name: `${FILE_PREFIX}-${suffix ? `${suffix}-` : ''}${day}.${spec.extension}`,
+        mimeType: spec.mimeType,
+        content
+    });
+
+    const artifactCitations = () => (data.favorites.artifacts || []).map(citationFor);
+
+    switch (format) {
+        case 'json':
+            return [file(JSON.stringify(data, null, 2), 'export')];
+        case 'csv': {
+            const allFavorites = Object.values(data.favorites).flat().map(citationFor);
+            return [
+                file(toCsv(allFavorites), 'all-favorites'),
+                ...(data.collections || []).map(collection => file(
+                    toCsv(collection.items.map(item => ({
+                        ...citationFor(item),
+                        notes: item.note ? [{ collection: collection.name, note: item.note }] : [],
+                        tags: item.tags
+                    }))),
+                    `collection-${slugify(collection.name)}`
+                ))
+            ];
+        }
+        case 'ris':
+            return [file(artifactCitations().map(citation => toRisRecord(citation, day)).join('\r\n\r\n') + '\r\n', 'artifacts')];
+        case 'bibtex':
+            return [file(toBibtex(artifactCitations(), day) + '\n', 'artifacts')];
+        case 'csl-json':
+            return [file(JSON.stringify(artifactCitations().map(citation => toCslItem(citation, day)), null, 2), 'artifacts')];
+        case 'markdown':
+            return [file(toMarkdownReport(reportSections(data, citationFor), data.exportDate), 'report')];
+        case 'html':
+            return [file(toHtmlReport(reportSections(data, citationFor), data.exportDate), 'report')];
+        default:
+            return [];
+    }
+};
+
+// ZIP archive (stored, not compressed) of text files
+// Formats with several files download as one archive: browsers block a page's
+// second and later automatic downloads
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    bytes.forEach((byte) => {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    });
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toZip = (files, date) => {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach((file) => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        // Fields shared by the local and central headers, from "version needed" on
+        const writeCommon = (view, at) => {
+            view.setUint16(at, 20, true);           // Version needed
+            view.setUint16(at + 2, 0x0800, true);   // UTF-8 names
+            view.setUint16(at + 4, 0, true);        // Stored
+            view.setUint16(at + 6, dosTime, true);
+            view.setUint16(at + 8, dosDate, true);
+            view.setUint32(at + 10, crc, true);
+            view.setUint32(at + 14, data.length, true);
+            view.setUint32(at + 18, data.length, true);
+            view.setUint16(at + 22, name.length, true);
+        };
+
+        const local = new Uint8Array(30 + name.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, 0x04034b50, true);
+        writeCommon(localView, 4);
+        local.set(name, 30);
+
+        const central = new Uint8Array(46 + name.length);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, 0x02014b50, true);
+        centralView.setUint16(4, 20, true);        // Version made by
+        writeCommon(centralView, 6);
+        centralView.setUint32(42, offset, true);
+        central.set(name, 46);
+
+        locals.push(local, data);
+        centrals.push(central);
+        offset += local.length + data.length;
+    });
+
+    const directorySize = centrals.reduce((total, part) => total + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, directorySize, true);
+    endView.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, end];
+    const archive = new Uint8Array(offset + directorySize + end.length);
+    let position = 0;
+    parts.forEach((part) => {
+        archive.set(part, position);
+        position += part.length;
+    });
+    return archive;
+};
+
+// One file to download for a format's files: the file itself, or a ZIP of all of them
+export const bundleFiles = (format, files, exportDate = new Date().toISOString()) => {
+    if (files.length === 1) return files[0];
+    return {
+        name: `${FILE_PREFIX}-${format}-${toDay(exportDate)}.zip`,
+        mimeType: 'application/zip',
+        content: toZip(files, new Date(exportDate))
+    };
+};
+
+// Export all functions
+export default {
+    EXPORT_FORMATS,
+    toCitation,
+    formatUserData,
+    bundleFiles
+};
@@ -1,28 +1,74 @@
+import {
+    normalizeArtifact,
+    normalizeArtifactPage,
+    isAbortError,
+    getHealthySources,
+    isSourceAvailable,
+    searchMetCollection,
+    getMetObject,
+    createClevelandPager,
+    MET_DEPARTMENTS,
+    MET_DRC_LOCATIONS
+} from "./api-module.js";
+import { renderErrorStatus } from "./ui-module.js";
+
+// Filters are pushed down to each museum's search for the current state
 const API_SOURCES = {
     cleveland: {
-        search: "https://openaccess-api.clevelandart.org/api/artworks/?q=Luba&has_image=1&limit=100",
-        type: "cleveland"
+        type: "cleveland",
+        // Cleveland is paged, so "Load more" can walk the entire Luba holdings
+        createPager: () => createClevelandPager({
+            q: "Luba",
+            hasImage: true,
+            createdAfter: state.dateBegin,
+            createdBefore: state.dateEnd
+        }, { pageSize: CLEVELAND_PAGE_SIZE })
     },
     met: {
-        search: "https://collectionapi.metmuseum.org/public/collection/v1/search?q=Luba&hasImages=true",
-        type: "met"
+        type: "met",
+        // The Met returns every matching ID at once, filtered by place, date and department
+        criteria: () => ({
+            q: "Luba",
+            hasImages: true,
+            departmentId: MET_DEPARTMENTS.ARTS_OF_AFRICA_OCEANIA_AMERICAS,
+            geoLocation: state.drcOnly ? MET_DRC_LOCATIONS : null,
+            dateBegin: state.dateBegin,
+            dateEnd: state.dateEnd
+        })
     }
 };
 
+// Preferred source first; sources with an open circuit breaker are tried last
+const SOURCE_PREFERENCE = ["cleveland", "met"];
+
 const pageSize = 12;
+const CLEVELAND_PAGE_SIZE = 48;
 let currentSource = API_SOURCES.cleveland;
+let pageController = null;
 
 const grid = document.getElementById("gallery-grid");
 const statusEl = document.getElementById("gallery-status");
 const refreshBtn = document.getElementById("refresh-gallery");
 const loadMoreBtn = document.getElementById("load-more");
 const drcToggle = document.getElementById("filter-drc");
+const dateBeginInput = document.getElementById("filter-date-begin");
+const dateEndInput = document.getElementById("filter-date-end");
+
+// Empty or invalid year inputs leave that end of the range open
+const readYear = (input) => {
+    const year = parseInt(input?.value, 10);
+    return Number.isFinite(year) ? year : null;
+};
 
 const state = {
     ids: [],
     cursor: 0,
+    pager: null, // Cleveland pager while Cleveland is the current source
     loading: false,
-    drcOnly: drcToggle ? drcToggle.checked : false
+    skipped: 0, // Malformed records left out of the current collection
+    drcOnly: drcToggle ? drcToggle.checked : false,
+    dateBegin: readYear(dateBeginInput),
+    dateEnd: readYear(dateEndInput)
 };
 
 const setStatus = (message) => {
@@ -43,27 +89,14 @@ const buildCard = (artifact, index) => {
     card.className = "artifact-card";
     card.style.setProperty("--delay", `${index * 60}ms`);
 
-    let imageUrl, title, artist, date, medium, location, linkUrl, linkText;
-    
-    if (currentSource.type === "cleveland") {
-        imageUrl = artifact.images?.web?.url || artifact.images?.print?.url || "";
-        title = artifact.title || "Untitled";
-        artist = artifact.creators?.map(c => c.description).join(", ") || "Unknown artist";
-        date = artifact.creation_date || "Date unknown";
-        medium = artifact.technique || "Medium not listed";
-        location = "Cleveland Museum of Art";
-        linkUrl = artifact.url || "";
-        linkText = "View at Cleveland Museum";
-    } else {
-        imageUrl = artifact.primaryImageSmall || artifact.primaryImage;
-        title = artifact.title || "Untitled";
-        artist = artifact.artistDisplayName || "Unknown artist";
-        date = artifact.objectDate || "Date unknown";
-        medium = artifact.medium || "Medium not listed";
-        location = artifact.department || "Collection";
-        linkUrl = artifact.objectURL || "";
-        linkText = "View at the Met";
-    }
+    const imageUrl = artifact.images.thumbnail;
+    const title = artifact.title || "Untitled";
+    const artist = artifact.makers.map(maker => maker.name).join(", ") || "Unknown artist";
+    const date = artifact.date.display || "Date unknown";
+    const medium = artifact.medium || "Medium not listed";
+    const location = [artifact.department, artifact.sourceName].filter(Boolean).join(", ");
+    const linkUrl = artifact.links.object;
+    const linkText = `View at ${artifact.sourceName}`;
 
     card.innerHTML = `
         <figure>
@@ -83,128 +116,117 @@ const buildCard = (artifact, index) => {
     return card;
 };
 
-const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// Responses come from the API module's persistent cache where possible;
+// failures reject with a typed ApiError
+const fetchArtifact = async (id, signal) => {
+    const data = await getMetObject(id, { signal });
+    const artifact = normalizeArtifact(data, "met");
+    if (!artifact) state.skipped += 1;
+    return artifact;
+};
 
-const fetchJson = async (url, attempt = 0) => {
-    try {
-        const response = await fetch(url, { 
-            mode: 'cors',
-            cache: "no-store"
-        });
-        if (!response.ok) {
-            throw new Error(`Request failed with status ${response.status}`);
-        }
-        return response.json();
-    } catch (error) {
-        if (attempt < 2) {
-            await wait(400 * (attempt + 1));
-            return fetchJson(url, attempt + 1);
-        }
-        throw error;
-    }
+// Fetch the next page of Cleveland artworks, shuffled within the page
+const fetchNextClevelandPage = async (pager, signal) => {
+    const { done, value } = await pager.next({ signal });
+    signal.throwIfAborted();
+    if (done) return [];
+    
+    console.log("Cleveland API returned:", value.length, "artifacts of", pager.getTotal());
+    const { artifacts, skipped } = normalizeArtifactPage(value, "cleveland");
+    state.skipped += skipped;
+    return shuffle(artifacts);
+};
+
+// Describe the active date range for status messages
+const dateRangeText = () => {
+    if (state.dateBegin === null && state.dateEnd === null) return "";
+    if (state.dateEnd === null) return ` made after ${state.dateBegin}`;
+    if (state.dateBegin === null) return ` made before ${state.dateEnd}`;
+    return ` made ${state.dateBegin}–${state.dateEnd}`;
+};
+
+const noMatchesMessage = (source) => {
+    const sourceName = source.type === "cleveland" ? "Cleveland Museum" : "Met Museum";
+    const filtered = state.drcOnly || state.dateBegin !== null || state.dateEnd !== null;
+    const scope = state.drcOnly ? " from the Democratic Republic of the Congo" : "";
+    return filtered
+        ? `No Luba artifacts${scope}${dateRangeText()} were found in ${sourceName}. Try widening the filters.`
+        : `No Luba artifacts were found in ${sourceName}.`;
 };
 
-const fetchArtifact = async (id) => {
-    if (currentSource.type === "met") {
-        return fetchJson(`https://collectionapi.metmuseum.org/public/collection/v1/objects/${id}`);
+// Load the first batch from a source: Cleveland artworks or Met object IDs
+const fetchIdsFrom = async (source, signal) => {
+    if (source.type === "cleveland") {
+        const pager = source.createPager();
+        const items = await fetchNextClevelandPage(pager, signal);
+        if (!items.length) setStatus(noMatchesMessage(source));
+        return { items, pager };
+    }
+    
+    const ids = await searchMetCollection(source.criteria(), { signal });
+    signal.throwIfAborted();
+    console.log("Met API returned:", ids.length, "artifact IDs");
+    if (!ids.length) {
+        setStatus(noMatchesMessage(source));
+        return { items: [], pager: null };
     }
-    // Cleveland API returns full objects in search results
-    return id;
+    return { items: shuffle(ids.slice()), pager: null };
 };
 
-const fetchIds = async () => {
+// Load the collection from the healthiest source, moving on to the next one
+// when a source fails
+const fetchIds = async (signal) => {
     const scopeLabel = state.drcOnly ? "DR Congo" : "all Luba";
     setStatus(`Loading ${scopeLabel} collection...`);
     
-    try {
-        const data = await fetchJson(currentSource.search);
-        
-        if (currentSource.type === "cleveland") {
-            const artifacts = data.data || [];
-            console.log("Cleveland API returned:", artifacts.length, "artifacts");
-            if (!artifacts.length) {
-                setStatus("No Luba artifacts found.");
-                return [];
-            }
-            return shuffle(artifacts);
-        } else {
-            const ids = data.objectIDs || [];
-            console.log("Met API returned:", ids.length, "artifact IDs");
-            if (!ids.length) {
-                setStatus("No Luba artifacts found.");
-                return [];
-            }
-            return shuffle(ids.slice());
-        }
-    } catch (error) {
-        console.error("Primary API failed:", error);
-        // Try fallback to Met API if Cleveland fails
-        if (currentSource.type === "cleveland") {
-            console.log("Cleveland API failed, trying Met Museum...");
-            currentSource = API_SOURCES.met;
-            return fetchIds();
+    let lastError = null;
+    for (const key of getHealthySources(SOURCE_PREFERENCE)) {
+        try {
+            const { items, pager } = await fetchIdsFrom(API_SOURCES[key], signal);
+            currentSource = API_SOURCES[key];
+            state.pager = pager;
+            return items;
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.error(`${key} collection failed, trying the next source:`, error);
+            lastError = error;
         }
-        throw error;
     }
+    throw lastError;
 };
 
 const renderArtifacts = (artifacts) => {
     const fragment = document.createDocumentFragment();
     artifacts.forEach((artifact, index) => {
-        const hasImage = currentSource.type === "cleveland" 
-            ? artifact.images?.web?.url 
-            : (artifact.primaryImageSmall || artifact.primaryImage);
-        if (!artifact || !hasImage) return;
+        if (!artifact || !artifact.images.thumbnail) return;
         fragment.appendChild(buildCard(artifact, index));
     });
     grid.appendChild(fragment);
 };
 
+// More can be loaded while fetched items remain or Cleveland has more pages
+const hasMoreToLoad = () => state.cursor < state.ids.length || Boolean(state.pager?.hasMore());
+
 const updateButtons = () => {
-    loadMoreBtn.disabled = state.cursor >= state.ids.length;
+    loadMoreBtn.disabled = !hasMoreToLoad();
 };
 
 const includesLuba = (artifact) => {
-    if (currentSource.type === "cleveland") {
-        const culture = (artifact.culture || []).join(" ").toLowerCase();
-        const title = (artifact.title || "").toLowerCase();
-        const description = (artifact.wall_description || "").toLowerCase();
-        return culture.includes("luba") || title.includes("luba") || description.includes("luba");
-    } else {
-        const culture = (artifact.culture || "").toLowerCase();
-        const title = (artifact.title || "").toLowerCase();
-        const tags = (artifact.tags || []).map(tag => (tag?.term || "").toLowerCase()).join(" ");
-        return culture.includes("luba") || title.includes("luba") || tags.includes("luba");
-    }
+    const text = [
+        ...artifact.culture,
+        artifact.title,
+        artifact.description,
+        ...artifact.tags
+    ]
+        .join(" ")
+        .toLowerCase();
+    return text.includes("luba");
 };
 
 const getLocationText = (artifact) => {
-    if (currentSource.type === "cleveland") {
-        return [
-            artifact.culture?.join(" "),
-            artifact.creation_date_earliest,
-            artifact.creation_date_latest,
-            artifact.department
-        ]
-            .filter(Boolean)
-            .join(" ")
-            .toLowerCase();
-    } else {
-        return [
-            artifact.country,
-            artifact.region,
-            artifact.subregion,
-            artifact.city,
-            artifact.state,
-            artifact.geographyType,
-            artifact.locale,
-            artifact.artistNationality,
-            artifact.culture
-        ]
-            .filter(Boolean)
-            .join(" ")
-            .toLowerCase();
-    }
+    return [...artifact.geography.places, ...artifact.culture]
+        .join(" ")
+        .toLowerCase();
 };
 
 const isFromDrc = (artifact) => {
@@ -227,7 +249,20 @@ const isFromDrc = (artifact) => {
 
 const hasGeoInfo = (artifact) => getLocationText(artifact).trim().length > 0;
 
+// Keep artifacts whose creation range overlaps the selected years
+// (already applied server-side for the Met; Cleveland is filtered here)
+const matchesDateRange = (artifact) => {
+    const { begin, end } = artifact.date;
+    if (state.dateBegin === null && state.dateEnd === null) return true;
+    if (begin === null && end === null) return false;
+    if (state.dateBegin !== null && (end ?? begin) < state.dateBegin) return false;
+    if (state.dateEnd !== null && (begin ?? end) > state.dateEnd) return false;
+    return true;
+};
+
 const matchesFilter = (artifact) => {
+    if (!matchesDateRange(artifact)) return false;
+    
     // When filter is off, show all artifacts (no Luba check needed since search is already for Luba)
     if (!state.drcOnly) return true;
     
@@ -237,13 +272,22 @@ const matchesFilter = (artifact) => {
 };
 
 const loadNextPage = async ({ reset = false } = {}) => {
-    if (state.loading) return;
+    // A reset supersedes the page being loaded; "Load more" waits its turn
+    if (state.loading && !reset) return;
+    if (pageController) pageController.abort();
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    pageController = controller;
     state.loading = true;
+    let pageStart = state.cursor;
 
     try {
         if (reset || !state.ids.length) {
-            state.ids = await fetchIds();
+            state.skipped = 0;
+            state.ids = await fetchIds(signal);
             state.cursor = 0;
+            pageStart = 0;
             grid.innerHTML = "";
         }
 
@@ -254,7 +298,13 @@ const loadNextPage = async ({ reset = false } = {}) => {
 
         const artifacts = [];
 
-        while (artifacts.length < pageSize && state.cursor < state.ids.length) {
+        while (artifacts.length < pageSize && hasMoreToLoad()) {
+            // Walked past everything fetched so far: fetch the next Cleveland page
+            if (state.cursor >= state.ids.length) {
+                state.ids.push(...await fetchNextClevelandPage(state.pager, signal));
+                continue;
+            }
+
             const slice = state.ids.slice(state.cursor, state.cursor + pageSize);
             state.cursor += pageSize;
 
@@ -262,14 +312,19 @@ const loadNextPage = async ({ reset = false } = {}) => {
             if (currentSource.type === "cleveland") {
                 // Cleveland returns full objects already
                 matches = slice.filter((artifact) => {
-                    const hasImage = artifact && artifact.images?.web?.url;
+                    const hasImage = artifact && artifact.images.thumbnail;
                     const passesFilter = matchesFilter(artifact);
                     return hasImage && passesFilter;
                 });
                 console.log("Cleveland batch:", slice.length, "items, matched:", matches.length);
             } else {
                 // Met requires fetching each object
-                const results = await Promise.allSettled(slice.map(fetchArtifact));
+                const results = await Promise.allSettled(slice.map((id) => fetchArtifact(id, signal)));
+                signal.throwIfAborted();
+                // A batch where every object failed is an outage, not an empty page
+                if (results.every((result) => result.status === "rejected")) {
+                    throw results[0].reason;
+                }
                 matches = results
                     .filter((result) => result.status === "fulfilled")
                     .map((result) => result.value)
@@ -281,20 +336,21 @@ const loadNextPage = async ({ reset = false } = {}) => {
         }
 
         if (!artifacts.length && grid.children.length === 0) {
-            const sourceName = currentSource.type === "cleveland" ? "Cleveland Museum" : "Met Museum";
-            const message = state.drcOnly
-                ? `No Luba artifacts from the Democratic Republic of the Congo were found in ${sourceName}. Try turning off the filter.`
-                : `No Luba artifacts were found in ${sourceName}.`;
-            setStatus(message);
+            setStatus(noMatchesMessage(currentSource));
             console.log("No matches found. Total IDs:", state.ids.length, "Filter:", state.drcOnly ? "DR Congo only" : "All");
             updateButtons();
             return;
         }
 
+        // Cleveland gave up after repeated failures: report why instead of "no more"
+        if (!artifacts.length && state.pager?.getError() && !state.pager.hasMore()) {
+            throw state.pager.getError();
+        }
+
         if (!artifacts.length) {
             const message = state.drcOnly
-                ? "No more matching Luba artifacts from the Democratic Republic of the Congo."
-                : "No more matching Luba artifacts.";
+                ? `No more matching Luba artifacts from the Democratic Republic of the Congo${dateRangeText()}.`
+                : `No more matching Luba artifacts${dateRangeText()}.`;
             setStatus(message);
             updateButtons();
             return;
@@ -304,21 +360,34 @@ const loadNextPage = async ({ reset = false } = {}) => {
 
         const count = grid.children.length;
         const sourceName = currentSource.type === "cleveland" ? "Cleveland Museum" : "Met Museum";
+        // Cleveland reports the size of its holdings; the DR Congo filter runs client-side there
+        const total = !state.drcOnly && state.pager ? state.pager.getTotal() : null;
+        const shown = total ? `${count} of ${total}` : count;
         const summary = state.drcOnly
-            ? `Showing ${count} Luba artifacts from the Democratic Republic of the Congo (${sourceName}).`
-            : `Showing ${count} Luba artifacts (${sourceName}).`;
-        setStatus(summary);
+            ? `Showing ${shown} Luba artifacts from the Democratic Republic of the Congo${dateRangeText()} (${sourceName}).`
+            : `Showing ${shown} Luba artifacts${dateRangeText()} (${sourceName}).`;
+        const skippedNote = state.skipped > 0
+            ? ` ${state.skipped} unreadable record${state.skipped !== 1 ? "s were" : " was"} skipped.`
+            : "";
+        setStatus(summary + skippedNote);
         updateButtons();
     } catch (error) {
-        const isFile = window.location?.protocol === "file:";
-        const message = isFile
-            ? "Unable to load the collection. Open this page with a local server and try again."
-            : "Unable to load the collection right now. Please try again in a moment.";
-        const detail = error?.message ? ` (${error.message})` : "";
-        setStatus(`${message}${detail}`);
+        if (isAbortError(error)) return; // Superseded by a newer load
+        // Nothing from this page was rendered, so a retry starts it over
+        state.cursor = pageStart;
+        renderErrorStatus(
+            statusEl,
+            error,
+            // Start over from a healthy source if the current one is down
+            () => loadNextPage({ reset: reset || !state.ids.length || !isSourceAvailable(currentSource.type) }),
+            "Unable to load the collection right now. Please try again in a moment."
+        );
         console.error("Gallery load failed:", error);
     } finally {
-        state.loading = false;
+        if (pageController === controller) {
+            pageController = null;
+            state.loading = false;
+        }
     }
 };
 
@@ -328,5 +397,12 @@ drcToggle?.addEventListener("change", (event) => {
     state.drcOnly = event.target.checked;
     loadNextPage({ reset: true });
 });
+[dateBeginInput, dateEndInput].forEach((input) => {
+    input?.addEventListener("change", () => {
+        state.dateBegin = readYear(dateBeginInput);
+        state.dateEnd = readYear(dateEndInput);
+        loadNextPage({ reset: true });
+    });
+});
 
 loadNextPage({ reset: true });
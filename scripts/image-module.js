@@ -0,0 +1,31 @@
+// Image Module - Loading remote images for canvas work
+// Shared by image hashing (entity-module.js) and offline image copies (snapshot-module.js)
+
+// Load an image with CORS so a canvas can read its pixels
+// Rejects when it fails to load or takes longer than timeout; a timed-out
+// image is cancelled so it stops downloading
+export const loadImage = (url, timeout) => new Promise((resolve, reject) => {
+    const image = new Image();
+    const timer = setTimeout(() => {
+        image.onload = null;
+        image.onerror = null;
+        image.src = '';
+        reject(new Error(`Image timed out: ${url}`));
+    }, timeout);
+
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+        clearTimeout(timer);
+        resolve(image);
+    };
+    image.onerror = () => {
+        clearTimeout(timer);
+        reject(new Error(`Image failed to load: ${url}`));
+    };
+    image.src = url;
+});
+
+// Export all functions
+export default {
+    loadImage
+};
@@ -6,51 +6,14 @@ import * as DataManagement from './data-management.js';
 import * as UI from './ui-module.js';
 import * as Search from './search-module.js';
 import * as Events from './events-module.js';
+import * as Entities from './entity-module.js';
+import * as Snapshots from './snapshot-module.js';
 
-// MusicBrainz API Configuration (keeping existing code)
-const MUSICBRAINZ_API = {
-    baseUrl: "https://musicbrainz.org/ws/2",
-    userAgent: "LubaCulture/1.0 (info@lubaculture.com)",
-    format: "json"
-};
-
-// Rate limiting for MusicBrainz (max 1 request per second)
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 1000;
-
-const waitForRateLimit = async () => {
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
-    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-        await new Promise(resolve => setTimeout(resolve, MIN_REQUEST_INTERVAL - timeSinceLastRequest));
-    }
-    lastRequestTime = Date.now();
-};
-
-// Fetch JSON from MusicBrainz API
+// Fetch JSON from MusicBrainz through the shared scheduler in the API module,
+// so these requests share one rate limit with search and Surprise Me
 const fetchMusicBrainz = async (endpoint, params = {}) => {
-    await waitForRateLimit();
-    
-    const queryParams = new URLSearchParams({
-        fmt: MUSICBRAINZ_API.format,
-        ...params
-    });
-    
-    const url = `${MUSICBRAINZ_API.baseUrl}/${endpoint}?${queryParams}`;
-    
     try {
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': MUSICBRAINZ_API.userAgent,
-                'Accept': 'application/json'
-            }
-        });
-        
-        if (!response.ok) {
-            throw new Error(`MusicBrainz API request failed: ${response.status} ${response.statusText}`);
-        }
-        
-        return await response.json();
+        return await API.fetchMusicBrainz(endpoint, params);
     } catch (error) {
         console.error("MusicBrainz fetch error:", error);
         throw error;
@@ -74,7 +37,7 @@ export const searchLubaArtists = async (limit = 25, offset = 0) => {
         };
     } catch (error) {
         console.error("Error searching Luba artists:", error);
-        return { count: 0, offset: 0, artists: [] };
+        throw error; // Typed ApiError for the music section to explain
     }
 };
 
@@ -109,28 +72,28 @@ export const searchLubaRecordings = async (limit = 25, offset = 0) => {
         };
     } catch (error) {
         console.error("Error searching Luba recordings:", error);
-        return { count: 0, offset: 0, recordings: [] };
+        throw error; // Typed ApiError for the music section to explain
     }
 };
 
 // Search for releases (albums) related to Luba
 export const searchLubaReleases = async (limit = 25, offset = 0) => {
     try {
-        const data = await fetchMusicBrainz("release", {
-            query: 'release:"luba" OR artist:"luba" OR tag:"luba"',
-            limit: limit,
-            offset: offset
-        });
+        const data = await API.searchMusicBrainzReleases(
+            'release:"luba" OR artist:"luba" OR tag:"luba"',
+            limit,
+            offset
+        );
         
         console.log(`Found ${data.count} Luba releases`);
         return {
             count: data.count,
-            offset: data.offset,
-            releases: data.releases || []
+            offset: offset,
+            releases: data.releases
         };
     } catch (error) {
         console.error("Error searching Luba releases:", error);
-        return { count: 0, offset: 0, releases: [] };
+        throw error; // Typed ApiError for the music section to explain
     }
 };
 
@@ -151,18 +114,15 @@ export const searchLubaInstruments = async (limit = 25, offset = 0) => {
         };
     } catch (error) {
         console.error("Error searching Luba instruments:", error);
-        return { count: 0, offset: 0, instruments: [] };
+        throw error; // Typed ApiError for the music section to explain
     }
 };
 
 // Get detailed information about a specific instrument
+// (tags, annotation and its place in the instrument hierarchy)
 export const getInstrumentDetails = async (instrumentId) => {
     try {
-        const data = await fetchMusicBrainz(`instrument/${instrumentId}`, {
-            inc: 'tags+annotation'
-        });
-        
-        return data;
+        return await API.getMusicBrainzInstrumentDetails(instrumentId);
     } catch (error) {
         console.error(`Error fetching instrument ${instrumentId}:`, error);
         return null;
@@ -204,6 +164,7 @@ export const displayArtists = (artists) => {
                 <p><strong>Active:</strong> ${lifeSpan}</p>
                 ${artist.disambiguation ? `<p><strong>Note:</strong> ${artist.disambiguation}</p>` : ''}
                 <p><strong>Tags:</strong> ${tags}</p>
+                <button type="button" class="artist-details-btn" data-artist-id="${artist.id}">View Details</button>
                 <a href="https://musicbrainz.org/artist/${artist.id}" 
                    target="_blank" 
                    rel="noopener noreferrer" 
@@ -234,8 +195,12 @@ export const displayRecordings = (recordings) => {
         const card = document.createElement('article');
         card.className = 'music-card';
         
+        // Credited artists open the artist detail view
         const artists = recording['artist-credit'] && recording['artist-credit'].length > 0 ? 
-            recording['artist-credit'].map(ac => ac.name).join(', ') : 
+            recording['artist-credit'].map(ac => ac.artist?.id
+                ? `<button type="button" class="artist-link" data-artist-id="${ac.artist.id}">${ac.name}</button>`
+                : ac.name
+            ).join(', ') : 
             'Unknown Artist';
         
         let duration = '';
@@ -261,6 +226,7 @@ export const displayRecordings = (recordings) => {
                    class="music-link">View on MusicBrainz →</a>
             </div>
         `;
+        card.prepend(UI.renderCoverArt(() => API.getRecordingCoverArt(recording), recording.title));
         
         fragment.appendChild(card);
     });
@@ -268,6 +234,26 @@ export const displayRecordings = (recordings) => {
     musicGrid.appendChild(fragment);
 };
 
+// Render releases (albums) with their cover art
+export const displayReleases = (releases) => {
+    const musicGrid = document.getElementById('music-grid');
+    if (!musicGrid) return;
+    
+    if (!releases || releases.length === 0) {
+        musicGrid.innerHTML = '<p class="no-results">No Luba releases found.</p>';
+        return;
+    }
+    
+    musicGrid.innerHTML = '';
+    const fragment = document.createDocumentFragment();
+    
+    releases.forEach((release, index) => {
+        fragment.appendChild(UI.renderReleaseCard(release, index));
+    });
+    
+    musicGrid.appendChild(fragment);
+};
+
 // Render instruments to the page
 export const displayInstruments = (instruments) => {
     const musicGrid = document.getElementById('music-grid');
@@ -298,6 +284,17 @@ export const displayInstruments = (instruments) => {
                 ${instrument.description ? `<p><strong>Description:</strong> ${instrument.description}</p>` : ''}
                 ${instrument.disambiguation ? `<p><strong>Note:</strong> ${instrument.disambiguation}</p>` : ''}
                 <p><strong>Tags:</strong> ${tags}</p>
+                <div class="card-actions">
+                    <button class="favorite-btn" 
+                            data-type="instruments" 
+                            data-id="${instrument.id}">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
+                        </svg>
+                        Favorite
+                    </button>
+                    <button type="button" class="instrument-details-btn" data-instrument-id="${instrument.id}">View Details</button>
+                </div>
                 <a href="https://musicbrainz.org/instrument/${instrument.id}" 
                    target="_blank" 
                    rel="noopener noreferrer" 
@@ -305,6 +302,9 @@ export const displayInstruments = (instruments) => {
             </div>
         `;
         
+        DataManagement.isFavorite('instruments', instrument.id).then((favorited) => {
+            UI.updateFavoriteButton(card.querySelector('.favorite-btn'), favorited);
+        });
         fragment.appendChild(card);
     });
     
@@ -340,11 +340,18 @@ const setupEventListeners = () => {
     const loadArtistsBtn = document.getElementById('load-artists');
     const loadInstrumentsBtn = document.getElementById('load-instruments');
     const loadRecordingsBtn = document.getElementById('load-recordings');
+    const loadReleasesBtn = document.getElementById('load-releases');
     
     const setStatus = (message) => {
         if (musicStatus) musicStatus.textContent = message;
     };
     
+    // Explain a failed load and offer to run it again
+    const showError = (error, button, fallback) => {
+        UI.renderErrorStatus(musicStatus, error, () => button.click(), fallback);
+        console.error(error);
+    };
+    
     if (loadArtistsBtn) {
         loadArtistsBtn.addEventListener('click', async () => {
             setStatus('Loading Luba artists...');
@@ -354,8 +361,7 @@ const setupEventListeners = () => {
                 displayArtists(result.artists);
                 setStatus(`Found ${result.count} Luba artists. Showing ${result.artists.length}.`);
             } catch (error) {
-                setStatus('Error loading artists. Please try again.');
-                console.error(error);
+                showError(error, loadArtistsBtn, 'Error loading artists. Please try again.');
             } finally {
                 loadArtistsBtn.disabled = false;
             }
@@ -371,8 +377,7 @@ const setupEventListeners = () => {
                 displayInstruments(result.instruments);
                 setStatus(`Found ${result.count} Luba instruments. Showing ${result.instruments.length}.`);
             } catch (error) {
-                setStatus('Error loading instruments. Please try again.');
-                console.error(error);
+                showError(error, loadInstrumentsBtn, 'Error loading instruments. Please try again.');
             } finally {
                 loadInstrumentsBtn.disabled = false;
             }
@@ -388,13 +393,28 @@ const setupEventListeners = () => {
                 displayRecordings(result.recordings);
                 setStatus(`Found ${result.count} Luba recordings. Showing ${result.recordings.length}.`);
             } catch (error) {
-                setStatus('Error loading recordings. Please try again.');
-                console.error(error);
+                showError(error, loadRecordingsBtn, 'Error loading recordings. Please try again.');
             } finally {
                 loadRecordingsBtn.disabled = false;
             }
         });
     }
+    
+    if (loadReleasesBtn) {
+        loadReleasesBtn.addEventListener('click', async () => {
+            setStatus('Loading Luba releases...');
+            loadReleasesBtn.disabled = true;
+            try {
+                const result = await searchLubaReleases(25);
+                displayReleases(result.releases);
+                setStatus(`Found ${result.count} Luba releases. Showing ${result.releases.length}.`);
+            } catch (error) {
+                showError(error, loadReleasesBtn, 'Error loading releases. Please try again.');
+            } finally {
+                loadReleasesBtn.disabled = false;
+            }
+        });
+    }
 };
 
 // Initialize when DOM is ready
@@ -414,45 +434,315 @@ window.MusicBrainz = {
     getInstrumentDetails,
     displayArtists,
     displayRecordings,
+    displayReleases,
     displayInstruments,
     loadLubaMusic
 };
 
 // Application Initialization
-const initializeApp = () => {
+const initializeApp = async () => {
     console.log('Initializing Luba Culture application...');
     
     // Initialize storage and apply saved preferences
-    DataManagement.initializeStorage();
+    // Runs any pending storage migrations before anything reads user data
+    await DataManagement.initializeStorage();
     
     // Initialize event listeners
     Events.initializeEventListeners();
     Events.initializeKeyboardShortcuts();
     
-    // Initialize search bar if present
+    // Initialize search bar if present, with recent and saved searches
     const searchInput = document.getElementById('search-input');
     const searchResults = document.getElementById('search-results');
     const searchStatus = document.getElementById('search-status');
     
     if (searchInput) {
-        Search.initializeSearchBar(searchInput, searchResults, searchStatus, {
-            category: 'all',
-            placeholder: 'Search Luba culture, art, and music...'
-        });
+        initializeSearch(searchInput, searchResults, searchStatus);
     }
     
+    // Show MusicBrainz queue depth while requests are waiting
+    initializeMusicBrainzQueueStatus();
+    
+    // Show which data sources are up in the header
+    initializeSourceHealth();
+    
     // Initialize Surprise Me feature
     initializeSurpriseMe();
     
     // Initialize Voting section
     initializeVoting();
     
-    // Display user stats
+    // Initialize the Kiluba glossary
+    initializeGlossary();
+    
+    // Initialize the oral narratives library
+    initializeNarratives();
+    
+    // Initialize the dashboard's collections
+    initializeCollections();
+    
+    // Initialize the dashboard's "My Heritage" view
+    initializeMyHeritage();
+    
+    // Display user stats, and again whenever favorites or imported data change them
     displayUserStats();
+    window.addEventListener('userDataChanged', displayUserStats);
+    
+    // A newer version of the site upgraded the database in another tab,
+    // possibly before this page finished loading
+    const showOutdated = () => {
+        UI.showToast('This site was updated in another tab. Reload this page to keep saving your changes.', 'warning', 10000);
+    };
+    window.addEventListener('userDataOutdated', showOutdated);
+    if (DataManagement.isUserDataOutdated()) showOutdated();
     
     console.log('Luba Culture application initialized successfully!');
 };
 
+// Recent searches offered under the search bar
+const SEARCH_SUGGESTION_LIMIT = 8;
+
+// Initialize the search bar and its memory: every search it shows goes to the
+// "searches" history, which the dropdown under the bar offers back (filtered
+// by what is typed) while it has focus. "Save this search" pins the displayed
+// search; running a saved search highlights results it had not returned before
+const initializeSearch = (searchInput, resultsContainer, statusElement) => {
+    const suggestions = document.getElementById('search-suggestions');
+    const suggestionList = document.getElementById('search-suggestions-list');
+    const clearHistoryButton = document.getElementById('clear-search-history');
+    const saveButton = document.getElementById('save-search');
+    const savedContainer = document.getElementById('saved-searches');
+    
+    let displayed = null;   // The search the results grid shows
+    let offered = [];       // Recent searches in the dropdown
+    let activeIndex = -1;   // Option picked with the arrow keys
+    let lookups = 0;
+    
+    const updateSaveButton = () => {
+        if (saveButton) saveButton.disabled = !displayed || displayed.query !== searchInput.value.trim();
+    };
+    
+    const recordSearch = (search) => {
+        displayed = search;
+        updateSaveButton();
+        // Further pages of the same search are not new searches
+        if (!search.more) DataManagement.recordSearch(search);
+    };
+    
+    Search.initializeSearchBar(searchInput, resultsContainer, statusElement, {
+        category: 'all',
+        placeholder: 'Search Luba culture, art, and music...',
+        onResults: recordSearch
+    });
+    
+    const hideSuggestions = () => {
+        offered = [];
+        activeIndex = -1;
+        if (suggestions) suggestions.hidden = true;
+        searchInput.setAttribute('aria-expanded', 'false');
+        searchInput.removeAttribute('aria-activedescendant');
+    };
+    
+    const drawSuggestions = () => {
+        if (!suggestions || offered.length === 0) {
+            hideSuggestions();
+            return;
+        }
+        suggestionList.replaceChildren(UI.renderSearchSuggestions(offered, activeIndex));
+        suggestions.hidden = false;
+        searchInput.setAttribute('aria-expanded', 'true');
+        if (activeIndex >= 0) searchInput.setAttribute('aria-activedescendant', `search-suggestion-${activeIndex}`);
+        else searchInput.removeAttribute('aria-activedescendant');
+    };
+    
+    // Recent searches containing what is typed, other than exactly that
+    const showSuggestions = async () => {
+        const lookupId = ++lookups;
+        const typed = searchInput.value.trim().toLowerCase();
+        const { searches = [] } = await DataManagement.getHistory();
+        // Typing went on, or focus left, while history loaded
+        if (lookupId !== lookups || document.activeElement !== searchInput) return;
+        
+        offered = searches
+            .filter(search => search.query.toLowerCase().includes(typed) && search.query.toLowerCase() !== typed)
+            .slice(0, SEARCH_SUGGESTION_LIMIT);
+        activeIndex = -1;
+        drawSuggestions();
+    };
+    
+    const pickSuggestion = (search) => {
+        hideSuggestions();
+        Search.searchFromBar(search.query, { category: search.category, filters: search.filters });
+    };
+    
+    searchInput.addEventListener('focus', showSuggestions);
+    searchInput.addEventListener('input', () => {
+        updateSaveButton();
+        showSuggestions();
+    });
+    searchInput.addEventListener('blur', () => {
+        lookups += 1;
+        hideSuggestions();
+    });
+    
+    searchInput.addEventListener('keydown', (e) => {
+        if (offered.length === 0) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const positions = offered.length + 1; // Every option, then none picked
+            activeIndex = ((activeIndex + 1 + step + positions) % positions) - 1;
+            drawSuggestions();
+        } else if (e.key === 'Enter' && activeIndex >= 0) {
+            e.preventDefault();
+            pickSuggestion(offered[activeIndex]);
+        } else if (e.key === 'Escape') {
+            hideSuggestions();
+        }
+    });
+    
+    // mousedown, so the pick happens before the input loses focus
+    suggestionList?.addEventListener('mousedown', (e) => {
+        const option = e.target.closest('.search-suggestion');
+        if (!option) return;
+        e.preventDefault();
+        pickSuggestion(offered[Number(option.dataset.index)]);
+    });
+    
+    clearHistoryButton?.addEventListener('mousedown', async (e) => {
+        e.preventDefault();
+        hideSuggestions();
+        await DataManagement.clearHistory('searches');
+        UI.showToast('Recent searches cleared', 'info');
+    });
+    
+    // The clear button empties the bar without an input event
+    searchInput.nextElementSibling?.addEventListener('click', updateSaveButton);
+    
+    const renderSavedSearches = async () => {
+        if (!savedContainer) return;
+        savedContainer.replaceChildren(UI.renderSavedSearches(await DataManagement.getSavedSearches()));
+    };
+    
+    saveButton?.addEventListener('click', async () => {
+        if (!displayed) return;
+        const saved = await DataManagement.saveSearch(displayed, { keys: displayed.keys });
+        if (!saved) {
+            UI.showToast('Unable to save this search', 'error');
+            return;
+        }
+        UI.showToast(`Saved "${saved.query}" to your searches`, 'success');
+        renderSavedSearches();
+    });
+    
+    // Re-run a saved search; results it has not returned before are highlighted,
+    // including those on further pages
+    const runSavedSearch = async (searchId) => {
+        const saved = await DataManagement.getSavedSearch(searchId);
+        if (!saved) return;
+        
+        await Search.searchFromBar(saved.query, {
+            category: saved.category,
+            filters: saved.filters,
+            seen: saved.seen,
+            onResults: async (search) => {
+                recordSearch(search);
+                const fresh = await DataManagement.recordSavedSearchRun(saved.id, {
+                    keys: search.keys,
+                    counts: search.counts,
+                    continued: search.more
+                });
+                if (fresh && !search.more) {
+                    UI.showToast(fresh.length > 0
+                        ? `${fresh.length} new result${fresh.length !== 1 ? 's' : ''} since the last run`
+                        : 'No new results since the last run', 'info');
+                }
+                renderSavedSearches();
+            }
+        });
+    };
+    
+    savedContainer?.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        const item = button?.closest('.saved-search');
+        if (!item) return;
+        
+        if (button.dataset.action === 'run-saved-search') {
+            runSavedSearch(item.dataset.id);
+        } else if (button.dataset.action === 'delete-saved-search') {
+            await DataManagement.deleteSavedSearch(item.dataset.id);
+            renderSavedSearches();
+        }
+    });
+    
+    // Saved searches change in other tabs too
+    window.addEventListener('userDataChanged', renderSavedSearches);
+    renderSavedSearches();
+};
+
+// Initialize the "waiting for MusicBrainz" indicators
+const initializeMusicBrainzQueueStatus = () => {
+    const indicators = document.querySelectorAll('[data-musicbrainz-queue]');
+    if (indicators.length === 0) return;
+    
+    API.onMusicBrainzQueueChange(({ queued, retryAt }) => {
+        let message = '';
+        if (retryAt) {
+            const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+            message = `MusicBrainz is busy. Retrying in ${seconds}s…`;
+        } else if (queued > 0) {
+            message = `Waiting for MusicBrainz… ${queued} request${queued !== 1 ? 's' : ''} queued`;
+        }
+        
+        indicators.forEach(indicator => {
+            indicator.textContent = message;
+            indicator.hidden = !message;
+        });
+    });
+};
+
+// Sources shown in the header health indicator
+const SOURCE_HEALTH_LABELS = {
+    met: 'Met',
+    cleveland: 'Cleveland',
+    musicbrainz: 'MusicBrainz'
+};
+
+const SOURCE_HEALTH_TEXT = {
+    healthy: 'working normally',
+    degraded: 'recent failures',
+    down: 'unavailable, requests paused'
+};
+
+// Initialize the header indicator driven by the API module's circuit breakers
+const initializeSourceHealth = () => {
+    const indicator = document.querySelector('[data-source-health]');
+    if (!indicator) return;
+    
+    const render = (health) => {
+        indicator.innerHTML = health
+            .filter(entry => SOURCE_HEALTH_LABELS[entry.source])
+            .map(entry => {
+                let status = 'healthy';
+                if (entry.state === API.CIRCUIT_STATES.OPEN) status = 'down';
+                else if (entry.state === API.CIRCUIT_STATES.HALF_OPEN || entry.failures > 0) status = 'degraded';
+                
+                const label = SOURCE_HEALTH_LABELS[entry.source];
+                const description = `${label}: ${SOURCE_HEALTH_TEXT[status]}`;
+                return `
+                    <li class="source-status ${status}" title="${description}" aria-label="${description}">
+                        <span class="status-dot" aria-hidden="true"></span>${label}
+                    </li>
+                `;
+            })
+            .join('');
+    };
+    
+    render(API.getAllSourceHealth());
+    API.onSourceHealthChange(render);
+};
+
 // Initialize Surprise Me feature
 const initializeSurpriseMe = () => {
     const surpriseBtn = document.getElementById('surprise-me-btn');
@@ -474,68 +764,513 @@ const initializeSurpriseMe = () => {
     });
 };
 
+// Delay before the glossary filters as the user types
+const GLOSSARY_DEBOUNCE = 200;
+
+// Initialize the Kiluba glossary: list every lexicon entry and filter as the user types
+// Keeps its own timer, since Search.debounce shares one with the main search bar
+const initializeGlossary = async () => {
+    const list = document.getElementById('glossary-list');
+    const input = document.getElementById('glossary-search');
+    const statusEl = document.getElementById('glossary-status');
+    if (!list || !input) return;
+    
+    let timer = null;
+    
+    const render = async () => {
+        const query = input.value.trim();
+        try {
+            const [lexicon, entries] = await Promise.all([
+                API.loadKilubaLexicon(),
+                API.lookupKiluba(query)
+            ]);
+            if (query !== input.value.trim()) return;
+            
+            list.innerHTML = '';
+            if (entries.length === 0) {
+                list.appendChild(UI.renderEmptyState(`No Kiluba words match "${query}".`, '📖'));
+            } else {
+                entries.forEach((entry, index) => list.appendChild(UI.renderGlossaryEntry(entry, index)));
+            }
+            
+            if (statusEl) {
+                statusEl.textContent = query
+                    ? `${entries.length} of ${lexicon.entries.length} words match "${query}"`
+                    : `${lexicon.entries.length} words`;
+            }
+        } catch (error) {
+            console.error('Failed to load the glossary:', error);
+            list.innerHTML = '';
+            list.appendChild(UI.renderErrorState(error, render, 'Unable to load the Kiluba glossary.'));
+        }
+    };
+    
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(render, GLOSSARY_DEBOUNCE);
+    });
+    
+    await render();
+};
+
+// Initialize the oral narratives library: tag filters, story cards and the reader
+// Tags on a card select the same filter; the reader links tags to artifacts
+const initializeNarratives = async () => {
+    const list = document.getElementById('narrative-list');
+    const filters = document.getElementById('narrative-filters');
+    const statusEl = document.getElementById('narratives-status');
+    if (!list || !filters) return;
+    
+    let stories = [];
+    let activeTag = null;
+    
+    const render = () => {
+        const shown = activeTag ? stories.filter(story => story.tags.includes(activeTag)) : stories;
+        
+        filters.querySelectorAll('.narrative-tag').forEach(button => {
+            button.setAttribute('aria-pressed', String((button.dataset.tag || null) === activeTag));
+        });
+        
+        list.innerHTML = '';
+        shown.forEach((story, index) => list.appendChild(UI.renderNarrativeCard(story, index)));
+        
+        if (statusEl) {
+            statusEl.textContent = activeTag
+                ? `${shown.length} of ${stories.length} stories tagged "${activeTag}"`
+                : `${stories.length} stories`;
+        }
+    };
+    
+    const selectTag = (event) => {
+        const button = event.target.closest('.narrative-tag');
+        if (!button) return;
+        const tag = button.dataset.tag || null;
+        activeTag = tag === activeTag ? null : tag;
+        render();
+    };
+    
+    try {
+        ({ stories } = await API.getOralNarratives());
+    } catch (error) {
+        console.error('Failed to load narratives:', error);
+        list.innerHTML = '';
+        list.appendChild(UI.renderErrorState(error, initializeNarratives, 'Unable to load the stories.'));
+        return;
+    }
+    
+    const tags = [...new Set(stories.flatMap(story => story.tags))].sort();
+    filters.innerHTML = `
+        <button type="button" class="narrative-tag" data-tag="">All stories</button>
+        ${tags.map(tag => `<button type="button" class="narrative-tag" data-tag="${tag}">#${tag}</button>`).join('')}
+    `;
+    
+    filters.addEventListener('click', selectTag);
+    list.addEventListener('click', selectTag);
+    render();
+};
+
 // Initialize Voting section
 const initializeVoting = async () => {
     const votingGrid = document.getElementById('voting-grid');
     if (!votingGrid) return;
     
     try {
-        // Fetch Luba artifacts from Cleveland Museum
-        const artifacts = await API.searchClevelandArtifacts('Luba', 50);
-        if (!artifacts || artifacts.length === 0) {
-            // Fallback to Met Museum if Cleveland fails
-            const artifactIds = await API.searchMetArtifacts('Luba', true);
-            if (!artifactIds || artifactIds.length === 0) return;
-            const randomIds = shuffleArray(artifactIds).slice(0, 5);
-            const metArtifacts = await API.getMetObjects(randomIds);
-            renderVotingCards(metArtifacts, votingGrid, 'met');
-        } else {
-            // Use Cleveland Museum artifacts
-            const randomArtifacts = shuffleArray(artifacts).slice(0, 5);
-            renderVotingCards(randomArtifacts, votingGrid, 'cleveland');
-        }
+        const artifacts = await loadVotingArtifacts();
+        if (artifacts.length === 0) return;
+        renderVotingCards(artifacts, votingGrid);
         
-        // Check if user has voted
-        const myVote = DataManagement.getMyVote();
-        if (myVote) {
-            const statusEl = document.getElementById('voting-status');
-            if (statusEl) {
-                statusEl.textContent = `You voted for: ${myVote.name}`;
-            }
-        }
+        // Check if user has voted, and again when another tab votes
+        displayMyVote();
+        window.addEventListener('userDataChanged', (e) => {
+            if (e.detail?.stores?.includes('votes')) displayMyVote();
+        });
     } catch (error) {
         console.error('Failed to initialize voting:', error);
+        votingGrid.innerHTML = '';
+        votingGrid.appendChild(UI.renderErrorState(
+            error,
+            initializeVoting,
+            'Unable to load artifacts for voting. Please try again.'
+        ));
+    }
+};
+
+// Show this week's vote, if any
+const displayMyVote = async () => {
+    const myVote = await DataManagement.getMyVote();
+    const statusEl = document.getElementById('voting-status');
+    if (myVote && statusEl) {
+        statusEl.textContent = `You voted for: ${myVote.name}`;
+    }
+};
+
+// Five random Luba artifacts for the voting section, per source
+const VOTING_LOADERS = {
+    cleveland: async () => {
+        const artifacts = await API.searchClevelandArtifacts('Luba', 50);
+        return API.normalizeArtifacts(shuffleArray(artifacts).slice(0, 5), 'cleveland');
+    },
+    met: async () => {
+        const artifactIds = await API.searchMetArtifacts('Luba', true);
+        if (artifactIds.length === 0) return [];
+        const metArtifacts = await API.getMetObjects(shuffleArray(artifactIds).slice(0, 5));
+        return API.normalizeArtifacts(metArtifacts, 'met');
+    }
+};
+
+// Try sources from healthiest to least healthy until one has artifacts
+const loadVotingArtifacts = async () => {
+    let lastError = null;
+    for (const source of API.getHealthySources(['cleveland', 'met'])) {
+        try {
+            const artifacts = await VOTING_LOADERS[source]();
+            if (artifacts.length > 0) return Entities.resolveEntities(artifacts);
+        } catch (error) {
+            console.warn(`Voting artifacts from ${source} failed:`, error);
+            lastError = error;
+        }
     }
+    if (lastError) throw lastError;
+    return [];
 };
 
-// Render voting cards from either source
-const renderVotingCards = (artifacts, container, source) => {
+// Render voting cards from normalized artifacts
+const renderVotingCards = (artifacts, container) => {
     container.innerHTML = '';
     artifacts.forEach((artifact, index) => {
-        const isCleveland = source === 'cleveland';
         const votingCard = UI.renderVotingItem({
-            id: isCleveland ? artifact.id : artifact.objectID,
+            id: artifact.entityId || artifact.id,
+            memberIds: artifact.memberIds,
             title: artifact.title || 'Untitled',
-            description: isCleveland ? artifact.technique : artifact.medium,
-            image: isCleveland ? artifact.images?.web?.url : artifact.primaryImageSmall,
+            description: artifact.medium,
+            image: artifact.images.thumbnail,
             votes: Math.floor(Math.random() * 100) // Mock vote count
         }, index);
         container.appendChild(votingCard);
     });
 };
 
+// Initialize the dashboard's collections: a tab per collection, creating,
+// renaming and deleting them, and per-item notes, tags, ordering and moves
+const initializeCollections = () => {
+    const container = document.getElementById('collections');
+    const tabs = document.getElementById('collection-tabs');
+    const detail = document.getElementById('collection-detail');
+    const form = document.getElementById('new-collection-form');
+    if (!container || !tabs || !detail) return;
+    
+    let collections = [];
+    let activeId = null;
+    
+    const notify = () => {
+        window.dispatchEvent(new CustomEvent('userDataChanged', { detail: { source: 'collections' } }));
+    };
+    
+    const render = async () => {
+        collections = await DataManagement.getCollections();
+        if (!collections.some(collection => collection.id === activeId)) {
+            activeId = collections[0]?.id || null;
+        }
+        
+        tabs.innerHTML = '';
+        collections.forEach((collection) => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'collection-tab';
+            tab.dataset.collectionId = collection.id;
+            tab.setAttribute('aria-pressed', String(collection.id === activeId));
+            tab.textContent = `${collection.name} (${collection.items.length})`;
+            tabs.appendChild(tab);
+        });
+        
+        detail.innerHTML = '';
+        const active = collections.find(collection => collection.id === activeId);
+        if (active) {
+            detail.appendChild(UI.renderCollection(active, collections));
+        } else {
+            detail.appendChild(UI.renderEmptyState('Create a collection to group favorites, e.g. "Thesis: royal stools".', '📁'));
+        }
+    };
+    
+    // Run a change, then refresh everything that shows collections
+    const apply = async (change, failure) => {
+        if (await change()) notify();
+        else UI.showToast(failure, 'error');
+    };
+    
+    const itemOf = (element) => {
+        const item = element.closest('.collection-item');
+        return item && { type: item.dataset.type, id: item.dataset.id, position: [...item.parentElement.children].indexOf(item) };
+    };
+    
+    form?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = form.elements.name.value.trim();
+        if (!name) return;
+        
+        const collection = await DataManagement.createCollection(name);
+        if (!collection) {
+            UI.showToast('Unable to create the collection', 'error');
+            return;
+        }
+        activeId = collection.id;
+        form.reset();
+        notify();
+    });
+    
+    tabs.addEventListener('click', (e) => {
+        const tab = e.target.closest('.collection-tab');
+        if (!tab) return;
+        activeId = tab.dataset.collectionId;
+        render();
+    });
+    
+    detail.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button || !activeId) return;
+        const { action } = button.dataset;
+        
+        if (action === 'delete-collection') {
+            const collection = collections.find(other => other.id === activeId);
+            if (!window.confirm(`Delete “${collection.name}”? Its items stay in your favorites.`)) return;
+            apply(() => DataManagement.deleteCollection(activeId), 'Unable to delete the collection');
+            return;
+        }
+        
+        const item = itemOf(button);
+        if (!item) return;
+        if (action === 'remove') {
+            apply(() => DataManagement.removeFromCollection(activeId, item.type, item.id), 'Unable to remove the item');
+        } else if (action === 'up' || action === 'down') {
+            const toIndex = item.position + (action === 'up' ? -1 : 1);
+            apply(() => DataManagement.reorderCollectionItem(activeId, item.type, item.id, toIndex), 'Unable to reorder the collection');
+        }
+    });
+    
+    // Notes, tags and names save when the field loses focus; only moves re-render
+    detail.addEventListener('change', (e) => {
+        const { target } = e;
+        if (!activeId) return;
+        
+        if (target.classList.contains('collection-name')) {
+            apply(() => DataManagement.updateCollection(activeId, { name: target.value }), 'Collection names cannot be empty');
+            return;
+        }
+        
+        const item = itemOf(target);
+        if (!item) return;
+        if (target.classList.contains('collection-note')) {
+            DataManagement.updateCollectionItem(activeId, item.type, item.id, { note: target.value });
+        } else if (target.classList.contains('collection-tags')) {
+            DataManagement.updateCollectionItem(activeId, item.type, item.id, { tags: target.value });
+        } else if (target.classList.contains('collection-move') && target.value) {
+            apply(() => DataManagement.moveToCollection(activeId, target.value, item.type, item.id), 'Unable to move the item');
+        }
+    });
+    
+    window.addEventListener('userDataChanged', render);
+    render();
+};
+
+// Summary of a "Refresh from source" run, e.g. "12 checked · 1 changed · 2 missing"
+const describeSnapshotRefresh = (summary) => {
+    if (summary.checked === 0) return 'No artifacts or recordings to check yet';
+    return [
+        `${summary.checked} checked`,
+        summary.captured && `${summary.captured} saved offline`,
+        summary.changed && `${summary.changed} changed`,
+        summary.missing && `${summary.missing} missing`,
+        summary.failed && `${summary.failed} could not be reached`
+    ].filter(Boolean).join(' · ');
+};
+
+// Recently viewed items shown in "My Heritage"
+const HERITAGE_HISTORY_LIMIT = 12;
+
+// Initialize the "My Heritage" view, drawn only from what is stored on this
+// device: favorites with their offline snapshots and images, filtered by type
+// and sorted by date added, above a strip of recently viewed items.
+// Checked items can be removed together; "Open" uses the same detail views as
+// the rest of the page. "Refresh from source" flags records that changed or
+// disappeared upstream; "Update offline copy" retakes one snapshot
+const initializeMyHeritage = () => {
+    const list = document.getElementById('heritage-list');
+    const historyContainer = document.getElementById('heritage-history');
+    const refreshButton = document.getElementById('refresh-snapshots');
+    const typeSelect = document.getElementById('heritage-type');
+    const sortSelect = document.getElementById('heritage-sort');
+    const selectAll = document.getElementById('heritage-select-all');
+    const removeButton = document.getElementById('heritage-remove');
+    if (!list) return;
+    
+    let imageUrls = [];
+    let renders = 0;
+    let visible = new Map();    // "<type>:<id>" -> { type, id } of the listed items
+    const selected = new Map(); // The checked subset of visible
+    
+    const notify = (source, stores) => {
+        window.dispatchEvent(new CustomEvent('userDataChanged', { detail: { source, stores } }));
+    };
+    
+    const updateToolbar = () => {
+        if (removeButton) {
+            removeButton.disabled = selected.size === 0;
+            removeButton.textContent = selected.size > 0 ? `Remove selected (${selected.size})` : 'Remove selected';
+        }
+        if (selectAll) {
+            selectAll.checked = visible.size > 0 && selected.size === visible.size;
+            selectAll.indeterminate = selected.size > 0 && selected.size < visible.size;
+        }
+    };
+    
+    const renderHistory = async () => {
+        if (!historyContainer) return;
+        const history = await DataManagement.getHistory();
+        const entries = Object.entries(history)
+            .filter(([type]) => type !== 'searches')
+            .flatMap(([type, items]) => items.map(entry => ({ ...entry, type })))
+            .sort((a, b) => b.viewedAt.localeCompare(a.viewedAt))
+            .slice(0, HERITAGE_HISTORY_LIMIT);
+        historyContainer.replaceChildren(UI.renderHistoryStrip(entries));
+    };
+    
+    const render = async () => {
+        const renderId = ++renders;
+        const [favorites, snapshots] = await Promise.all([
+            DataManagement.getFavorites(),
+            DataManagement.getSnapshots()
+        ]);
+        // A later change started another render
+        if (renderId !== renders) return;
+        
+        const type = typeSelect?.value || 'all';
+        const newestFirst = sortSelect?.value !== 'oldest';
+        // getFavorites() lists each type oldest first
+        const shown = Object.fromEntries(Object.entries(favorites)
+            .filter(([itemType]) => type === 'all' || itemType === type)
+            .map(([itemType, items]) => [itemType, newestFirst ? [...items].reverse() : items]));
+        
+        // Selections only cover items that are still listed
+        visible = new Map(Object.entries(shown).flatMap(([itemType, items]) => (
+            items.map(favorite => [`${itemType}:${favorite.id}`, { type: itemType, id: favorite.id }])
+        )));
+        [...selected.keys()].filter(key => !visible.has(key)).forEach(key => selected.delete(key));
+        
+        // Images are Blobs; release the previous render's URLs
+        imageUrls.forEach(url => URL.revokeObjectURL(url));
+        const images = new Map(snapshots
+            .filter(snapshot => snapshot.image)
+            .map(snapshot => [`${snapshot.type}:${snapshot.id}`, URL.createObjectURL(snapshot.image)]));
+        imageUrls = [...images.values()];
+        
+        const byKey = new Map(snapshots.map(snapshot => [`${snapshot.type}:${snapshot.id}`, snapshot]));
+        const label = typeSelect?.selectedOptions[0]?.textContent.toLowerCase();
+        list.replaceChildren(UI.renderHeritage(shown, {
+            snapshots: byKey,
+            images,
+            selected: new Set(selected.keys()),
+            offlineTypes: Snapshots.SNAPSHOT_TYPES,
+            ...(type !== 'all' && { emptyMessage: `No ${label} saved yet.` })
+        }));
+        updateToolbar();
+        renderHistory();
+    };
+    
+    typeSelect?.addEventListener('change', render);
+    sortSelect?.addEventListener('change', render);
+    
+    selectAll?.addEventListener('change', () => {
+        selected.clear();
+        if (selectAll.checked) visible.forEach((item, key) => selected.set(key, item));
+        list.querySelectorAll('.heritage-select').forEach((checkbox) => {
+            checkbox.checked = selectAll.checked;
+        });
+        updateToolbar();
+    });
+    
+    list.addEventListener('change', (e) => {
+        const item = e.target.closest('.heritage-item');
+        if (!item || !e.target.classList.contains('heritage-select')) return;
+        
+        const key = `${item.dataset.type}:${item.dataset.id}`;
+        if (e.target.checked) selected.set(key, visible.get(key));
+        else selected.delete(key);
+        updateToolbar();
+    });
+    
+    removeButton?.addEventListener('click', async () => {
+        const items = [...selected.values()];
+        if (items.length === 0) return;
+        const count = items.length === 1 ? '1 item' : `${items.length} items`;
+        if (!window.confirm(`Remove ${count} from My Heritage? They are also taken out of your collections.`)) return;
+        
+        if (await DataManagement.removeFavorites(items)) {
+            selected.clear();
+            UI.showToast(`Removed ${count} from My Heritage`, 'info');
+            notify('heritage', ['favorites', 'collections', 'snapshots']);
+        } else {
+            UI.showToast('Unable to remove the selected items', 'error');
+        }
+    });
+    
+    refreshButton?.addEventListener('click', async () => {
+        const label = refreshButton.textContent;
+        refreshButton.disabled = true;
+        try {
+            const summary = await Snapshots.refreshSnapshots({
+                onProgress: (done, total) => {
+                    refreshButton.textContent = `Checking ${done}/${total}…`;
+                }
+            });
+            notify('snapshots', ['snapshots']);
+            UI.showToast(describeSnapshotRefresh(summary), summary.failed > 0 ? 'warning' : 'success', 5000);
+        } catch (error) {
+            console.error('Refresh from source failed:', error);
+            UI.showToast('Unable to check your favorites right now', 'error');
+        } finally {
+            refreshButton.textContent = label;
+            refreshButton.disabled = false;
+        }
+    });
+    
+    list.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action="update-snapshot"]');
+        if (!button) return;
+        const item = button.closest('.heritage-item');
+        
+        button.disabled = true;
+        try {
+            if (await Snapshots.captureSnapshot(item.dataset.type, item.dataset.id, { refresh: true })) {
+                notify('snapshots', ['snapshots']);
+                return;
+            }
+            UI.showToast('The source no longer has this item', 'warning');
+        } catch (error) {
+            UI.showToast(UI.getErrorMessage(error, 'Unable to update the offline copy'), 'error');
+        }
+        button.disabled = false;
+    });
+    
+    window.addEventListener('userDataChanged', render);
+    render();
+};
+
 // Display user statistics
-const displayUserStats = () => {
+const displayUserStats = async () => {
     const statsContainer = document.getElementById('user-stats');
     if (!statsContainer) return;
     
-    const stats = DataManagement.getStorageStats();
+    const stats = await DataManagement.getStorageStats();
     
     statsContainer.innerHTML = `
         <div class="stat-card">
             <div class="stat-number">${stats.totalFavorites}</div>
             <div class="stat-label">Favorites</div>
         </div>
+        <div class="stat-card">
+            <div class="stat-number">${stats.collections}</div>
+            <div class="stat-label">Collections</div>
+        </div>
         <div class="stat-card">
             <div class="stat-number">${stats.recentlyViewed}</div>
             <div class="stat-label">Recently Viewed</div>
@@ -1,18 +1,65 @@
 // Search & Filter Module - Handles search with debouncing and filtering
 // Implements live cultural search bar with real-time filtering
 
-import { searchAllSources } from './api-module.js';
-import { renderArtifactCard, renderRecordingCard, renderLoadingSkeleton, renderEmptyState } from './ui-module.js';
+import { searchAllSources, isAbortError, getSourceAdapter } from './api-module.js';
+import { resolveEntities, getMemberIds } from './entity-module.js';
+import { renderArtifactCard, renderRecordingCard, renderArtistCard, renderLoadingSkeleton, renderEmptyState, renderErrorState, renderErrorStatus } from './ui-module.js';
 
 // Debouncing configuration
 const DEBOUNCE_DELAY = 500; // 500ms delay
 let debounceTimer = null;
 let currentSearchQuery = '';
+let searchController = null;
 let searchResults = {
     artifacts: [],
     recordings: [],
     artists: []
 };
+// Query, options and next-page cursor of the displayed search
+let lastSearch = null;
+// The main search bar's input and search options, for searches started elsewhere
+let searchBar = null;
+
+const SEARCH_PAGE_SIZE = 24;
+
+const buildSearchOptions = (category, filters = {}) => ({
+    includeArt: category === 'all' || category === 'artifacts',
+    includeMusic: category === 'all' || category === 'music',
+    pageSize: SEARCH_PAGE_SIZE,
+    filters
+});
+
+// "<type>:<id>" of every result, to tell which results a search has returned
+// before; artifacts list every museum record they were resolved from
+export const getResultKeys = (results) => [
+    ...(results.artifacts || []).flatMap(artifact => getMemberIds(artifact).map(id => `artifacts:${id}`)),
+    ...(results.recordings || []).map(recording => `recordings:${recording.id}`),
+    ...(results.artists || []).map(artist => `artists:${artist.id}`)
+];
+
+// Matches across museums, or null when no museum reported a total
+const sumArtifactTotals = (results) => {
+    const totals = Object.values(results.totals?.artifacts || {}).filter(total => total !== null);
+    return totals.length > 0 ? totals.reduce((sum, total) => sum + total, 0) : null;
+};
+
+// Results per kind, using each source's total where it reports one
+const countResults = (results) => ({
+    artifacts: sumArtifactTotals(results) ?? results.artifacts.length,
+    recordings: results.totals?.recordings ?? results.recordings.length,
+    artists: results.totals?.artists ?? results.artists.length
+});
+
+// What onResults gets about the displayed search; more is true for pages
+// added with "Load more results"
+const describeSearch = (query, options, results, more) => ({
+    query,
+    category: options.category || 'all',
+    filters: options.filters || {},
+    counts: countResults(results),
+    keys: getResultKeys(results),
+    more
+});
 
 // Debounce function
 export const debounce = (func, delay) => {
@@ -23,14 +70,25 @@ export const debounce = (func, delay) => {
 };
 
 // Search function with debouncing
+// filters are passed to the sources' search; results whose keys are not in
+// seen (a Set from getResultKeys) are highlighted as new; onResults(search)
+// runs once results are shown, see describeSearch. Resolves to the results,
+// or null when there are none to show
 export const performSearch = async (query, options = {}) => {
     const {
         category = 'all',
+        filters = {},
         container = null,
         statusElement = null,
-        minLength = 2
+        minLength = 2,
+        seen = null,
+        onResults = null
     } = options;
     
+    // Cancel the previous search; its results are no longer wanted
+    if (searchController) searchController.abort();
+    searchController = null;
+    
     // Validate query length
     if (query.trim().length < minLength) {
         if (statusElement) {
@@ -39,10 +97,12 @@ export const performSearch = async (query, options = {}) => {
         if (container) {
             container.innerHTML = '';
         }
-        return;
+        return null;
     }
     
     currentSearchQuery = query;
+    const controller = new AbortController();
+    searchController = controller;
     
     // Show loading state
     if (statusElement) {
@@ -56,89 +116,262 @@ export const performSearch = async (query, options = {}) => {
     try {
         // Determine what to search
         const searchOptions = {
-            includeArt: category === 'all' || category === 'artifacts',
-            includeMusic: category === 'all' || category === 'music',
-            maxResults: 50
+            ...buildSearchOptions(category, filters),
+            signal: controller.signal
         };
         
         const results = await searchAllSources(query, searchOptions);
         
         // Store results
         searchResults = results;
+        lastSearch = { query, options, cursor: results.cursor };
         
         // Check if search query has changed during async operation
         if (currentSearchQuery !== query) {
-            return; // Ignore outdated results
+            return null; // Ignore outdated results
         }
         
         // Display results
-        displaySearchResults(results, container, statusElement, category);
+        displaySearchResults(results, container, statusElement, category, seen);
+        displaySearchErrors(results, container, statusElement, () => performSearch(query, options));
+        onResults?.(describeSearch(query, options, results, false));
+        return results;
         
     } catch (error) {
+        if (isAbortError(error)) return null; // Superseded by a newer search
         console.error('Search failed:', error);
         if (statusElement) {
             statusElement.textContent = 'Search failed. Please try again.';
         }
         if (container) {
             container.innerHTML = '';
-            container.appendChild(renderEmptyState('Unable to complete search. Please try again.', '⚠️'));
+            container.appendChild(renderErrorState(error, () => performSearch(query, options), 'Unable to complete search. Please try again.'));
         }
+        return null;
     }
 };
 
 // Create debounced search function
 export const debouncedSearch = debounce(performSearch, DEBOUNCE_DELAY);
 
-// Display search results
-const displaySearchResults = (results, container, statusElement, category) => {
-    if (!container) return;
+// Explain sources that failed during a search
+// With no results at all the error replaces the empty state; otherwise the
+// status line notes that some results are missing
+const displaySearchErrors = (results, container, statusElement, retry) => {
+    const [error] = results.errors || [];
+    if (!error) return;
     
-    container.innerHTML = '';
+    const totalResults = (results.artifacts?.length || 0)
+        + (results.recordings?.length || 0)
+        + (results.artists?.length || 0);
     
-    // Count total results
-    const totalArtifacts = results.artifacts?.length || 0;
-    const totalRecordings = results.recordings?.length || 0;
-    const totalArtists = results.artists?.length || 0;
-    const totalResults = totalArtifacts + totalRecordings + totalArtists;
+    if (totalResults === 0) {
+        if (statusElement) statusElement.textContent = `Search for "${currentSearchQuery}" failed`;
+        if (container) {
+            container.innerHTML = '';
+            container.appendChild(renderErrorState(error, retry));
+        }
+        return;
+    }
     
-    // Update status
     if (statusElement) {
-        if (totalResults === 0) {
-            statusElement.textContent = `No results found for "${currentSearchQuery}"`;
-        } else {
-            const parts = [];
-            if (totalArtifacts > 0) parts.push(`${totalArtifacts} artifact${totalArtifacts !== 1 ? 's' : ''}`);
-            if (totalRecordings > 0) parts.push(`${totalRecordings} recording${totalRecordings !== 1 ? 's' : ''}`);
-            if (totalArtists > 0) parts.push(`${totalArtists} artist${totalArtists !== 1 ? 's' : ''}`);
-            statusElement.textContent = `Found ${parts.join(', ')} for "${currentSearchQuery}"`;
-        }
+        const summary = statusElement.textContent;
+        renderErrorStatus(statusElement, error, retry);
+        statusElement.prepend(`${summary}. Some results are missing: `);
     }
+};
+
+// Describe "shown of total" for one kind of result
+const describeCount = (shown, total, noun) => {
+    const label = `${noun}${total !== 1 ? 's' : ''}`;
+    if (total === null || total === undefined) return `${shown} ${label}`;
+    return shown < total ? `${shown} of ${total} ${label}` : `${total} ${label}`;
+};
+
+// Sum the malformed-record counts of two pages
+const addSkippedCounts = (a = {}, b = {}) => {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Object.fromEntries([...keys].map(key => [key, (a[key] || 0) + (b[key] || 0)]));
+};
+
+// Update the status line with true totals per source
+const updateSearchStatus = (results, statusElement) => {
+    if (!statusElement) return;
     
-    // Show empty state if no results
-    if (totalResults === 0) {
-        container.appendChild(renderEmptyState(`No results found for "${currentSearchQuery}"`, '🔍'));
-        return;
+    const museumTotals = Object.entries(results.totals?.artifacts || {})
+        .filter(([, total]) => total !== null);
+    const artifactTotal = sumArtifactTotals(results);
+    
+    const parts = [];
+    if (artifactTotal || results.artifacts.length) {
+        const bySource = museumTotals
+            .map(([source, total]) => `${getSourceAdapter(source)?.name || source}: ${total}`)
+            .join(', ');
+        const count = describeCount(results.artifacts.length, artifactTotal, 'artifact');
+        parts.push(bySource ? `${count} (${bySource})` : count);
+    }
+    if (results.totals?.recordings || results.recordings.length) {
+        parts.push(describeCount(results.recordings.length, results.totals?.recordings, 'recording'));
+    }
+    if (results.totals?.artists || results.artists.length) {
+        parts.push(describeCount(results.artists.length, results.totals?.artists, 'artist'));
     }
     
+    // Malformed records are left out rather than breaking the grid
+    const skipped = Object.values(results.skipped || {}).reduce((sum, count) => sum + count, 0);
+    const skippedNote = skipped > 0
+        ? ` (${skipped} unreadable record${skipped !== 1 ? 's' : ''} skipped)`
+        : '';
+    
+    statusElement.textContent = parts.length > 0
+        ? `Found ${parts.join(', ')} for "${currentSearchQuery}"${skippedNote}`
+        : `No results found for "${currentSearchQuery}"${skippedNote}`;
+};
+
+// Flag a card whose result none of keys has been seen before
+const markIfNew = (card, keys, seen) => {
+    if (!seen || keys.some(key => seen.has(key))) return card;
+    
+    const badge = document.createElement('span');
+    badge.className = 'search-new-badge';
+    badge.textContent = 'New';
+    card.classList.add('is-new');
+    card.prepend(badge);
+    return card;
+};
+
+// Append one page of result cards; index restarts per page for the entrance animation
+// Results missing from seen, when given, are highlighted as new
+const appendResultCards = (results, container, category, seen = null) => {
     const fragment = document.createDocumentFragment();
     
     // Render artifacts
     if (category === 'all' || category === 'artifacts') {
         results.artifacts.forEach((artifact, index) => {
-            fragment.appendChild(renderArtifactCard(artifact, index));
+            const keys = getMemberIds(artifact).map(id => `artifacts:${id}`);
+            fragment.appendChild(markIfNew(renderArtifactCard(artifact, index), keys, seen));
         });
     }
     
-    // Render recordings
+    // Render recordings, then artists (which open the artist detail view)
     if (category === 'all' || category === 'music') {
         results.recordings.forEach((recording, index) => {
-            fragment.appendChild(renderRecordingCard(recording, index + totalArtifacts));
+            const card = renderRecordingCard(recording, index + results.artifacts.length);
+            fragment.appendChild(markIfNew(card, [`recordings:${recording.id}`], seen));
+        });
+        results.artists.forEach((artist, index) => {
+            const card = renderArtistCard(artist, index + results.artifacts.length + results.recordings.length);
+            fragment.appendChild(markIfNew(card, [`artists:${artist.id}`], seen));
         });
     }
     
     container.appendChild(fragment);
 };
 
+// Show a "Load more results" button at the end of the grid while the cursor has more
+const updateLoadMoreButton = (container) => {
+    container.querySelector('.search-load-more')?.remove();
+    if (!lastSearch?.cursor) return;
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn ghost search-load-more';
+    button.textContent = 'Load more results';
+    button.addEventListener('click', () => loadMoreSearchResults());
+    container.appendChild(button);
+};
+
+// Display search results
+const displaySearchResults = (results, container, statusElement, category, seen = null) => {
+    if (!container) return;
+    
+    container.innerHTML = '';
+    updateSearchStatus(results, statusElement);
+    
+    // Show empty state if no results
+    const totalResults = results.artifacts.length + results.recordings.length + results.artists.length;
+    if (totalResults === 0) {
+        container.appendChild(renderEmptyState(`No results found for "${currentSearchQuery}"`, '🔍'));
+        return;
+    }
+    
+    appendResultCards(results, container, category, seen);
+    updateLoadMoreButton(container);
+};
+
+// Fetch the next page of the displayed search and append it to the grid
+export const loadMoreSearchResults = async () => {
+    if (!lastSearch?.cursor) return;
+    
+    const search = lastSearch;
+    const {
+        category = 'all',
+        filters = {},
+        container = null,
+        statusElement = null,
+        seen = null,
+        onResults = null
+    } = search.options;
+    
+    if (searchController) searchController.abort();
+    const controller = new AbortController();
+    searchController = controller;
+    
+    const button = container?.querySelector('.search-load-more');
+    if (button) {
+        button.disabled = true;
+        button.textContent = 'Loading…';
+    }
+    
+    try {
+        const page = await searchAllSources(search.query, {
+            ...buildSearchOptions(category, filters),
+            cursor: search.cursor,
+            signal: controller.signal
+        });
+        
+        // A new search replaced this one while the page was loading
+        if (lastSearch !== search) return;
+        
+        // Objects already shown from another museum fold into their existing card
+        const shownCount = searchResults.artifacts.length;
+        const artifacts = await resolveEntities([...searchResults.artifacts, ...page.artifacts]);
+        if (lastSearch !== search) return;
+        const mergedIntoShown = artifacts.length < shownCount + page.artifacts.length;
+        
+        search.cursor = page.cursor;
+        searchResults = {
+            ...page,
+            artifacts,
+            recordings: [...searchResults.recordings, ...page.recordings],
+            artists: [...searchResults.artists, ...page.artists],
+            instruments: [...(searchResults.instruments || []), ...page.instruments],
+            skipped: addSkippedCounts(searchResults.skipped, page.skipped)
+        };
+        
+        if (container && mergedIntoShown) {
+            displaySearchResults(searchResults, container, statusElement, category, seen);
+        } else if (container) {
+            button?.remove();
+            appendResultCards({ ...page, artifacts: artifacts.slice(shownCount) }, container, category, seen);
+            updateLoadMoreButton(container);
+        }
+        updateSearchStatus(searchResults, statusElement);
+        displaySearchErrors(searchResults, container, statusElement, loadMoreSearchResults);
+        onResults?.(describeSearch(search.query, search.options, searchResults, true));
+    } catch (error) {
+        if (isAbortError(error)) return; // Superseded by a newer search
+        console.error('Loading more results failed:', error);
+        renderErrorStatus(statusElement, error, loadMoreSearchResults, 'Unable to load more results. Please try again.');
+        if (button) {
+            button.disabled = false;
+            button.textContent = 'Load more results';
+        }
+    } finally {
+        if (searchController === controller) searchController = null;
+    }
+};
+
 // Filter artifacts by category
 export const filterByCategory = (items, category) => {
     if (!category || category === 'all') {
@@ -149,11 +382,9 @@ export const filterByCategory = (items, category) => {
     
     return items.filter(item => {
         const title = (item.title || '').toLowerCase();
-        const medium = (item.medium || item.technique || '').toLowerCase();
-        const objectType = (item.objectName || item.classification || '').toLowerCase();
-        const culture = Array.isArray(item.culture) 
-            ? item.culture.join(' ').toLowerCase()
-            : (item.culture || '').toLowerCase();
+        const medium = (item.medium || '').toLowerCase();
+        const objectType = (item.classification || '').toLowerCase();
+        const culture = item.culture.join(' ').toLowerCase();
         
         const searchText = `${title} ${medium} ${objectType} ${culture}`;
         
@@ -168,15 +399,14 @@ export const filterByDateRange = (items, startYear, endYear) => {
     }
     
     return items.filter(item => {
-        const itemDate = item.objectDate || item.creation_date || '';
-        const yearMatch = itemDate.match(/(\d{4})/);
+        const begin = item.date.begin ?? extractYear(item.date.display);
+        const end = item.date.end ?? begin;
         
-        if (!yearMatch) return false;
+        if (!begin && !end) return false;
         
-        const year = parseInt(yearMatch[0]);
-        
-        if (startYear && year < startYear) return false;
-        if (endYear && year > endYear) return false;
+        // Keep items whose creation range overlaps the requested range
+        if (startYear && end < startYear) return false;
+        if (endYear && begin > endYear) return false;
         
         return true;
     });
@@ -191,13 +421,10 @@ export const filterByGeography = (items, region) => {
     const regionLower = region.toLowerCase();
     
     return items.filter(item => {
-        const country = (item.country || '').toLowerCase();
-        const geoRegion = (item.region || item.subregion || '').toLowerCase();
-        const culture = Array.isArray(item.culture)
-            ? item.culture.join(' ').toLowerCase()
-            : (item.culture || '').toLowerCase();
+        const places = item.geography.places.join(' ').toLowerCase();
+        const culture = item.culture.join(' ').toLowerCase();
         
-        const geoText = `${country} ${geoRegion} ${culture}`;
+        const geoText = `${places} ${culture}`;
         
         return geoText.includes(regionLower);
     });
@@ -243,12 +470,12 @@ export const sortResults = (items, sortBy = 'relevance', order = 'asc') => {
                 valueB = (b.title || '').toLowerCase();
                 break;
             case 'date':
-                valueA = extractYear(a.objectDate || a.creation_date || '');
-                valueB = extractYear(b.objectDate || b.creation_date || '');
+                valueA = a.date.begin ?? extractYear(a.date.display);
+                valueB = b.date.begin ?? extractYear(b.date.display);
                 break;
             case 'artist':
-                valueA = (a.artistDisplayName || a.creators?.[0]?.description || '').toLowerCase();
-                valueB = (b.artistDisplayName || b.creators?.[0]?.description || '').toLowerCase();
+                valueA = (a.makers[0]?.name || '').toLowerCase();
+                valueB = (b.makers[0]?.name || '').toLowerCase();
                 break;
             default:
                 return 0;
@@ -269,32 +496,34 @@ const extractYear = (dateString) => {
 };
 
 // Initialize search bar
+// onResults(search) runs after each search the bar shows, see performSearch
 export const initializeSearchBar = (searchInput, resultsContainer, statusElement, options = {}) => {
     if (!searchInput) return;
     
     const {
         category = 'all',
         minLength = 2,
-        placeholder = 'Search Luba culture...'
+        placeholder = 'Search Luba culture...',
+        onResults = null
     } = options;
     
     searchInput.placeholder = placeholder;
+    searchBar = {
+        input: searchInput,
+        options: { category, container: resultsContainer, statusElement, minLength, onResults }
+    };
     
     // Add input event listener with debouncing
     searchInput.addEventListener('input', (e) => {
         const query = e.target.value.trim();
-        debouncedSearch(query, {
-            category,
-            container: resultsContainer,
-            statusElement,
-            minLength
-        });
+        debouncedSearch(query, searchBar.options);
     });
     
     // Clear button functionality
     const clearBtn = searchInput.nextElementSibling;
     if (clearBtn && clearBtn.classList.contains('search-clear')) {
         clearBtn.addEventListener('click', () => {
+            clearSearch();
             searchInput.value = '';
             if (resultsContainer) resultsContainer.innerHTML = '';
             if (statusElement) statusElement.textContent = '';
@@ -305,6 +534,16 @@ export const initializeSearchBar = (searchInput, resultsContainer, statusElement
     console.log('Search bar initialized with debouncing');
 };
 
+// Run a search in the main search bar right away, e.g. a recent or saved query
+// options override the bar's own (category, filters, seen, onResults)
+export const searchFromBar = (query, options = {}) => {
+    if (!searchBar) return Promise.resolve(null);
+    
+    clearTimeout(debounceTimer);
+    searchBar.input.value = query;
+    return performSearch(query, { ...searchBar.options, ...options });
+};
+
 // Get current search results
 export const getSearchResults = () => {
     return { ...searchResults };
@@ -312,7 +551,10 @@ export const getSearchResults = () => {
 
 // Clear search
 export const clearSearch = () => {
+    if (searchController) searchController.abort();
+    searchController = null;
     currentSearchQuery = '';
+    lastSearch = null;
     searchResults = {
         artifacts: [],
         recordings: [],
@@ -326,12 +568,15 @@ export default {
     debounce,
     performSearch,
     debouncedSearch,
+    loadMoreSearchResults,
     filterByCategory,
     filterByDateRange,
     filterByGeography,
     applyFilters,
     sortResults,
+    getResultKeys,
     initializeSearchBar,
+    searchFromBar,
     getSearchResults,
     clearSearch
 };
@@ -0,0 +1,176 @@
+// Snapshot Module - Offline copies of favorited artifacts and recordings
+// Keeps the normalized record and a downscaled image of each favorite, so
+// "My Heritage" renders without network, and checks them against the source
+
+import { getArtifact, getMusicBrainzRecording, getRecordingCoverArt, isApiError, API_ERROR_TYPES } from './api-module.js';
+import { getFavorites, getSnapshots, saveSnapshot, markSnapshot } from './data-management.js';
+import { loadImage } from './image-module.js';
+
+const SNAPSHOT_IMAGE_SIZE = 320;    // Longest side in pixels
+const SNAPSHOT_IMAGE_QUALITY = 0.8;
+const IMAGE_TIMEOUT = 8000;
+const REFRESH_BATCH = 4;            // Records checked against their source at a time
+
+// Recordings keep what the card and a citation need
+const toRecordingSnapshot = (recording) => ({
+    id: recording.id,
+    title: recording.title || 'Untitled',
+    artists: (recording['artist-credit'] || [])
+        .map(credit => credit.name || credit.artist?.name)
+        .filter(Boolean),
+    length: recording.length ?? null,
+    disambiguation: recording.disambiguation || '',
+    firstReleaseDate: recording['first-release-date'] || null,
+    releases: (recording.releases || []).map(release => ({
+        id: release.id,
+        title: release.title,
+        date: release.date || null
+    })),
+    url: `https://musicbrainz.org/recording/${recording.id}`
+});
+
+// How each kind of favorite is loaded and stored
+// load(id, { refresh }) resolves to the source's record, or null when it has none;
+// fields are compared when checking a snapshot against the source
+const SNAPSHOT_SOURCES = {
+    artifacts: {
+        load: (id, options) => getArtifact(id, options),
+        toSnapshot: artifact => artifact,
+        imageUrl: async artifact => artifact.images.thumbnail || artifact.images.primary,
+        fields: ['title', 'makers', 'date', 'medium', 'culture', 'dimensions', 'accessionNumber', 'sourceName', 'images.primary', 'rights']
+    },
+    recordings: {
+        load: (id, options) => getMusicBrainzRecording(id, options),
+        toSnapshot: toRecordingSnapshot,
+        imageUrl: async recording => (await getRecordingCoverArt(recording))?.thumbnail,
+        fields: ['title', 'artists', 'length', 'disambiguation']
+    }
+};
+
+export const SNAPSHOT_TYPES = Object.keys(SNAPSHOT_SOURCES);
+
+export const hasSnapshots = (type) => SNAPSHOT_TYPES.includes(type);
+
+// Downscaled JPEG copy of an image as a Blob
+// Resolves to null where images cannot be read (no DOM, CORS, load failure)
+export const createImageSnapshot = async (url, maxSize = SNAPSHOT_IMAGE_SIZE) => {
+    if (!url || typeof document === 'undefined') return null;
+
+    try {
+        const image = await loadImage(url, IMAGE_TIMEOUT);
+        const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        // toBlob throws on a canvas tainted by an image without CORS headers
+        return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', SNAPSHOT_IMAGE_QUALITY));
+    } catch (error) {
+        console.warn(`No offline image for ${url}:`, error);
+        return null;
+    }
+};
+
+const readField = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+
+// Names of the compared fields that differ between a snapshot and the source's record
+export const diffSnapshot = (type, saved, latest) => SNAPSHOT_SOURCES[type].fields.filter(field => (
+    JSON.stringify(readField(saved, field) ?? null) !== JSON.stringify(readField(latest, field) ?? null)
+));
+
+// A record the source no longer has; failures to reach it are rethrown
+const loadFromSource = async (type, id, options) => {
+    try {
+        return await SNAPSHOT_SOURCES[type].load(id, options);
+    } catch (error) {
+        if (isApiError(error) && error.type === API_ERROR_TYPES.NOT_FOUND) return null;
+        throw error;
+    }
+};
+
+// The record a snapshot of this item would keep, loaded from the source
+// without saving it; null when the source has none
+export const loadSnapshotRecord = async (type, id, options = {}) => {
+    if (!hasSnapshots(type)) return null;
+
+    const raw = await loadFromSource(type, id, options);
+    return raw && SNAPSHOT_SOURCES[type].toSnapshot(raw);
+};
+
+const storeSnapshot = async (type, id, raw) => {
+    const source = SNAPSHOT_SOURCES[type];
+    const record = source.toSnapshot(raw);
+    const image = await createImageSnapshot(await source.imageUrl(raw).catch(() => null));
+    return (await saveSnapshot(type, id, { record, image })) ? record : null;
+};
+
+// Take (or retake) the snapshot of a favorite; refresh skips the response cache
+// Resolves to the stored record, or null when the source has none or the
+// item stopped being a favorite meanwhile
+export const captureSnapshot = async (type, id, { refresh = false } = {}) => {
+    if (!hasSnapshots(type)) return null;
+
+    const raw = await loadFromSource(type, id, { refresh });
+    return raw ? storeSnapshot(type, id, raw) : null;
+};
+
+// Check one favorite against its source: "captured" when it had no snapshot
+// yet, otherwise "current", "changed" or "missing"; "failed" when the source
+// could not be reached, which leaves the snapshot as it was
+const checkSnapshot = async (type, id, snapshot) => {
+    let raw;
+    try {
+        raw = await loadFromSource(type, id, { refresh: true });
+    } catch (error) {
+        console.warn(`Unable to check ${type} ${id} against its source:`, error);
+        return 'failed';
+    }
+
+    if (!raw) {
+        const marked = snapshot
+            ? await markSnapshot(type, id, { status: 'missing' })
+            : await saveSnapshot(type, id, { record: null, status: 'missing' });
+        return marked ? 'missing' : 'failed';
+    }
+    if (!snapshot?.record) {
+        return (await storeSnapshot(type, id, raw)) ? 'captured' : 'failed';
+    }
+
+    const changes = diffSnapshot(type, snapshot.record, SNAPSHOT_SOURCES[type].toSnapshot(raw));
+    const status = changes.length > 0 ? 'changed' : 'current';
+    return (await markSnapshot(type, id, { status, changes })) ? status : 'failed';
+};
+
+// Refresh from source: check every artifact and recording favorite, bypassing
+// the response cache. Snapshots keep what was saved; retake one with
+// captureSnapshot() to accept the source's changes.
+// onProgress(done, total) runs after each batch. Resolves to counts:
+// { checked, captured, current, changed, missing, failed }
+export const refreshSnapshots = async ({ onProgress } = {}) => {
+    const [favorites, snapshots] = await Promise.all([getFavorites(), getSnapshots()]);
+    const saved = new Map(snapshots.map(snapshot => [`${snapshot.type}:${snapshot.id}`, snapshot]));
+    const items = SNAPSHOT_TYPES.flatMap(type => favorites[type].map(favorite => ({ type, id: favorite.id })));
+    const summary = { checked: 0, captured: 0, current: 0, changed: 0, missing: 0, failed: 0 };
+
+    for (let start = 0; start < items.length; start += REFRESH_BATCH) {
+        await Promise.all(items.slice(start, start + REFRESH_BATCH).map(async ({ type, id }) => {
+            const outcome = await checkSnapshot(type, id, saved.get(`${type}:${id}`));
+            summary[outcome] += 1;
+            summary.checked += 1;
+        }));
+        onProgress?.(summary.checked, items.length);
+    }
+    return summary;
+};
+
+// Export all functions
+export default {
+    SNAPSHOT_TYPES,
+    hasSnapshots,
+    createImageSnapshot,
+    diffSnapshot,
+    loadSnapshotRecord,
+    captureSnapshot,
+    refreshSnapshots
+};
@@ -0,0 +1,234 @@
+// Transport Module - Configurable API endpoints and request transport
+// Runs the app against the live APIs, a local stand-in server or recorded fixtures
+
+// Live base URL of every external source; requests are matched against these
+export const LIVE_API_BASES = {
+    met: 'https://collectionapi.metmuseum.org/public/collection/v1',
+    cleveland: 'https://openaccess-api.clevelandart.org/api',
+    musicbrainz: 'https://musicbrainz.org/ws/2',
+    coverartarchive: 'https://coverartarchive.org'
+};
+
+const CONFIG_URL = new URL('../api-config.json', import.meta.url);
+const FIXTURES_URL = new URL('../fixtures/', import.meta.url);
+
+const DEFAULT_CONFIG = {
+    mode: 'live',         // 'live' | 'server' | 'fixtures'
+    base: null,           // stand-in server origin for 'server' mode
+    scenario: 'default'   // fixture scenario for 'fixtures' mode
+};
+
+let configPromise = null;
+let manifestPromise = null;
+const fixtureBodies = new Map();
+const routeHits = new Map();
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const isLoopbackUrl = (value) => {
+    try {
+        return LOOPBACK_HOSTS.includes(new URL(value).hostname);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Query parameters override api-config.json:
+//   ?api=fixtures&scenario=cleveland-down
+//   ?api=server&apiBase=http://localhost:8787
+// Only while developing: the page must be served from this machine, and
+// apiBase must point at it too, so a shared link cannot swap in another server
+const readQueryConfig = () => {
+    if (typeof window === 'undefined' || !window.location) return {};
+    if (!isLoopbackUrl(window.location.href)) return {};
+
+    const params = new URLSearchParams(window.location.search);
+    const config = {};
+    if (params.has('api')) config.mode = params.get('api');
+    if (params.has('apiBase')) {
+        if (isLoopbackUrl(params.get('apiBase'))) config.base = params.get('apiBase');
+        else console.warn('Ignoring apiBase: the stand-in server must run on localhost');
+    }
+    if (params.has('scenario')) config.scenario = params.get('scenario');
+    return config;
+};
+
+const readConfigFile = async () => {
+    try {
+        const response = await fetch(CONFIG_URL, { cache: 'no-store' });
+        return response.ok ? await response.json() : {};
+    } catch (error) {
+        // Missing file or file:// protocol: fall back to the live APIs
+        return {};
+    }
+};
+
+export const loadTransportConfig = () => {
+    if (!configPromise) {
+        configPromise = readConfigFile().then((fileConfig) => {
+            const config = { ...DEFAULT_CONFIG, ...fileConfig, ...readQueryConfig() };
+
+            if (!['live', 'server', 'fixtures'].includes(config.mode)) {
+                console.warn(`Unknown API mode "${config.mode}", using live APIs`);
+                config.mode = 'live';
+            }
+            if (config.mode === 'server' && !config.base) {
+                console.warn('API mode "server" needs a base URL, using live APIs');
+                config.mode = 'live';
+            }
+            if (config.mode !== 'live') {
+                console.info(`API transport: ${config.mode}`, config.mode === 'server' ? config.base : config.scenario);
+            }
+            return config;
+        });
+    }
+    return configPromise;
+};
+
+// Split a live URL into its source key and the path after that source's base
+export const resolveSource = (url) => {
+    const value = String(url);
+    for (const [source, base] of Object.entries(LIVE_API_BASES)) {
+        if (value.startsWith(base)) {
+            return { source, path: value.slice(base.length) || '/' };
+        }
+    }
+    return null;
+};
+
+// Find the first route of a scenario matching a request
+// Scenario routes are checked before those of the scenario it extends;
+// a route without its own delay takes the nearest scenario-level delay.
+// The match's scenario is the one that defines the route
+export const findFixtureRoute = (manifest, scenarioName, source, path) => {
+    const scenario = manifest.scenarios?.[scenarioName];
+    if (!scenario) return null;
+
+    const route = (scenario.routes || []).find(candidate => (
+        candidate.source === source && new RegExp(candidate.path || '.*').test(path)
+    ));
+    const match = route
+        ? { ...route, scenario: scenarioName }
+        : findFixtureRoute(manifest, scenario.extends, source, path);
+
+    if (match && match.delay === undefined) match.delay = scenario.delay;
+    return match;
+};
+
+// Find the route answering a request, counting it in hits (a Map) when it has
+// "times": such a route only answers its first N requests, after which the
+// scenario it is defined in falls back to the scenario that one extends
+export const takeFixtureRoute = (manifest, scenarioName, source, path, hits) => {
+    const route = findFixtureRoute(manifest, scenarioName, source, path);
+    if (route?.times === undefined) return route;
+
+    const key = `${route.scenario}:${route.source}:${route.path}`;
+    const count = (hits.get(key) || 0) + 1;
+    hits.set(key, count);
+    if (count <= route.times) return route;
+    return takeFixtureRoute(manifest, manifest.scenarios[route.scenario].extends, source, path, hits);
+};
+
+const loadManifest = () => {
+    if (!manifestPromise) {
+        manifestPromise = fetch(new URL('manifest.json', FIXTURES_URL))
+            .then((response) => {
+                if (!response.ok) throw new Error(`Fixture manifest missing (HTTP ${response.status})`);
+                return response.json();
+            })
+            .catch((error) => {
+                manifestPromise = null;
+                throw error;
+            });
+    }
+    return manifestPromise;
+};
+
+const loadFixtureBody = async (file) => {
+    if (!fixtureBodies.has(file)) {
+        const response = await fetch(new URL(file, FIXTURES_URL));
+        if (!response.ok) throw new Error(`Fixture ${file} missing (HTTP ${response.status})`);
+        fixtureBodies.set(file, await response.text());
+    }
+    return fixtureBodies.get(file);
+};
+
+const delayFor = (ms, signal) => new Promise((resolve, reject) => {
+    if (!ms) {
+        resolve();
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Answer a request from the recorded fixtures of the active scenario
+const fetchFixture = async (url, options, config) => {
+    const target = resolveSource(url);
+    const manifest = await loadManifest();
+    const route = target && takeFixtureRoute(manifest, config.scenario, target.source, target.path, routeHits);
+
+    await delayFor(route?.delay, options.signal);
+    options.signal?.throwIfAborted();
+
+    if (!route) {
+        console.warn(`No fixture for ${url}`);
+        return new Response(JSON.stringify({ error: 'No fixture recorded' }), {
+            status: 404,
+            statusText: 'Not Found',
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    if (route.error === 'network') {
+        throw new TypeError(`Failed to fetch ${url} (fixture network error)`);
+    }
+
+    const status = route.status || 200;
+    const body = route.fixture
+        ? await loadFixtureBody(route.fixture)
+        : JSON.stringify(route.body ?? {});
+    return new Response(body, {
+        status,
+        statusText: route.statusText || (status < 400 ? 'OK' : 'Fixture Error'),
+        headers: { 'Content-Type': 'application/json', ...route.headers }
+    });
+};
+
+// Point a live URL at the stand-in server: <base>/<source><path>
+const toServerUrl = (url, base) => {
+    const target = resolveSource(url);
+    if (!target) return url;
+    return `${base.replace(/\/$/, '')}/${target.source}${target.path}`;
+};
+
+// Drop-in replacement for fetch() used for every external API request
+export const apiFetch = async (url, options = {}) => {
+    const config = await loadTransportConfig();
+
+    if (config.mode === 'fixtures') return fetchFixture(url, options, config);
+    if (config.mode === 'server') return fetch(toServerUrl(url, config.base), options);
+    return fetch(url, options);
+};
+
+// Responses only go into the persistent cache when talking to the live APIs,
+// so fixture and stand-in runs stay deterministic
+export const isLiveTransport = async () => (await loadTransportConfig()).mode === 'live';
+
+// Export all functions
+export default {
+    LIVE_API_BASES,
+    loadTransportConfig,
+    resolveSource,
+    findFixtureRoute,
+    takeFixtureRoute,
+    apiFetch,
+    isLiveTransport
+};
@@ -2,36 +2,83 @@
 // Manages artifact gallery, music player, tooltips, and modals
 
 import { isFavorite, addFavorite, removeFavorite } from './data-management.js';
+import { getMemberIds } from './entity-module.js';
+import { getRecordingCoverArt, getReleaseCoverArt, getInstrumentHierarchy, isAbortError } from './api-module.js';
+
+// Join an artifact's makers into a display string
+const formatMakers = (makers = []) => makers.map(maker => maker.name).join(', ');
+
+// Artist credits of a recording or release; credited artists open the artist detail view
+const formatArtistCredits = (credits = []) => {
+    if (credits.length === 0) return 'Unknown Artist';
+    return credits.map(credit => (credit.artist?.id
+        ? `<button type="button" class="artist-link" data-artist-id="${credit.artist.id}">${credit.name}</button>`
+        : credit.name
+    )).join(', ');
+};
+
+// Format a length in milliseconds as m:ss
+const formatDuration = (ms) => {
+    if (!ms) return '';
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// "Also held at" badges for an entity resolved across museums
+const renderHeldAtBadges = (alsoHeldAt = []) => {
+    if (alsoHeldAt.length === 0) return '';
+    
+    const badges = alsoHeldAt.map(holding => holding.url
+        ? `<a class="held-at-badge" href="${holding.url}" target="_blank" rel="noopener">${holding.sourceName}</a>`
+        : `<span class="held-at-badge">${holding.sourceName}</span>`
+    ).join(' ');
+    return `<p class="artifact-meta also-held-at">Also held at ${badges}</p>`;
+};
+
+// Escape text the user typed (collection names, notes, tags) before it goes into markup
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Favorite buttons render as not favorited and are updated once the store answers
+const showFavoriteState = (container, type, itemId) => {
+    isFavorite(type, itemId).then((favorited) => {
+        container.querySelectorAll(`.favorite-btn[data-type="${type}"]`)
+            .forEach(button => updateFavoriteButton(button, favorited));
+    });
+};
 
 // Render artifact card
 export const renderArtifactCard = (artifact, index = 0) => {
     const card = document.createElement('article');
     card.className = 'artifact-card';
     card.style.setProperty('--delay', `${index * 60}ms`);
-    card.dataset.objectId = artifact.id || artifact.objectID;
-    
-    const isCleveland = artifact.images && artifact.images.web;
-    const imageUrl = isCleveland 
-        ? (artifact.images?.web?.url || artifact.images?.print?.url)
-        : (artifact.primaryImageSmall || artifact.primaryImage);
+    card.dataset.objectId = artifact.id;
     
+    const imageUrl = artifact.images.thumbnail;
     const title = artifact.title || 'Untitled';
-    const artist = isCleveland
-        ? (artifact.creators?.map(c => c.description).join(', ') || 'Unknown artist')
-        : (artifact.artistDisplayName || 'Unknown artist');
-    const date = artifact.creation_date || artifact.objectDate || 'Date unknown';
-    const medium = artifact.technique || artifact.medium || 'Medium not listed';
-    const culture = artifact.culture || 'Luba';
+    const artist = formatMakers(artifact.makers) || 'Unknown artist';
+    const date = artifact.date.display || 'Date unknown';
+    const medium = artifact.medium || 'Medium not listed';
+    const culture = artifact.culture.join(', ') || 'Luba';
     
-    const favorited = isFavorite('artifacts', artifact.id || artifact.objectID);
+    // Favorites attach to the resolved entity, not one museum's record
+    const entityId = artifact.entityId || artifact.id;
+    const memberIds = getMemberIds(artifact);
     
     card.innerHTML = `
         <figure>
             <div class="artifact-media">
                 <img src="${imageUrl}" alt="${title}" loading="lazy" />
-                <button class="favorite-btn ${favorited ? 'favorited' : ''}" 
+                <button class="favorite-btn" 
                         data-type="artifacts" 
-                        data-id="${artifact.id || artifact.objectID}"
+                        data-id="${entityId}"
+                        data-member-ids="${memberIds.join(',')}"
                         aria-label="Add to favorites">
                     <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
@@ -43,16 +90,44 @@ export const renderArtifactCard = (artifact, index = 0) => {
                 <p class="artifact-meta">${artist} · ${date}</p>
                 <p class="artifact-meta">${medium}</p>
                 <p class="artifact-meta culture-tag">${culture}</p>
-                <button class="artifact-details-btn" data-id="${artifact.id || artifact.objectID}">
+                ${renderHeldAtBadges(artifact.alsoHeldAt)}
+                <button class="artifact-details-btn" data-id="${artifact.id}">
                     View Details
                 </button>
             </figcaption>
         </figure>
     `;
     
+    showFavoriteState(card, 'artifacts', memberIds);
     return card;
 };
 
+// Cover art slot for a music card
+// Shows a placeholder until loadCover() resolves to { thumbnail }, and keeps
+// it when there is no art or the lookup fails
+export const renderCoverArt = (loadCover, title = '') => {
+    const cover = document.createElement('div');
+    cover.className = 'cover-art cover-art-placeholder';
+    cover.innerHTML = '<span class="cover-art-icon" aria-hidden="true">♪</span>';
+    
+    loadCover()
+        .then((art) => {
+            if (!art) return;
+            const image = document.createElement('img');
+            image.alt = `Cover art for ${title}`;
+            image.addEventListener('load', () => {
+                cover.classList.remove('cover-art-placeholder');
+                cover.replaceChildren(image);
+            }, { once: true });
+            image.src = art.thumbnail;
+        })
+        .catch((error) => {
+            console.warn(`Cover art for "${title}" unavailable:`, error);
+        });
+    
+    return cover;
+};
+
 // Render music recording card
 export const renderRecordingCard = (recording, index = 0) => {
     const card = document.createElement('article');
@@ -60,19 +135,8 @@ export const renderRecordingCard = (recording, index = 0) => {
     card.style.setProperty('--delay', `${index * 60}ms`);
     card.dataset.recordingId = recording.id;
     
-    const artists = recording['artist-credit'] && recording['artist-credit'].length > 0
-        ? recording['artist-credit'].map(ac => ac.name).join(', ')
-        : 'Unknown Artist';
-    
-    let duration = '';
-    if (recording.length) {
-        const totalSeconds = Math.floor(recording.length / 1000);
-        const minutes = Math.floor(totalSeconds / 60);
-        const seconds = totalSeconds % 60;
-        duration = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    }
-    
-    const favorited = isFavorite('recordings', recording.id);
+    const artists = formatArtistCredits(recording['artist-credit']);
+    const duration = formatDuration(recording.length);
     
     card.innerHTML = `
         <div class="music-card-header">
@@ -84,13 +148,13 @@ export const renderRecordingCard = (recording, index = 0) => {
             ${duration ? `<p><strong>Duration:</strong> ${duration}</p>` : ''}
             ${recording.disambiguation ? `<p><strong>Note:</strong> ${recording.disambiguation}</p>` : ''}
             <div class="card-actions">
-                <button class="favorite-btn ${favorited ? 'favorited' : ''}" 
+                <button class="favorite-btn" 
                         data-type="recordings" 
                         data-id="${recording.id}">
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
                     </svg>
-                    ${favorited ? 'Favorited' : 'Favorite'}
+                    Favorite
                 </button>
                 <a href="https://musicbrainz.org/recording/${recording.id}" 
                    target="_blank" 
@@ -100,6 +164,38 @@ export const renderRecordingCard = (recording, index = 0) => {
         </div>
     `;
     
+    card.prepend(renderCoverArt(() => getRecordingCoverArt(recording), recording.title));
+    showFavoriteState(card, 'recordings', recording.id);
+    return card;
+};
+
+// Render release (album) card
+export const renderReleaseCard = (release, index = 0) => {
+    const card = document.createElement('article');
+    card.className = 'music-card';
+    card.style.setProperty('--delay', `${index * 60}ms`);
+    card.dataset.releaseId = release.id;
+    
+    const artists = formatArtistCredits(release['artist-credit']);
+    const type = release['release-group']?.['primary-type'] || 'Release';
+    
+    card.innerHTML = `
+        <div class="music-card-header">
+            <h3>${release.title}</h3>
+            <span class="music-type">${type}</span>
+        </div>
+        <div class="music-card-body">
+            <p><strong>Artist(s):</strong> ${artists}</p>
+            ${release.date ? `<p><strong>Released:</strong> ${release.date}${release.country ? ` (${release.country})` : ''}</p>` : ''}
+            ${release.disambiguation ? `<p><strong>Note:</strong> ${release.disambiguation}</p>` : ''}
+            <a href="https://musicbrainz.org/release/${release.id}" 
+               target="_blank" 
+               rel="noopener noreferrer" 
+               class="music-link">View on MusicBrainz →</a>
+        </div>
+    `;
+    
+    card.prepend(renderCoverArt(() => getReleaseCoverArt(release), release.title));
     return card;
 };
 
@@ -118,8 +214,6 @@ export const renderArtistCard = (artist, index = 0) => {
         ? artist.tags.map(t => t.name).join(', ')
         : 'None';
     
-    const favorited = isFavorite('artists', artist.id);
-    
     card.innerHTML = `
         <div class="music-card-header">
             <h3>${artist.name}</h3>
@@ -131,14 +225,15 @@ export const renderArtistCard = (artist, index = 0) => {
             ${artist.disambiguation ? `<p><strong>Note:</strong> ${artist.disambiguation}</p>` : ''}
             <p><strong>Tags:</strong> ${tags}</p>
             <div class="card-actions">
-                <button class="favorite-btn ${favorited ? 'favorited' : ''}" 
+                <button class="favorite-btn" 
                         data-type="artists" 
                         data-id="${artist.id}">
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
                     </svg>
-                    ${favorited ? 'Favorited' : 'Favorite'}
+                    Favorite
                 </button>
+                <button type="button" class="artist-details-btn" data-artist-id="${artist.id}">View Details</button>
                 <a href="https://musicbrainz.org/artist/${artist.id}" 
                    target="_blank" 
                    rel="noopener noreferrer" 
@@ -147,6 +242,7 @@ export const renderArtistCard = (artist, index = 0) => {
         </div>
     `;
     
+    showFavoriteState(card, 'artists', artist.id);
     return card;
 };
 
@@ -156,6 +252,8 @@ export const renderInstrumentCard = (instrument, index = 0) => {
     card.className = 'music-card';
     card.style.setProperty('--delay', `${index * 60}ms`);
     
+    card.dataset.instrumentId = instrument.id;
+    
     const tags = instrument.tags && instrument.tags.length > 0
         ? instrument.tags.map(t => t.name).join(', ')
         : 'None';
@@ -169,13 +267,25 @@ export const renderInstrumentCard = (instrument, index = 0) => {
             ${instrument.description ? `<p><strong>Description:</strong> ${instrument.description}</p>` : ''}
             ${instrument.disambiguation ? `<p><strong>Note:</strong> ${instrument.disambiguation}</p>` : ''}
             <p><strong>Tags:</strong> ${tags}</p>
-            <a href="https://musicbrainz.org/instrument/${instrument.id}" 
-               target="_blank" 
-               rel="noopener noreferrer" 
-               class="music-link">View on MusicBrainz →</a>
+            <div class="card-actions">
+                <button class="favorite-btn" 
+                        data-type="instruments" 
+                        data-id="${instrument.id}">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
+                    </svg>
+                    Favorite
+                </button>
+                <button type="button" class="instrument-details-btn" data-instrument-id="${instrument.id}">View Details</button>
+                <a href="https://musicbrainz.org/instrument/${instrument.id}" 
+                   target="_blank" 
+                   rel="noopener noreferrer" 
+                   class="music-link">View on MusicBrainz →</a>
+            </div>
         </div>
     `;
     
+    showFavoriteState(card, 'instruments', instrument.id);
     return card;
 };
 
@@ -186,7 +296,7 @@ export const renderVotingItem = (item, index = 0) => {
     card.style.setProperty('--delay', `${index * 80}ms`);
     card.dataset.itemId = item.id;
     
-    const imageUrl = item.primaryImageSmall || item.image || item.images?.web?.url || '';
+    const imageUrl = item.image || '';
     
     card.innerHTML = `
         <div class="voting-card-image">
@@ -195,7 +305,7 @@ export const renderVotingItem = (item, index = 0) => {
         <div class="voting-card-content">
             <h3>${item.title || item.name}</h3>
             <p>${item.description || item.medium || ''}</p>
-            <button class="vote-btn" data-item-id="${item.id}">
+            <button class="vote-btn" data-item-id="${item.id}" data-member-ids="${(item.memberIds || [item.id]).join(',')}">
                 <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
                 </svg>
@@ -225,16 +335,446 @@ export const renderKilubaTooltip = (word, translations) => {
     return tooltip;
 };
 
+// Render one Kiluba lexicon entry for the glossary
+export const renderGlossaryEntry = (entry, index = 0) => {
+    const item = document.createElement('article');
+    item.className = 'glossary-entry';
+    item.id = `kiluba-${entry.id}`;
+    item.style.setProperty('--delay', `${Math.min(index, 20) * 30}ms`);
+    
+    const examples = entry.examples.map(example => `
+        <li>
+            <span class="kiluba-word">${example.kiluba}</span>
+            ${example.english ? `<span lang="en">${example.english}</span>` : ''}
+            ${example.french ? `<span lang="fr">${example.french}</span>` : ''}
+        </li>
+    `).join('');
+    
+    const citation = entry.source.url
+        ? `<a href="${entry.source.url}" target="_blank" rel="noopener noreferrer">${entry.source.citation || entry.source.url}</a>`
+        : entry.source.citation;
+    
+    item.innerHTML = `
+        <header class="glossary-entry-header">
+            <h3 class="kiluba-word" lang="lu">${entry.headword}</h3>
+            ${entry.partOfSpeech ? `<span class="glossary-pos">${entry.partOfSpeech}</span>` : ''}
+        </header>
+        <p><strong>English:</strong> ${entry.english.join('; ')}</p>
+        ${entry.french.length > 0 ? `<p lang="fr"><strong>French:</strong> ${entry.french.join('; ')}</p>` : ''}
+        ${entry.audio ? `<audio controls preload="none" src="${entry.audio}">Pronunciation of ${entry.headword}</audio>` : ''}
+        ${examples ? `<ul class="glossary-examples">${examples}</ul>` : ''}
+        ${citation ? `<p class="glossary-source">Source: ${citation}</p>` : ''}
+    `;
+    
+    return item;
+};
+
+// Render oral narrative card for the stories list
+export const renderNarrativeCard = (story, index = 0) => {
+    const card = document.createElement('article');
+    card.className = 'narrative-card';
+    card.style.setProperty('--delay', `${index * 60}ms`);
+    card.dataset.narrativeId = story.id;
+    
+    const storyId = String(story.id);
+    
+    card.innerHTML = `
+        <h3>${story.title}</h3>
+        <p>${story.summary}</p>
+        <div class="narrative-tags">
+            ${story.tags.map(tag => `<button type="button" class="narrative-tag" data-tag="${tag}">#${tag}</button>`).join('')}
+        </div>
+        <div class="card-actions">
+            <button class="favorite-btn" 
+                    data-type="narratives" 
+                    data-id="${storyId}">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
+                </svg>
+                Favorite
+            </button>
+            <button type="button" class="narrative-read-btn" data-narrative-id="${storyId}">Read Story</button>
+        </div>
+    `;
+    
+    showFavoriteState(card, 'narratives', storyId);
+    return card;
+};
+
+// Collection picker offered by a favorite button
+// A popover listing every collection as a checkbox, with a field to create one
+// and a way to remove the item from favorites; closes on an outside click or Escape
+// handlers: onToggle(collectionId, checked), onCreate(name) resolving to the new
+// collection or null, and onRemove()
+let closeCollectionPicker = null;
+
+const renderPickerOption = (collection, checked) => `
+    <li>
+        <label>
+            <input type="checkbox" value="${collection.id}"${checked ? ' checked' : ''}>
+            ${escapeHtml(collection.name)}
+        </label>
+    </li>
+`;
+
+export const showCollectionPicker = (button, { collections, selected = [] }, { onToggle, onCreate, onRemove }) => {
+    closeCollectionPicker?.();
+    
+    const picker = document.createElement('div');
+    picker.className = 'collection-picker';
+    picker.setAttribute('role', 'dialog');
+    picker.setAttribute('aria-label', 'Add to collection');
+    picker.innerHTML = `
+        <p class="collection-picker-title">Add to collection</p>
+        <ul class="collection-picker-list">
+            ${collections.map(collection => renderPickerOption(collection, selected.includes(collection.id))).join('')}
+        </ul>
+        <form class="collection-picker-new">
+            <input type="text" name="name" maxlength="80" placeholder="New collection" aria-label="New collection name">
+            <button type="submit" class="btn ghost">Add</button>
+        </form>
+        <button type="button" class="collection-picker-remove">Remove from My Heritage</button>
+    `;
+    
+    const rect = button.getBoundingClientRect();
+    picker.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    picker.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 280)) + window.scrollX}px`;
+    document.body.appendChild(picker);
+    
+    const outsideHandler = (e) => {
+        if (!picker.contains(e.target)) closeCollectionPicker();
+    };
+    const escapeHandler = (e) => {
+        if (e.key === 'Escape') {
+            closeCollectionPicker();
+            button.focus();
+        }
+    };
+    closeCollectionPicker = () => {
+        picker.remove();
+        document.removeEventListener('click', outsideHandler, true);
+        document.removeEventListener('keydown', escapeHandler);
+        closeCollectionPicker = null;
+    };
+    document.addEventListener('click', outsideHandler, true);
+    document.addEventListener('keydown', escapeHandler);
+    
+    const list = picker.querySelector('.collection-picker-list');
+    list.addEventListener('change', (e) => {
+        if (e.target.type === 'checkbox') onToggle(e.target.value, e.target.checked);
+    });
+    
+    const form = picker.querySelector('.collection-picker-new');
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = form.elements.name.value.trim();
+        if (!name) return;
+        
+        const collection = await onCreate(name);
+        if (!collection) return;
+        list.insertAdjacentHTML('beforeend', renderPickerOption(collection, true));
+        form.reset();
+    });
+    
+    picker.querySelector('.collection-picker-remove').addEventListener('click', () => {
+        closeCollectionPicker();
+        onRemove();
+    });
+    
+    picker.querySelector('input')?.focus();
+};
+
+// Render a collection with its items, for the dashboard
+// Items carry their type and id, so the page can act on them; the other
+// collections are offered as move targets
+const FAVORITE_TYPE_LABELS = {
+    artifacts: 'Artifact',
+    recordings: 'Recording',
+    artists: 'Artist',
+    instruments: 'Instrument',
+    narratives: 'Story'
+};
+
+export const renderCollection = (collection, collections = []) => {
+    const section = document.createElement('article');
+    section.className = 'collection';
+    section.dataset.collectionId = collection.id;
+    
+    const targets = collections.filter(other => other.id !== collection.id);
+    const moveOptions = targets
+        .map(other => `<option value="${other.id}">${escapeHtml(other.name)}</option>`)
+        .join('');
+    
+    const items = collection.items.map((item, index) => `
+        <li class="collection-item" data-type="${escapeHtml(item.type)}" data-id="${escapeHtml(item.id)}">
+            <div class="collection-item-header">
+                <span class="collection-item-type">${FAVORITE_TYPE_LABELS[item.type] || escapeHtml(item.type)}</span>
+                <h4>${escapeHtml(item.name)}</h4>
+            </div>
+            <label>
+                Note
+                <textarea class="collection-note" rows="2">${escapeHtml(item.note)}</textarea>
+            </label>
+            <label>
+                Tags
+                <input type="text" class="collection-tags" value="${escapeHtml(item.tags.join(', '))}" placeholder="Comma-separated">
+            </label>
+            <div class="collection-item-actions">
+                <button type="button" data-action="up" aria-label="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+                <button type="button" data-action="down" aria-label="Move down"${index === collection.items.length - 1 ? ' disabled' : ''}>↓</button>
+                ${targets.length > 0 ? `
+                    <select class="collection-move" aria-label="Move to another collection">
+                        <option value="">Move to…</option>
+                        ${moveOptions}
+                    </select>
+                ` : ''}
+                <button type="button" data-action="remove">Remove</button>
+            </div>
+        </li>
+    `).join('');
+    
+    section.innerHTML = `
+        <header class="collection-header">
+            <input type="text" class="collection-name" value="${escapeHtml(collection.name)}" maxlength="80" aria-label="Collection name">
+            <button type="button" class="btn ghost" data-action="delete-collection">Delete collection</button>
+        </header>
+        ${items
+            ? `<ol class="collection-items">${items}</ol>`
+            : '<p class="collection-empty">Nothing here yet. Use the ♥ button on any card to add items.</p>'}
+    `;
+    
+    return section;
+};
+
+// Render the "My Heritage" view from stored data only
+// favorites is grouped by type (see getFavorites) and already filtered and
+// sorted; snapshots maps "<type>:<id>" to an offline snapshot, images maps it
+// to an object URL of the snapshot's image and selected holds the keys of
+// checked items. offlineTypes are the types that snapshots are taken of
+const HERITAGE_GROUP_LABELS = {
+    artifacts: 'Artifacts',
+    recordings: 'Recordings',
+    artists: 'Artists',
+    instruments: 'Instruments',
+    narratives: 'Stories'
+};
+
+const SNAPSHOT_FIELD_LABELS = {
+    accessionNumber: 'accession number',
+    sourceName: 'museum',
+    'images.primary': 'image',
+    length: 'duration'
+};
+
+const describeSnapshotRecord = (type, record) => {
+    if (type === 'artifacts') {
+        return [
+            formatMakers(record.makers),
+            record.date?.display,
+            record.sourceName,
+            record.accessionNumber && `Acc. ${record.accessionNumber}`
+        ].filter(Boolean).join(' · ');
+    }
+    return [
+        record.artists.join(', '),
+        formatDuration(record.length),
+        record.firstReleaseDate
+    ].filter(Boolean).join(' · ');
+};
+
+// Detail buttons per favorite type, handled by the page-wide click handlers
+const OPEN_BUTTONS = {
+    artifacts: ['artifact-details-btn', 'data-id'],
+    recordings: ['recording-details-btn', 'data-recording-id'],
+    artists: ['artist-details-btn', 'data-artist-id'],
+    instruments: ['instrument-details-btn', 'data-instrument-id'],
+    narratives: ['narrative-read-btn', 'data-narrative-id']
+};
+
+const openButtonAttributes = (type, id) => {
+    const [className, attribute] = OPEN_BUTTONS[type] || [];
+    return className ? `class="${className}" ${attribute}="${escapeHtml(id)}"` : null;
+};
+
+const renderSnapshotStatus = (snapshot) => {
+    if (!snapshot) {
+        return '<p class="snapshot-status snapshot-none">Not saved for offline use</p>';
+    }
+    if (snapshot.status === 'missing') {
+        return '<p class="snapshot-status snapshot-missing">No longer available at the source</p>';
+    }
+    if (snapshot.status === 'changed') {
+        const fields = snapshot.changes.map(field => SNAPSHOT_FIELD_LABELS[field] || field).join(', ');
+        return `<p class="snapshot-status snapshot-changed">Changed at the source: ${escapeHtml(fields)}</p>`;
+    }
+    return `<p class="snapshot-status">Saved offline ${new Date(snapshot.savedAt).toLocaleDateString()}</p>`;
+};
+
+const renderHeritageItem = (type, favorite, { snapshot, image, offline, checked }) => {
+    const record = snapshot?.record;
+    const title = record?.title || favorite.name;
+    const canUpdate = offline && snapshot?.status !== 'missing' && (!record || snapshot.status === 'changed');
+    const openButton = openButtonAttributes(type, favorite.id);
+    
+    return `
+        <li class="heritage-item" data-type="${escapeHtml(type)}" data-id="${escapeHtml(favorite.id)}">
+            <input type="checkbox" class="heritage-select" aria-label="Select ${escapeHtml(title)}"${checked ? ' checked' : ''}>
+            ${image
+                ? `<img class="heritage-image" src="${image}" alt="${escapeHtml(title)}">`
+                : `<div class="heritage-image heritage-image-placeholder" aria-hidden="true">${type === 'recordings' ? '♪' : '❤'}</div>`}
+            <div class="heritage-body">
+                <span class="collection-item-type">${FAVORITE_TYPE_LABELS[type] || escapeHtml(type)}</span>
+                <h4>${escapeHtml(title)}</h4>
+                ${record ? `<p class="heritage-meta">${escapeHtml(describeSnapshotRecord(type, record))}</p>` : ''}
+                <p class="heritage-meta">Added ${new Date(favorite.dateAdded).toLocaleDateString()}</p>
+                ${offline ? renderSnapshotStatus(snapshot) : ''}
+                <div class="heritage-actions">
+                    ${openButton ? `<button type="button" ${openButton}>Open</button>` : ''}
+                    ${canUpdate ? '<button type="button" class="heritage-action" data-action="update-snapshot">Update offline copy</button>' : ''}
+                </div>
+            </div>
+        </li>
+    `;
+};
+
+export const renderHeritage = (favorites, {
+    snapshots = new Map(),
+    images = new Map(),
+    selected = new Set(),
+    offlineTypes = [],
+    emptyMessage = 'Nothing saved yet. Use the ♥ button on any card to start your heritage collection.'
+} = {}) => {
+    const groups = Object.entries(favorites).filter(([, items]) => items.length > 0);
+    if (groups.length === 0) {
+        return renderEmptyState(emptyMessage, '❤️');
+    }
+    
+    const container = document.createElement('div');
+    container.className = 'heritage-groups';
+    groups.forEach(([type, items]) => {
+        const group = document.createElement('section');
+        group.className = 'heritage-group';
+        const rendered = items.map((favorite) => {
+            const key = `${type}:${favorite.id}`;
+            return renderHeritageItem(type, favorite, {
+                snapshot: snapshots.get(key),
+                image: images.get(key),
+                offline: offlineTypes.includes(type),
+                checked: selected.has(key)
+            });
+        }).join('');
+        group.innerHTML = `
+            <h4>${HERITAGE_GROUP_LABELS[type] || escapeHtml(type)} (${items.length})</h4>
+            <ul class="heritage-items">${rendered}</ul>
+        `;
+        container.appendChild(group);
+    });
+    return container;
+};
+
+// Recently viewed items as a strip of buttons that reopen them
+// entries are history entries with their type, newest first
+export const renderHistoryStrip = (entries) => {
+    if (entries.length === 0) {
+        const hint = document.createElement('p');
+        hint.className = 'heritage-hint';
+        hint.textContent = 'Artifacts, recordings and stories you open will show up here.';
+        return hint;
+    }
+    
+    const strip = document.createElement('ol');
+    strip.className = 'history-strip';
+    strip.innerHTML = entries.map((entry) => {
+        const openButton = openButtonAttributes(entry.type, entry.id);
+        if (!openButton) return '';
+        return `
+            <li>
+                <button type="button" ${openButton} title="Viewed ${new Date(entry.viewedAt).toLocaleString()}">
+                    ${entry.thumbnail ? `<img src="${escapeHtml(entry.thumbnail)}" alt="" loading="lazy">` : ''}
+                    <span>${escapeHtml(entry.name)}</span>
+                </button>
+            </li>
+        `;
+    }).join('');
+    return strip;
+};
+
+const SEARCH_CATEGORY_LABELS = {
+    artifacts: 'Artifacts',
+    music: 'Music'
+};
+
+// "12 artifacts · 3 recordings" from a search's result counts
+const describeSearchCounts = (counts = {}) => {
+    const parts = [
+        counts.artifacts > 0 && plural(counts.artifacts, 'artifact'),
+        counts.recordings > 0 && plural(counts.recordings, 'recording'),
+        counts.artists > 0 && plural(counts.artists, 'artist')
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join(' · ') : 'No results';
+};
+
+// Query with its category, when the search was limited to one
+const renderSearchQuery = (search) => {
+    const category = SEARCH_CATEGORY_LABELS[search.category];
+    return `
+        <span class="search-query">${escapeHtml(search.query)}</span>
+        ${category ? `<span class="search-category">${category}</span>` : ''}
+    `;
+};
+
+// Recent searches as listbox options for the dropdown under the search bar
+// activeIndex is the option picked with the arrow keys, or -1
+export const renderSearchSuggestions = (searches, activeIndex = -1) => {
+    const template = document.createElement('template');
+    template.innerHTML = searches.map((search, index) => `
+        <li role="option" id="search-suggestion-${index}" class="search-suggestion${index === activeIndex ? ' active' : ''}"
+            data-index="${index}" aria-selected="${index === activeIndex}">
+            ${renderSearchQuery(search)}
+            <span class="search-counts">${describeSearchCounts(search.counts)}</span>
+        </li>
+    `).join('');
+    return template.content;
+};
+
+// Saved searches with "Run" and "Remove" buttons; runs note how many results
+// were new since the run before
+export const renderSavedSearches = (searches) => {
+    if (searches.length === 0) {
+        const hint = document.createElement('p');
+        hint.className = 'saved-searches-hint';
+        hint.textContent = 'Save a search to run it again later and see what is new.';
+        return hint;
+    }
+    
+    const list = document.createElement('ul');
+    list.className = 'saved-searches-list';
+    list.innerHTML = searches.map(search => `
+        <li class="saved-search" data-id="${escapeHtml(search.id)}">
+            <button type="button" class="saved-search-run" data-action="run-saved-search"
+                    title="Run this search again">
+                ${renderSearchQuery(search)}
+            </button>
+            <span class="search-counts">
+                Last run ${new Date(search.lastRunAt).toLocaleDateString()} · ${describeSearchCounts(search.counts)}
+                ${search.newCount > 0 ? ` · <strong class="saved-search-new">${search.newCount} new</strong>` : ''}
+            </span>
+            <button type="button" class="saved-search-remove" data-action="delete-saved-search"
+                    aria-label="Remove saved search ${escapeHtml(search.query)}">✕</button>
+        </li>
+    `).join('');
+    return list;
+};
+
 // Render modal for artifact details
-export const showArtifactModal = (artifact) => {
+// Open a modal dialog around the given content; closes on the X, the overlay or Escape
+// An open modal with the same id is replaced; onClose runs when it closes
+const openModal = (id, content, { onClose } = {}) => {
+    document.getElementById(id)?.remove();
+    
     const modal = document.createElement('div');
     modal.className = 'modal active';
-    modal.id = 'artifact-modal';
-    
-    const isCleveland = artifact.images && artifact.images.web;
-    const imageUrl = isCleveland
-        ? (artifact.images?.web?.url || artifact.images?.print?.url)
-        : artifact.primaryImage || artifact.primaryImageSmall;
+    modal.id = id;
     
     modal.innerHTML = `
         <div class="modal-overlay"></div>
@@ -245,6 +785,41 @@ export const showArtifactModal = (artifact) => {
                     <line x1="6" y1="6" x2="18" y2="18"></line>
                 </svg>
             </button>
+            ${content}
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+    
+    // Close handlers
+    const closeModal = () => {
+        modal.classList.remove('active');
+        document.removeEventListener('keydown', escapeHandler);
+        onClose?.();
+        setTimeout(() => {
+            modal.remove();
+            document.body.style.overflow = '';
+        }, 300);
+    };
+    
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-overlay').addEventListener('click', closeModal);
+    
+    // Escape key to close
+    const escapeHandler = (e) => {
+        if (e.key === 'Escape') {
+            closeModal();
+        }
+    };
+    document.addEventListener('keydown', escapeHandler);
+    
+    return modal;
+};
+
+// imageUrl replaces the museum's image, e.g. with an offline snapshot's
+export const showArtifactModal = (artifact, { imageUrl = artifact.images.primary || artifact.images.thumbnail, onClose } = {}) => {
+    openModal('artifact-modal', `
             <div class="modal-grid">
                 <div class="modal-image">
                     <img src="${imageUrl}" alt="${artifact.title}" />
@@ -253,59 +828,420 @@ export const showArtifactModal = (artifact) => {
                     <h2>${artifact.title || 'Untitled'}</h2>
                     <dl class="detail-list">
                         <dt>Artist</dt>
-                        <dd>${artifact.artistDisplayName || artifact.creators?.map(c => c.description).join(', ') || 'Unknown'}</dd>
+                        <dd>${formatMakers(artifact.makers) || 'Unknown'}</dd>
                         
                         <dt>Date</dt>
-                        <dd>${artifact.objectDate || artifact.creation_date || 'Unknown'}</dd>
+                        <dd>${artifact.date.display || 'Unknown'}</dd>
                         
                         <dt>Culture</dt>
-                        <dd>${Array.isArray(artifact.culture) ? artifact.culture.join(', ') : artifact.culture || 'Luba'}</dd>
+                        <dd>${artifact.culture.join(', ') || 'Luba'}</dd>
                         
                         <dt>Medium</dt>
-                        <dd>${artifact.medium || artifact.technique || 'Not specified'}</dd>
+                        <dd>${artifact.medium || 'Not specified'}</dd>
                         
                         ${artifact.dimensions ? `<dt>Dimensions</dt><dd>${artifact.dimensions}</dd>` : ''}
                         
-                        ${artifact.creditLine || artifact.department ? `
+                        <dt>Museum</dt>
+                        <dd>${artifact.sourceName}</dd>
+                        
+                        ${artifact.rights.creditLine || artifact.department ? `
                             <dt>Collection</dt>
-                            <dd>${artifact.creditLine || artifact.department}</dd>
+                            <dd>${artifact.rights.creditLine || artifact.department}</dd>
                         ` : ''}
                     </dl>
                     
-                    ${artifact.objectURL || artifact.url ? `
-                        <a href="${artifact.objectURL || artifact.url}" 
+                    ${artifact.links.object ? `
+                        <a href="${artifact.links.object}" 
                            target="_blank" 
                            rel="noopener noreferrer" 
                            class="btn">View in Museum Collection</a>
                     ` : ''}
                 </div>
             </div>
-        </div>
-    `;
+    `, { onClose });
+};
+
+// Render modal for recording details, from a recording snapshot (see snapshot-module.js)
+export const showRecordingModal = (recording, { imageUrl = null, onClose } = {}) => {
+    const duration = formatDuration(recording.length);
+    const releases = recording.releases
+        .map(release => `<li>${escapeHtml(release.title)}${release.date ? ` (${escapeHtml(release.date)})` : ''}</li>`)
+        .join('');
     
-    document.body.appendChild(modal);
-    document.body.style.overflow = 'hidden';
+    openModal('recording-modal', `
+            <div class="modal-grid">
+                ${imageUrl ? `
+                    <div class="modal-image">
+                        <img src="${imageUrl}" alt="Cover art for ${escapeHtml(recording.title)}" />
+                    </div>
+                ` : ''}
+                <div class="modal-details">
+                    <h2>${escapeHtml(recording.title)}</h2>
+                    <dl class="detail-list">
+                        <dt>Artist(s)</dt>
+                        <dd>${escapeHtml(recording.artists.join(', ')) || 'Unknown Artist'}</dd>
+                        
+                        ${duration ? `<dt>Duration</dt><dd>${duration}</dd>` : ''}
+                        
+                        ${recording.firstReleaseDate ? `<dt>First released</dt><dd>${escapeHtml(recording.firstReleaseDate)}</dd>` : ''}
+                        
+                        ${recording.disambiguation ? `<dt>Note</dt><dd>${escapeHtml(recording.disambiguation)}</dd>` : ''}
+                    </dl>
+                    
+                    ${releases ? `
+                        <h3>Releases</h3>
+                        <ul class="recording-releases">${releases}</ul>
+                    ` : ''}
+                    
+                    <a href="${recording.url}" 
+                       target="_blank" 
+                       rel="noopener noreferrer" 
+                       class="btn">View on MusicBrainz</a>
+                </div>
+            </div>
+    `, { onClose });
+};
+
+// Readable labels for MusicBrainz URL relationship types
+const ARTIST_LINK_LABELS = {
+    'official homepage': 'Official website',
+    wikidata: 'Wikidata',
+    wikipedia: 'Wikipedia',
+    discogs: 'Discogs',
+    allmusic: 'AllMusic',
+    bandcamp: 'Bandcamp',
+    'free streaming': 'Streaming',
+    streaming: 'Streaming',
+    youtube: 'YouTube',
+    'social network': 'Social network'
+};
+
+// Artist detail view from a MusicBrainz artist lookup
+// (see ARTIST_DETAIL_INCLUDES in api-module.js for the data it expects)
+export const showArtistModal = (artist) => {
+    const lifeSpan = artist['life-span'] || {};
+    const active = lifeSpan.begin || lifeSpan.end
+        ? `${lifeSpan.begin || '?'} – ${lifeSpan.end || (lifeSpan.ended ? 'ended' : 'present')}`
+        : 'Unknown';
+    const area = [artist['begin-area']?.name, artist.area?.name]
+        .filter(Boolean)
+        .filter((name, index, names) => names.indexOf(name) === index)
+        .join(', ');
+    const aliases = (artist.aliases || []).map(alias => alias.name).filter(name => name !== artist.name);
+    const tags = [...(artist.genres || []), ...(artist.tags || [])]
+        .sort((a, b) => (b.count || 0) - (a.count || 0))
+        .map(tag => tag.name)
+        .filter((name, index, names) => names.indexOf(name) === index);
     
-    // Close handlers
-    const closeModal = () => {
-        modal.classList.remove('active');
-        setTimeout(() => {
-            modal.remove();
-            document.body.style.overflow = '';
-        }, 300);
+    const releaseGroups = [...(artist['release-groups'] || [])]
+        .sort((a, b) => (a['first-release-date'] || '9999').localeCompare(b['first-release-date'] || '9999'));
+    const recordings = artist.recordings || [];
+    const links = (artist.relations || []).filter(relation => relation.url?.resource);
+    
+    openModal('artist-modal', `
+            <div class="modal-details music-details">
+                <h2>${artist.name}</h2>
+                <p class="music-details-type">${artist.type || 'Artist'}${artist.disambiguation ? ` · ${artist.disambiguation}` : ''}</p>
+                <dl class="detail-list">
+                    <dt>Active</dt>
+                    <dd>${active}</dd>
+                    
+                    <dt>Area</dt>
+                    <dd>${area || artist.country || 'Unknown'}</dd>
+                    
+                    ${aliases.length ? `<dt>Also known as</dt><dd>${aliases.join(', ')}</dd>` : ''}
+                    
+                    ${tags.length ? `<dt>Tags</dt><dd>${tags.join(', ')}</dd>` : ''}
+                </dl>
+                
+                <h3>Releases</h3>
+                ${releaseGroups.length ? `
+                    <ul class="music-details-list">
+                        ${releaseGroups.map(group => `
+                            <li>
+                                <a href="https://musicbrainz.org/release-group/${group.id}" target="_blank" rel="noopener noreferrer">${group.title}</a>
+                                <span>${[group['primary-type'], group['first-release-date']?.slice(0, 4)].filter(Boolean).join(' · ')}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p>No releases listed.</p>'}
+                
+                <h3>Recordings</h3>
+                ${recordings.length ? `
+                    <ul class="music-details-list">
+                        ${recordings.map(recording => `
+                            <li>
+                                <a href="https://musicbrainz.org/recording/${recording.id}" target="_blank" rel="noopener noreferrer">${recording.title}</a>
+                                <span>${formatDuration(recording.length)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p>No recordings listed.</p>'}
+                
+                ${links.length ? `
+                    <h3>Elsewhere</h3>
+                    <ul class="music-details-links">
+                        ${links.map(relation => `
+                            <li><a href="${relation.url.resource}" target="_blank" rel="noopener noreferrer">${ARTIST_LINK_LABELS[relation.type] || relation.type}</a></li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                
+                <a href="https://musicbrainz.org/artist/${artist.id}" 
+                   target="_blank" 
+                   rel="noopener noreferrer" 
+                   class="btn">View on MusicBrainz</a>
+            </div>
+    `);
+};
+
+// Instrument detail view from a MusicBrainz instrument lookup
+// findRecordings(signal, onRecording) looks up credited recordings while the
+// view is open; it is cancelled when the view closes
+export const showInstrumentModal = (instrument, findRecordings) => {
+    const { parents, subtypes } = getInstrumentHierarchy(instrument);
+    const hierarchy = [instrument.type, ...parents.map(parent => parent.name), instrument.name]
+        .filter(Boolean)
+        .join(' › ');
+    const tags = (instrument.tags || []).map(tag => tag.name);
+    const controller = new AbortController();
+    
+    const instrumentLink = (entry) => `<a href="https://musicbrainz.org/instrument/${entry.id}" target="_blank" rel="noopener noreferrer">${entry.name}</a>`;
+    
+    const modal = openModal('instrument-modal', `
+            <article class="modal-details music-details">
+                <h2>${instrument.name}</h2>
+                <p class="music-details-type">${hierarchy}</p>
+                ${instrument.description ? `<p>${instrument.description}</p>` : ''}
+                ${instrument.annotation ? `<p class="instrument-annotation">${instrument.annotation}</p>` : ''}
+                <dl class="detail-list">
+                    ${parents.length ? `<dt>Type of</dt><dd>${parents.map(instrumentLink).join(', ')}</dd>` : ''}
+                    ${subtypes.length ? `<dt>Kinds</dt><dd>${subtypes.map(instrumentLink).join(', ')}</dd>` : ''}
+                    <dt>Tags</dt>
+                    <dd>${tags.join(', ') || 'None'}</dd>
+                </dl>
+                
+                <h3>Recordings featuring the ${instrument.name}</h3>
+                <p class="instrument-recordings-status" aria-live="polite">Looking for credited recordings…</p>
+                <ul class="music-details-list instrument-recordings"></ul>
+                
+                <div class="card-actions">
+                    <button class="favorite-btn" 
+                            data-type="instruments" 
+                            data-id="${instrument.id}">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
+                        </svg>
+                        Favorite
+                    </button>
+                    <a href="https://musicbrainz.org/instrument/${instrument.id}" 
+                       target="_blank" 
+                       rel="noopener noreferrer" 
+                       class="btn">View on MusicBrainz</a>
+                </div>
+            </article>
+    `, { onClose: () => controller.abort() });
+    
+    showFavoriteState(modal, 'instruments', instrument.id);
+    
+    const list = modal.querySelector('.instrument-recordings');
+    const status = modal.querySelector('.instrument-recordings-status');
+    
+    const addRecording = (recording) => {
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <a href="https://musicbrainz.org/recording/${recording.id}" target="_blank" rel="noopener noreferrer">${recording.title}</a>
+            <span>${recording.performers.join(', ')}</span>
+        `;
+        list.appendChild(item);
     };
     
-    modal.querySelector('.modal-close').addEventListener('click', closeModal);
-    modal.querySelector('.modal-overlay').addEventListener('click', closeModal);
+    findRecordings(controller.signal, addRecording)
+        .then(({ checked, recordings }) => {
+            status.textContent = recordings.length
+                ? `${recordings.length} of ${checked} related recordings credit the ${instrument.name}.`
+                : `None of ${checked} related recordings credit the ${instrument.name} yet.`;
+        })
+        .catch((error) => {
+            if (isAbortError(error)) return; // The view was closed
+            status.textContent = getErrorMessage(error, 'Unable to look up recordings right now.');
+        });
+};
+
+// Reader view for an oral narrative
+// findArtifacts(tag, signal) loads museum artifacts matching a story tag; the
+// lookup for the selected tag is cancelled when another is picked or the view closes
+export const showNarrativeReader = (story, findArtifacts) => {
+    const storyId = String(story.id);
+    let controller = null;
     
-    // Escape key to close
-    const escapeHandler = (e) => {
-        if (e.key === 'Escape') {
-            closeModal();
-            document.removeEventListener('keydown', escapeHandler);
-        }
+    const paragraphs = (story.fullText || story.summary)
+        .split(/\n\s*\n/)
+        .map(paragraph => `<p>${paragraph.trim()}</p>`)
+        .join('');
+    
+    const citation = story.source?.url
+        ? `<a href="${story.source.url}" target="_blank" rel="noopener noreferrer">${story.source.citation || story.source.url}</a>`
+        : story.source?.citation;
+    
+    const modal = openModal('narrative-modal', `
+            <article class="modal-details narrative-reader">
+                <h2>${story.title}</h2>
+                <p class="narrative-summary">${story.summary}</p>
+                <div class="narrative-text">${paragraphs}</div>
+                ${citation ? `<p class="narrative-source">Source: ${citation}</p>` : ''}
+    
+                <h3>Related artifacts</h3>
+                <p>Choose a tag to find museum pieces whose records mention it.</p>
+                <div class="narrative-tags">
+                    ${story.tags.map(tag => `<button type="button" class="narrative-tag" data-tag="${tag}" aria-pressed="false">#${tag}</button>`).join('')}
+                </div>
+                <p class="narrative-artifacts-status" aria-live="polite"></p>
+                <div class="gallery-grid narrative-artifacts"></div>
+    
+                <div class="card-actions">
+                    <button class="favorite-btn" 
+                            data-type="narratives" 
+                            data-id="${storyId}">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
+                        </svg>
+                        Favorite
+                    </button>
+                </div>
+            </article>
+    `, { onClose: () => controller?.abort() });
+    
+    showFavoriteState(modal, 'narratives', storyId);
+    
+    const grid = modal.querySelector('.narrative-artifacts');
+    const status = modal.querySelector('.narrative-artifacts-status');
+    
+    const showTag = (button) => {
+        const { tag } = button.dataset;
+        controller?.abort();
+        controller = new AbortController();
+        const { signal } = controller;
+    
+        modal.querySelectorAll('.narrative-tag').forEach(other => {
+            other.setAttribute('aria-pressed', String(other === button));
+        });
+        grid.innerHTML = '';
+        grid.appendChild(renderLoadingSkeleton(3));
+        status.textContent = `Looking for artifacts tagged “${tag}”…`;
+    
+        findArtifacts(tag, signal)
+            .then((artifacts) => {
+                grid.innerHTML = '';
+                artifacts.forEach((artifact, index) => grid.appendChild(renderArtifactCard(artifact, index)));
+                status.textContent = artifacts.length
+                    ? `${artifacts.length} artifact${artifacts.length !== 1 ? 's' : ''} mention “${tag}”.`
+                    : `No museum records mention “${tag}” yet.`;
+            })
+            .catch((error) => {
+                if (isAbortError(error)) return; // Another tag was picked or the view closed
+                grid.innerHTML = '';
+                status.textContent = getErrorMessage(error, 'Unable to look up artifacts right now.');
+            });
     };
-    document.addEventListener('keydown', escapeHandler);
+    
+    modal.querySelectorAll('.narrative-tag').forEach(button => {
+        button.addEventListener('click', () => showTag(button));
+    });
+};
+
+// Import preview: what the file holds per category, with a replace/merge/skip choice
+// onConfirm(choices) runs the import; the dialog closes once it settles
+const IMPORT_CATEGORY_LABELS = {
+    favorites: 'Favorites',
+    collections: 'Collections',
+    history: 'Recently viewed',
+    preferences: 'Preferences',
+    votes: 'Votes'
+};
+
+const plural = (count, word, many = `${word}s`) => `${count} ${count !== 1 ? many : word}`;
+
+const describeImportCategory = (category, details) => {
+    switch (category) {
+        case 'favorites':
+            return details.incoming > 0 && `${plural(details.incoming, 'favorite')} in the file, ${details.added} not yet saved here. You have ${details.current}.`;
+        case 'collections':
+            return details?.incoming > 0 && `${plural(details.incoming, 'collection')} with ${plural(details.items, 'item')}, ${details.added} not yet here. Merge adds items to collections with the same name.`;
+        case 'history': {
+            if (!(details.incoming > 0)) return false;
+            const dropped = details.dropped > 0
+                ? ` Only the newest ${details.limit} of each kind are kept, so ${plural(details.dropped, 'older entry', 'older entries')} will be left out.`
+                : '';
+            return `${plural(details.incoming, 'entry', 'entries')} in the file: ${details.added} new, ${details.newer} more recent than yours.${dropped}`;
+        }
+        case 'preferences':
+            if (!details) return false;
+            return details.changes.length
+                ? `Changes ${details.changes.map(change => `${escapeHtml(change.key)} (${escapeHtml(change.from)} → ${escapeHtml(change.to)})`).join(', ')}.`
+                : 'Same as your current preferences.';
+        case 'votes': {
+            const parts = [];
+            if (details.active) {
+                parts.push(details.current
+                    ? `This week's vote for “${escapeHtml(details.active.name)}”; you already voted for “${escapeHtml(details.current.name)}”, which merge keeps.`
+                    : `This week's vote for “${escapeHtml(details.active.name)}”.`);
+            }
+            if (details.past) parts.push(`${plural(details.past, 'past vote')} will be added to your history.`);
+            return parts.length > 0 && parts.join(' ');
+        }
+        default:
+            return false;
+    }
+};
+
+export const showImportPreview = (preview, onConfirm) => {
+    const rows = Object.entries(preview.categories)
+        .map(([category, details]) => [category, describeImportCategory(category, details)])
+        .filter(([, description]) => description);
+    
+    const modal = openModal('import-modal', `
+            <div class="modal-details import-preview">
+                <h2>Import your data</h2>
+                ${preview.exportDate ? `<p>Exported ${new Date(preview.exportDate).toLocaleString()}.</p>` : ''}
+                <form class="import-choices">
+                    ${rows.map(([category, description]) => `
+                        <div class="import-choice">
+                            <label for="import-${category}">${IMPORT_CATEGORY_LABELS[category]}</label>
+                            <p>${description}</p>
+                            <select id="import-${category}" name="${category}">
+                                <option value="merge">Merge</option>
+                                <option value="replace">Replace mine</option>
+                                <option value="skip">Skip</option>
+                            </select>
+                        </div>
+                    `).join('')}
+                    ${preview.problems.length ? `
+                        <details class="import-problems">
+                            <summary>${plural(preview.problems.length, 'item')} could not be read and will be skipped</summary>
+                            <ul>${preview.problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>
+                        </details>
+                    ` : ''}
+                    <div class="card-actions">
+                        <button type="submit" class="btn">Import</button>
+                    </div>
+                </form>
+            </div>
+    `);
+    
+    const form = modal.querySelector('.import-choices');
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        // Categories not shown have nothing to import
+        const choices = Object.fromEntries(Object.keys(preview.categories).map(category => [
+            category,
+            form.elements[category]?.value || 'skip'
+        ]));
+        
+        form.querySelector('button[type="submit"]').disabled = true;
+        Promise.resolve(onConfirm(choices))
+            .finally(() => modal.querySelector('.modal-close').click());
+    });
 };
 
 // Render loading skeleton
@@ -340,6 +1276,73 @@ export const renderEmptyState = (message, icon = '🔍') => {
     return empty;
 };
 
+// Friendly, actionable text for a failed API request
+// Reads the type and sourceName of an ApiError; anything else gets the fallback
+export const getErrorMessage = (error, fallback = 'Something went wrong. Please try again.') => {
+    const source = error?.sourceName || 'The service';
+    
+    switch (error?.type) {
+        case 'network':
+            return `Couldn't reach ${source}. Check your internet connection and try again.`;
+        case 'timeout':
+            return `${source} is taking too long to respond. Try again in a moment.`;
+        case 'rate-limited':
+            return `${source} is receiving too many requests. Wait a few seconds, then try again.`;
+        case 'not-found':
+            return `${source} no longer has this record. It may have been removed from the collection.`;
+        case 'malformed':
+            return `${source} sent data this page can't read. Please try again later.`;
+        case 'blocked':
+            return `Your browser blocked the request to ${source}. Open this page through a local web server instead of from a file.`;
+        case 'server':
+            return `${source} is having problems right now. Try again in a few minutes.`;
+        case 'http':
+            return `${source} rejected the request (HTTP ${error.status}).`;
+        case 'unavailable': {
+            const seconds = Math.ceil((error.retryAfter || 0) / 1000);
+            return seconds > 0
+                ? `${source} is failing repeatedly, so requests are paused. Try again in ${seconds}s.`
+                : `${source} is recovering from repeated failures. Try again in a moment.`;
+        }
+        default:
+            return fallback;
+    }
+};
+
+// Errors are retryable unless the API module says otherwise
+const canRetry = (error) => error?.retryable !== false;
+
+// Render a "Try again" button
+export const renderRetryButton = (onRetry, label = 'Try again') => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn-retry';
+    button.textContent = `↻ ${label}`;
+    button.addEventListener('click', onRetry, { once: true });
+    return button;
+};
+
+// Render error state with a retry button for errors worth retrying
+export const renderErrorState = (error, onRetry = null, fallback) => {
+    const state = renderEmptyState(getErrorMessage(error, fallback), '⚠️');
+    state.classList.add('error-state');
+    
+    if (onRetry && canRetry(error)) {
+        state.appendChild(renderRetryButton(onRetry));
+    }
+    return state;
+};
+
+// Show an error in a status line, followed by a retry button when useful
+export const renderErrorStatus = (element, error, onRetry = null, fallback) => {
+    if (!element) return;
+    
+    element.textContent = getErrorMessage(error, fallback);
+    if (onRetry && canRetry(error)) {
+        element.append(' ', renderRetryButton(onRetry));
+    }
+};
+
 // Update favorite button state
 export const updateFavoriteButton = (button, isFavorited) => {
     if (isFavorited) {
@@ -373,13 +1376,32 @@ export const showToast = (message, type = 'info', duration = 3000) => {
 export default {
     renderArtifactCard,
     renderRecordingCard,
+    renderCoverArt,
+    renderReleaseCard,
     renderArtistCard,
     renderInstrumentCard,
     renderVotingItem,
     renderKilubaTooltip,
+    renderGlossaryEntry,
+    renderNarrativeCard,
+    showNarrativeReader,
+    showImportPreview,
+    showCollectionPicker,
+    renderCollection,
+    renderHeritage,
+    renderHistoryStrip,
+    renderSearchSuggestions,
+    renderSavedSearches,
     showArtifactModal,
+    showRecordingModal,
+    showArtistModal,
+    showInstrumentModal,
     renderLoadingSkeleton,
     renderEmptyState,
+    getErrorMessage,
+    renderRetryButton,
+    renderErrorState,
+    renderErrorStatus,
     updateFavoriteButton,
     showToast
 };
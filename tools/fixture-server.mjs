@@ -0,0 +1,75 @@
+// Fixture Server - Local stand-in for the external APIs
+// Serves the recorded fixtures over HTTP so the site can run with ?api=server
+//
+// Usage: node tools/fixture-server.mjs [port] [scenario]
+// Then open index.html?api=server&apiBase=http://localhost:8787
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { takeFixtureRoute } from '../scripts/transport-module.js';
+
+const FIXTURES_DIR = new URL('../fixtures/', import.meta.url);
+const port = Number(process.argv[2]) || 8787;
+const defaultScenario = process.argv[3] || 'default';
+
+const manifest = JSON.parse(await readFile(new URL('manifest.json', FIXTURES_DIR), 'utf8'));
+const routeHits = new Map();
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Expose-Headers': 'Retry-After'
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms || 0));
+
+// Requests look like /<source><path>; ?scenario= on the request overrides the default
+const handleRequest = async (request, response) => {
+    const url = new URL(request.url, `http://localhost:${port}`);
+    const [, source = '', ...rest] = url.pathname.split('/');
+    const scenario = url.searchParams.get('scenario') || defaultScenario;
+    url.searchParams.delete('scenario');
+    const path = `/${rest.join('/')}${url.search}`;
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS).end();
+        return;
+    }
+
+    // Routes with "times" only apply to their first N matching requests
+    const route = takeFixtureRoute(manifest, scenario, source, path, routeHits);
+
+    await wait(route?.delay);
+    console.log(`${request.method} /${source}${path} -> ${route ? route.error || route.status || 200 : 404}`);
+
+    if (!route) {
+        response.writeHead(404, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ error: 'No fixture recorded' }));
+        return;
+    }
+
+    // Simulate a dropped connection
+    if (route.error === 'network') {
+        request.socket.destroy();
+        return;
+    }
+
+    const body = route.fixture
+        ? await readFile(new URL(route.fixture, FIXTURES_DIR), 'utf8')
+        : JSON.stringify(route.body ?? {});
+    response.writeHead(route.status || 200, route.statusText, {
+        ...CORS_HEADERS,
+        'Content-Type': 'application/json',
+        ...route.headers
+    });
+    response.end(body);
+};
+
+createServer((request, response) => {
+    handleRequest(request, response).catch((error) => {
+        console.error('Fixture server error:', error);
+        response.writeHead(500, CORS_HEADERS).end();
+    });
+}).listen(port, () => {
+    console.log(`Fixture server (scenario "${defaultScenario}") on http://localhost:${port}`);
+});